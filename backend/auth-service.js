@@ -0,0 +1,245 @@
+import { verifyJWT } from 'did-jwt';
+import { SiweMessage } from 'siwe';
+import crypto from 'crypto';
+import { didResolver } from './veramo-setup.js';
+import { getProvider, getRole } from './contract-service.js';
+
+// One session per client, holding whatever it has proven:
+// - DIDs, via DID-Auth: the client asks for a challenge for its DID, signs it
+//   as a JWT (a JWS over { nonce, aud }) with that DID's key and sends it back.
+// - a wallet address, via Sign-In With Ethereum (EIP-4361): the client signs a
+//   SIWE message carrying a nonce from us.
+// Logging in while presenting a session token adds to that session instead of
+// starting a new one. Challenges are single use; both they and sessions live
+// in memory, so a restart logs everyone out.
+
+export const AUTH_AUDIENCE = process.env.AUTH_AUDIENCE || 'mpa-backend';
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+const SESSION_TTL_SECONDS = Number(process.env.SESSION_TTL_SECONDS) || 60 * 60;
+// host the SIWE message must name: the frontend's, where the wallet signs
+const SIWE_DOMAIN = process.env.SIWE_DOMAIN || null;
+
+const challenges = new Map();
+const sessions = new Map();
+
+function httpError(statusCode, message, code) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (code) {
+    error.code = code;
+  }
+  return error;
+}
+
+function expiresIn(seconds) {
+  return Date.now() + seconds * 1000;
+}
+
+function dropExpired(store) {
+  const now = Date.now();
+  for (const [key, entry] of store) {
+    if (entry.expiresAt <= now) {
+      store.delete(key);
+    }
+  }
+}
+
+function issueChallenge(entry) {
+  dropExpired(challenges);
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const expiresAt = expiresIn(CHALLENGE_TTL_SECONDS);
+  challenges.set(nonce, { ...entry, expiresAt });
+  return { nonce, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+// Takes the challenge out of circulation whether or not it is still valid.
+function redeemChallenge(nonce, matches) {
+  const challenge = challenges.get(nonce);
+  if (!challenge || !matches(challenge)) {
+    throw httpError(401, 'Unknown challenge; request a new one');
+  }
+  challenges.delete(nonce);
+  if (challenge.expiresAt <= Date.now()) {
+    throw httpError(401, 'Challenge has expired; request a new one');
+  }
+}
+
+function describeSession(session) {
+  return {
+    dids: [...session.dids],
+    address: session.address,
+    chainId: session.chainId,
+    expiresAt: new Date(session.expiresAt).toISOString(),
+  };
+}
+
+// Adds `proof` ({ did } or { address, chainId }) to the session behind
+// `token`, or to a new one, and renews its expiry.
+function extendSession(token, proof) {
+  dropExpired(sessions);
+  const existing = token ? sessions.get(token) : null;
+  const session = existing || { dids: [], address: null, chainId: null };
+  if (proof.did && !session.dids.includes(proof.did)) {
+    session.dids.push(proof.did);
+  }
+  if (proof.address) {
+    session.address = proof.address;
+    session.chainId = proof.chainId;
+  }
+  session.expiresAt = expiresIn(SESSION_TTL_SECONDS);
+
+  const sessionToken = existing ? token : crypto.randomBytes(32).toString('base64url');
+  sessions.set(sessionToken, session);
+  return { token: sessionToken, ...describeSession(session) };
+}
+
+export function createChallenge(did) {
+  if (!did || !did.startsWith('did:')) {
+    throw httpError(400, 'did is required');
+  }
+  return { did, audience: AUTH_AUDIENCE, ...issueChallenge({ kind: 'did', did }) };
+}
+
+// `jws` must be a JWT issued by `did` for AUTH_AUDIENCE carrying the nonce of
+// a challenge handed out to that same DID.
+export async function verifyChallengeResponse({ did, jws }, token) {
+  if (!did || !jws) {
+    throw httpError(400, 'did and jws are required');
+  }
+  let verified;
+  try {
+    verified = await verifyJWT(jws, { resolver: didResolver, audience: AUTH_AUDIENCE });
+  } catch (error) {
+    throw httpError(401, `Invalid signature: ${error.message}`);
+  }
+  if (verified.issuer !== did) {
+    throw httpError(401, 'Challenge was not signed by the requested DID');
+  }
+  redeemChallenge(verified.payload.nonce, (challenge) => challenge.kind === 'did' && challenge.did === did);
+  return extendSession(token, { did });
+}
+
+export function createSiweNonce() {
+  return issueChallenge({ kind: 'siwe' });
+}
+
+// `message` is the EIP-4361 text the wallet signed. It must name SIWE_DOMAIN
+// and the chain whose IdentityRegistry we read roles from, and carry one of our
+// nonces, which is only spent once the signature checks out.
+export async function verifySiwe({ message, signature }, { token }) {
+  if (!SIWE_DOMAIN) {
+    throw httpError(503, 'Sign-In With Ethereum is not configured; set SIWE_DOMAIN');
+  }
+  if (!message || !signature) {
+    throw httpError(400, 'message and signature are required');
+  }
+  let siwe;
+  try {
+    siwe = new SiweMessage(message);
+  } catch (error) {
+    throw httpError(400, `Malformed SIWE message: ${error.message || error}`);
+  }
+
+  try {
+    await siwe.verify({ signature, domain: SIWE_DOMAIN, nonce: siwe.nonce });
+  } catch (failure) {
+    // siwe rejects with { error: SiweError } rather than an Error
+    const reason = failure?.error?.type || failure?.message || 'verification failed';
+    throw httpError(401, `Invalid SIWE signature: ${reason}`);
+  }
+  const { chainId } = await getProvider().getNetwork();
+  if (BigInt(siwe.chainId) !== chainId) {
+    throw httpError(401, `Sign in on chain ${chainId}, not ${siwe.chainId}`);
+  }
+  redeemChallenge(siwe.nonce, (challenge) => challenge.kind === 'siwe');
+
+  const session = extendSession(token, { address: siwe.address, chainId: String(siwe.chainId) });
+  return { ...session, role: await getRole(siwe.address) };
+}
+
+export function getSession(token) {
+  const session = token && sessions.get(token);
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return describeSession(session);
+}
+
+export function endSession(token) {
+  return sessions.delete(token);
+}
+
+export function sessionToken(req) {
+  const header = req.get('Authorization') || '';
+  return header.startsWith('Bearer ') ? header.slice('Bearer '.length) : null;
+}
+
+function sendAuthError(res, error) {
+  const code = error.statusCode ? error.code || null : null;
+  res.status(error.statusCode || 500).json({ success: false, error: error.message, code });
+}
+
+// The session behind `token`, or a 401 whose `code` tells the client whether
+// logging in again (session_expired) would help.
+export function authenticate(token) {
+  const session = getSession(token);
+  if (!session) {
+    throw token
+      ? httpError(401, 'Session expired; log in again', 'session_expired')
+      : httpError(401, 'Log in first (POST /auth/challenge or /auth/siwe/nonce)', 'login_required');
+  }
+  return { ...session, token };
+}
+
+// Middleware: sets `req.auth = { dids, address, chainId, expiresAt, token }`
+// from the bearer token, or answers 401.
+export function requireAuth(req, res, next) {
+  try {
+    req.auth = authenticate(sessionToken(req));
+    next();
+  } catch (error) {
+    sendAuthError(res, error);
+  }
+}
+
+// For routes that act as a DID named in the request body.
+export function assertActingAs(req, did) {
+  if (!req.auth.dids.includes(did)) {
+    const as = req.auth.dids.length > 0 ? req.auth.dids.join(', ') : 'no DID';
+    throw httpError(403, `Logged in as ${as}, cannot act as ${did}`);
+  }
+}
+
+// Looks the signed-in address up in IdentityRegistry (on every call, so a new
+// registration counts at once), sets `req.auth.role` and throws unless it is
+// one of `roles`.
+export async function assertRole(req, roles) {
+  if (!req.auth.address) {
+    throw httpError(401, 'Sign in with Ethereum first (POST /auth/siwe/nonce)', 'wallet_required');
+  }
+  req.auth.role = await getRole(req.auth.address);
+  if (!roles.includes(req.auth.role)) {
+    const is = req.auth.role === 'None' ? 'is not registered' : `is registered as ${req.auth.role}`;
+    throw httpError(403, `Only ${roles.join(' or ')} accounts can do this; ${req.auth.address} ${is}`);
+  }
+}
+
+// Middleware form of requireAuth + assertRole.
+export function requireRole(...roles) {
+  return async (req, res, next) => {
+    try {
+      req.auth = authenticate(sessionToken(req));
+      await assertRole(req, roles);
+      next();
+    } catch (error) {
+      if (!error.statusCode) {
+        console.error('Role lookup failed:', error);
+      }
+      sendAuthError(res, error);
+    }
+  };
+}
@@ -0,0 +1,368 @@
+import { In } from 'typeorm';
+import { getProvider, getDeployments, getContractEvents, INDEXED_CONTRACTS } from './contract-service.js';
+import { getDataSource, runInTransaction } from './veramo-setup.js';
+import { ChainEvent, IndexedBlock, IndexerState } from './entities.js';
+
+// Follows IdentityRegistry, PolicyContract and ClaimContract from their
+// deployment block and copies every event into chain_events, so history can be
+// queried without walking the chain. Progress is committed with the events, so
+// a restarted backend resumes where it stopped.
+//
+// Each pass first checks that the newest indexed block is still on the chain.
+// If it is not (a reorg, `evm_revert`, a restarted Hardhat node), the index is
+// rolled back to the newest block both still agree on and indexed again from
+// there; with no such block, or after a redeployment, it starts over.
+
+const POLL_INTERVAL_MS = Number(process.env.INDEXER_POLL_MS) || 2000;
+const BATCH_SIZE = 2000;
+// how far back a reorg can be followed without reindexing everything
+const KEPT_BLOCKS = 256;
+// rows per INSERT, well under SQLite's bound-parameter limit
+const INSERT_CHUNK = 50;
+const STATE_ID = 'chain';
+
+let running = false;
+let timer = null;
+let currentPass = null;
+let lastError = null;
+const listeners = new Set();
+
+async function currentDeployment() {
+  const deployments = await getDeployments();
+  const network = await getProvider().getNetwork();
+  return {
+    chainId: network.chainId.toString(),
+    contracts: Object.fromEntries(INDEXED_CONTRACTS.map((name) => [name, deployments.contracts[name]])),
+    startBlock: Number(deployments.deploymentBlock) || 0,
+  };
+}
+
+function sameContracts(a = {}, b = {}) {
+  return INDEXED_CONTRACTS.every((name) => a[name]?.toLowerCase() === b[name]?.toLowerCase());
+}
+
+async function resetIndex(deployment) {
+  const state = {
+    id: STATE_ID,
+    chainId: deployment.chainId,
+    contracts: deployment.contracts,
+    lastBlock: deployment.startBlock - 1,
+    updatedAt: new Date().toISOString(),
+  };
+  await runInTransaction(async (manager) => {
+    await manager.clear(ChainEvent);
+    await manager.clear(IndexedBlock);
+    await manager.delete(IndexerState, { id: STATE_ID });
+    await manager.insert(IndexerState, state);
+  });
+  return state;
+}
+
+async function loadState(deployment) {
+  const dataSource = await getDataSource();
+  const state = await dataSource.getRepository(IndexerState).findOneBy({ id: STATE_ID });
+  if (state && state.chainId === deployment.chainId && sameContracts(state.contracts, deployment.contracts)) {
+    return state;
+  }
+  if (state) {
+    console.log('⛓️  Contracts were redeployed, reindexing from the deployment block');
+  }
+  return resetIndex(deployment);
+}
+
+// The newest checkpoint whose hash still matches the chain, or null.
+async function findCommonBlock(head) {
+  const dataSource = await getDataSource();
+  const checkpoints = await dataSource.getRepository(IndexedBlock).find({ order: { number: 'DESC' } });
+  for (const checkpoint of checkpoints) {
+    if (checkpoint.number > head) continue;
+    const block = await getProvider().getBlock(checkpoint.number);
+    if (block?.hash === checkpoint.hash) {
+      return checkpoint.number;
+    }
+  }
+  return null;
+}
+
+async function rollbackTo(state, blockNumber) {
+  const updatedAt = new Date().toISOString();
+  await runInTransaction(async (manager) => {
+    await manager
+      .createQueryBuilder()
+      .delete()
+      .from(ChainEvent)
+      .where('blockNumber > :blockNumber', { blockNumber })
+      .execute();
+    await manager
+      .createQueryBuilder()
+      .delete()
+      .from(IndexedBlock)
+      .where('number > :blockNumber', { blockNumber })
+      .execute();
+    await manager.update(IndexerState, { id: STATE_ID }, { lastBlock: blockNumber, updatedAt });
+  });
+  state.lastBlock = blockNumber;
+  state.updatedAt = updatedAt;
+}
+
+// Returns the state to continue from, rolled back or reset if the chain
+// changed under the index.
+async function handleReorg(state, deployment, head) {
+  const dataSource = await getDataSource();
+  const [latest] = await dataSource.getRepository(IndexedBlock).find({ order: { number: 'DESC' }, take: 1 });
+  if (!latest) {
+    return state;
+  }
+  if (latest.number <= head) {
+    const block = await getProvider().getBlock(latest.number);
+    if (block?.hash === latest.hash) {
+      return state;
+    }
+  }
+
+  const common = await findCommonBlock(head);
+  if (common === null) {
+    console.warn('⛓️  Indexed blocks are no longer on the chain, reindexing from the deployment block');
+    return resetIndex(deployment);
+  }
+  console.warn(`⛓️  Chain reorganised, rolling the index back to block ${common}`);
+  await rollbackTo(state, common);
+  return state;
+}
+
+function toEventRow(event, block) {
+  const { args } = event;
+  const account = args.provider || args.beneficiary || args.account || null;
+  return {
+    id: `${event.txHash}:${event.logIndex}`,
+    contract: event.contract,
+    name: event.name,
+    args,
+    claimId: args.claimId ?? null,
+    policyId: args.policyId ?? null,
+    account: account && account.toLowerCase(),
+    blockNumber: event.blockNumber,
+    blockHash: event.blockHash,
+    txHash: event.txHash,
+    logIndex: event.logIndex,
+    timestamp: new Date(block.timestamp * 1000).toISOString(),
+  };
+}
+
+async function insertChunked(manager, entity, rows) {
+  for (let i = 0; i < rows.length; i += INSERT_CHUNK) {
+    await manager
+      .createQueryBuilder()
+      .insert()
+      .into(entity)
+      .values(rows.slice(i, i + INSERT_CHUNK))
+      .orIgnore()
+      .execute();
+  }
+}
+
+async function indexRange(state, fromBlock, toBlock) {
+  const provider = getProvider();
+  const events = await getContractEvents(fromBlock, toBlock);
+
+  // blocks with events (for timestamps) plus the range end as a checkpoint
+  const blocks = new Map();
+  for (const number of new Set([...events.map((event) => event.blockNumber), toBlock])) {
+    const block = await provider.getBlock(number);
+    if (!block) {
+      throw new Error(`Block ${number} disappeared while indexing`);
+    }
+    blocks.set(number, block);
+  }
+  for (const event of events) {
+    if (blocks.get(event.blockNumber).hash !== event.blockHash) {
+      throw new Error(`Block ${event.blockNumber} changed while indexing`);
+    }
+  }
+
+  const updatedAt = new Date().toISOString();
+  await runInTransaction(async (manager) => {
+    await insertChunked(
+      manager,
+      ChainEvent,
+      events.map((event) => toEventRow(event, blocks.get(event.blockNumber))),
+    );
+    await insertChunked(
+      manager,
+      IndexedBlock,
+      [...blocks.values()].map((block) => ({ number: block.number, hash: block.hash })),
+    );
+    await manager
+      .createQueryBuilder()
+      .delete()
+      .from(IndexedBlock)
+      .where('number <= :cutoff', { cutoff: toBlock - KEPT_BLOCKS })
+      .execute();
+    await manager.update(IndexerState, { id: STATE_ID }, { lastBlock: toBlock, updatedAt });
+  });
+  state.lastBlock = toBlock;
+  state.updatedAt = updatedAt;
+
+  if (events.length > 0) {
+    console.log(`⛓️  Indexed ${events.length} event(s) up to block ${toBlock}`);
+    const rows = events.map((event) => toEventRow(event, blocks.get(event.blockNumber)));
+    for (const listener of listeners) {
+      try {
+        await listener(rows);
+      } catch (error) {
+        console.warn('⛓️  Indexed event listener failed:', error.message);
+      }
+    }
+  }
+}
+
+// Calls `listener(rows)` with the chain_events rows of each committed batch.
+// After a reorg the same events can be indexed again, so listeners must be
+// idempotent. Returns a function that removes the listener.
+export function onIndexedEvents(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+async function runPass() {
+  const deployment = await currentDeployment();
+  const head = await getProvider().getBlockNumber();
+  let state = await loadState(deployment);
+  state = await handleReorg(state, deployment, head);
+  while (state.lastBlock < head) {
+    const fromBlock = state.lastBlock + 1;
+    await indexRange(state, fromBlock, Math.min(head, fromBlock + BATCH_SIZE - 1));
+  }
+}
+
+// Brings the index up to the current head; concurrent callers share one pass.
+export function syncIndex() {
+  if (!currentPass) {
+    currentPass = runPass().finally(() => {
+      currentPass = null;
+    });
+  }
+  return currentPass;
+}
+
+// Polls the chain until stopIndexer(). A failing pass (node down, contracts
+// not deployed yet) is logged once and retried on the next tick.
+export function startIndexer() {
+  if (running) return;
+  running = true;
+
+  const tick = async () => {
+    try {
+      await syncIndex();
+      if (lastError) {
+        console.log('⛓️  Indexer recovered');
+      }
+      lastError = null;
+    } catch (error) {
+      if (error.message !== lastError?.message) {
+        console.warn('⛓️  Indexer pass failed:', error.message);
+      }
+      lastError = { message: error.message, at: new Date().toISOString() };
+    }
+    if (running) {
+      timer = setTimeout(tick, POLL_INTERVAL_MS);
+    }
+  };
+  tick();
+}
+
+export function stopIndexer() {
+  running = false;
+  clearTimeout(timer);
+}
+
+export async function getIndexerStatus() {
+  const dataSource = await getDataSource();
+  const state = await dataSource.getRepository(IndexerState).findOneBy({ id: STATE_ID });
+  return {
+    running,
+    chainId: state?.chainId ?? null,
+    contracts: state?.contracts ?? null,
+    lastBlock: state?.lastBlock ?? null,
+    updatedAt: state?.updatedAt ?? null,
+    events: await dataSource.getRepository(ChainEvent).count(),
+    lastError,
+  };
+}
+
+// --- Queries ---------------------------------------------------
+// These read the index only, so they lag the chain by up to one poll.
+
+const CHAIN_ORDER = { blockNumber: 'ASC', logIndex: 'ASC' };
+
+function eventOrigin(row) {
+  return { blockNumber: row.blockNumber, txHash: row.txHash, timestamp: row.timestamp };
+}
+
+async function findClaims(where) {
+  const repository = (await getDataSource()).getRepository(ChainEvent);
+  const submitted = await repository.find({ where: { name: 'ClaimSubmitted', ...where }, order: CHAIN_ORDER });
+  if (submitted.length === 0) {
+    return [];
+  }
+  const changes = await repository.find({
+    where: { name: 'ClaimStateChanged', claimId: In(submitted.map((row) => row.claimId)) },
+    order: CHAIN_ORDER,
+  });
+
+  const claims = new Map(
+    submitted.map((row) => [
+      row.claimId,
+      {
+        claimId: row.claimId,
+        policyId: row.policyId,
+        provider: row.args.provider,
+        ipfsHash: row.args.ipfsHash,
+        vcCid: row.args.vcCid,
+        state: 'Submitted',
+        history: [{ state: 'Submitted', reason: null, ...eventOrigin(row) }],
+      },
+    ]),
+  );
+  for (const row of changes) {
+    const claim = claims.get(row.claimId);
+    claim.state = row.args.newState;
+    claim.history.push({ state: row.args.newState, reason: row.args.reason || null, ...eventOrigin(row) });
+  }
+  return [...claims.values()];
+}
+
+// The policy as issued (null if not indexed) and its claims with their full
+// state history.
+export async function getPolicyClaims(policyId) {
+  const repository = (await getDataSource()).getRepository(ChainEvent);
+  const issued = await repository.findOneBy({ name: 'PolicyIssued', policyId: String(policyId) });
+  return {
+    policy: issued && {
+      policyId: issued.policyId,
+      insurer: issued.args.insurer,
+      beneficiary: issued.args.beneficiary,
+      coverageAmount: issued.args.coverageAmount,
+      ...eventOrigin(issued),
+    },
+    claims: await findClaims({ policyId: String(policyId) }),
+  };
+}
+
+export async function getPolicyDeactivations() {
+  const repository = (await getDataSource()).getRepository(ChainEvent);
+  const rows = await repository.find({ where: { name: 'PolicyDeactivated' }, order: CHAIN_ORDER });
+  return rows.map((row) => ({ policyId: row.policyId, insurer: row.args.insurer, ...eventOrigin(row) }));
+}
+
+export async function getProviderClaims(provider) {
+  return findClaims({ account: provider.toLowerCase() });
+}
+
+export async function getRegistrations({ role } = {}) {
+  const repository = (await getDataSource()).getRepository(ChainEvent);
+  const rows = await repository.find({ where: { name: 'Registered' }, order: CHAIN_ORDER });
+  return rows
+    .filter((row) => !role || row.args.role === role)
+    .map((row) => ({ account: row.args.account, did: row.args.did, role: row.args.role, ...eventOrigin(row) }));
+}
@@ -0,0 +1,194 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+import { AbstractKeyManagementSystem } from '@veramo/key-manager';
+import { Signature, SigningKey, computeAddress, sha256, verifyTypedData } from 'ethers';
+
+// Signing with keys that never leave the browser. A DID registered with
+// POST /did/register is known here by its public key only, held by the
+// 'client' KMS below. When the agent signs as such a DID (a credential, a
+// status list) the KMS records the bytes it was asked to sign and hands back
+// a random placeholder, so the credential can be built as usual. The result
+// is kept as a signing request: the client signs each payload with the DID's
+// key and posts the signatures to /signatures/:id, they are checked against
+// the public key and put in place of the placeholders, and the request's
+// `finish` step stores the now signed result. Requests live in memory and
+// expire after SIGNING_REQUEST_TTL_SECONDS, when `release` undoes whatever
+// was reserved for them.
+
+export const CLIENT_KMS = 'client';
+const SIGNING_REQUEST_TTL_SECONDS = Number(process.env.SIGNING_REQUEST_TTL_SECONDS) || 10 * 60;
+
+// what each key type can sign, in the KMS's algorithm names
+const KEY_ALGORITHMS = {
+  Ed25519: ['EdDSA', 'Ed25519'],
+  Secp256k1: ['ES256K', 'ES256K-R', 'eth_signTypedData'],
+};
+
+const signingSession = new AsyncLocalStorage();
+const signingRequests = new Map();
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Shaped like the real signature, so nothing building the credential trips
+// over it; random, so it is found again only where it was put.
+function placeholder(algorithm) {
+  if (algorithm === 'eth_signTypedData') {
+    return `0x${crypto.randomBytes(65).toString('hex')}`;
+  }
+  return crypto.randomBytes(algorithm === 'ES256K-R' ? 65 : 64).toString('base64url');
+}
+
+export class ClientKeyManagementSystem extends AbstractKeyManagementSystem {
+  async importKey({ kid, type, publicKeyHex, privateKeyHex }) {
+    if (privateKeyHex) {
+      throw new Error('invalid_argument: keys of the client KMS stay with the client; import the public key only');
+    }
+    if (!KEY_ALGORITHMS[type] || !publicKeyHex) {
+      throw new Error(`not_supported: the client KMS takes Ed25519 and Secp256k1 public keys, not ${type}`);
+    }
+    return { kid: kid || publicKeyHex, type, publicKeyHex, meta: { algorithms: KEY_ALGORITHMS[type] } };
+  }
+
+  async createKey() {
+    throw new Error('not_supported: keys of the client KMS are created by the client');
+  }
+
+  async deleteKey() {
+    return true;
+  }
+
+  async listKeys() {
+    return [];
+  }
+
+  async sharedSecret() {
+    throw new Error('not_supported: the client KMS cannot derive shared secrets');
+  }
+
+  async sign({ keyRef, algorithm, data }) {
+    const requests = signingSession.getStore();
+    if (!requests) {
+      throw new Error(`Key ${keyRef.kid} is held by the client; sign with it through signWithHeldKeys()`);
+    }
+    const signedWith = algorithm || KEY_ALGORITHMS[keyRef.type]?.[0];
+    if (!KEY_ALGORITHMS[keyRef.type]?.includes(signedWith)) {
+      throw new Error(`not_supported: a ${keyRef.type} key cannot sign with ${signedWith}`);
+    }
+    const signature = placeholder(signedWith);
+    requests.push({ key: keyRef, algorithm: signedWith, data: Buffer.from(data), placeholder: signature });
+    return signature;
+  }
+}
+
+export function isHeldByClient(identifier) {
+  return identifier.keys.some((key) => key.kms === CLIENT_KMS);
+}
+
+// Runs `sign`, which signs through the agent. Resolves with its result and
+// what it left for the client to sign: no requests when every key it used is
+// in this backend's key store.
+export async function signWithHeldKeys(sign) {
+  const requests = [];
+  const result = await signingSession.run(requests, sign);
+  return { result, requests };
+}
+
+function verifySignature({ key, algorithm, data }, signature) {
+  try {
+    if (algorithm === 'eth_signTypedData') {
+      const { domain, types, message } = JSON.parse(data.toString('utf8'));
+      const { EIP712Domain, ...messageTypes } = types;
+      return verifyTypedData(domain, messageTypes, message, signature) === computeAddress(`0x${key.publicKeyHex}`);
+    }
+    if (!/^[\w-]+$/.test(signature)) {
+      return false;
+    }
+    const bytes = Buffer.from(signature, 'base64url');
+    if (key.type === 'Ed25519') {
+      const publicKey = crypto.createPublicKey({
+        key: { kty: 'OKP', crv: 'Ed25519', x: Buffer.from(key.publicKeyHex, 'hex').toString('base64url') },
+        format: 'jwk',
+      });
+      return bytes.length === 64 && crypto.verify(null, data, publicKey, bytes);
+    }
+    // ES256K is r || s over the SHA-256 of the data, ES256K-R adds the recovery id
+    if (bytes.length !== (algorithm === 'ES256K-R' ? 65 : 64)) {
+      return false;
+    }
+    const expected = SigningKey.computePublicKey(`0x${key.publicKeyHex}`, true);
+    const yParities = algorithm === 'ES256K-R' ? [bytes[64]] : [0, 1];
+    return yParities.some((yParity) => {
+      const candidate = Signature.from({
+        r: `0x${bytes.subarray(0, 32).toString('hex')}`,
+        s: `0x${bytes.subarray(32, 64).toString('hex')}`,
+        yParity,
+      });
+      return SigningKey.computePublicKey(SigningKey.recoverPublicKey(sha256(data), candidate), true) === expected;
+    });
+  } catch {
+    return false;
+  }
+}
+
+// Keeps `result` until `did` signs the payloads in `requests` (both from
+// signWithHeldKeys). Returns what the client is given to sign: { id, did,
+// expiresAt, payloads: [{ algorithm, data }] } with `data` base64url.
+// `finish(signedResult)` runs once the signatures are in; `release()` if they
+// never are, or turn out invalid, or `finish` fails.
+export function createSigningRequest(did, { result, requests }, { finish, release = async () => {} }) {
+  const id = crypto.randomUUID();
+  const expiresAt = Date.now() + SIGNING_REQUEST_TTL_SECONDS * 1000;
+  const timer = setTimeout(() => {
+    if (signingRequests.delete(id)) {
+      release().catch((error) => console.error(`Releasing signing request ${id} failed:`, error));
+    }
+  }, SIGNING_REQUEST_TTL_SECONDS * 1000);
+  timer.unref();
+  signingRequests.set(id, { did, result, requests, finish, release, timer });
+  return {
+    id,
+    did,
+    expiresAt: new Date(expiresAt).toISOString(),
+    payloads: requests.map(({ algorithm, data }) => ({ algorithm, data: data.toString('base64url') })),
+  };
+}
+
+// The DID a pending signing request is for, or null.
+export function getSigningRequestSigner(id) {
+  return signingRequests.get(id)?.did ?? null;
+}
+
+// `signatures` holds one signature per payload, in order. A request is
+// answered once: it is gone whether or not the signatures check out.
+// Resolves with what its `finish` step returns.
+export async function completeSigningRequest(id, signatures) {
+  const request = signingRequests.get(id);
+  if (!request) {
+    throw httpError(404, `Signing request ${id} not found or expired`);
+  }
+  signingRequests.delete(id);
+  clearTimeout(request.timer);
+
+  try {
+    if (!Array.isArray(signatures) || signatures.length !== request.requests.length) {
+      throw httpError(400, `Expected ${request.requests.length} signature(s), one per payload`);
+    }
+    request.requests.forEach((payload, index) => {
+      if (typeof signatures[index] !== 'string' || !verifySignature(payload, signatures[index])) {
+        throw httpError(400, `Signature ${index + 1} is not ${request.did}'s signature of its payload`);
+      }
+    });
+    let serialized = JSON.stringify(request.result);
+    request.requests.forEach((payload, index) => {
+      serialized = serialized.split(payload.placeholder).join(signatures[index]);
+    });
+    return await request.finish(JSON.parse(serialized));
+  } catch (error) {
+    await request.release().catch((releaseError) => console.error(`Releasing signing request ${id} failed:`, releaseError));
+    throw error;
+  }
+}
@@ -7,27 +7,81 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const RPC_URL = process.env.RPC_URL || 'http://127.0.0.1:8545';
+const DEPLOYMENTS_PATH = path.join(__dirname, '..', 'deployments.json');
+// how often watchDeployments() looks at deployments.json
+const DEPLOYMENTS_POLL_MS = 1000;
 
 let provider = null;
-let deployments = null;
+// deployments.json: one deployment per chain, keyed by chain id
+let deploymentsFile = null;
+let chainIdRequest = null;
 
 export function getProvider() {
   if (!provider) {
-    provider = new ethers.JsonRpcProvider(RPC_URL);
+    // Response caching would hand back stale nonces to back-to-back writes.
+    provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { cacheTimeout: -1 });
   }
   return provider;
 }
 
-export function getDeployments() {
-  if (!deployments) {
-    const deploymentsPath = path.join(__dirname, '..', 'deployments.json');
-    if (fs.existsSync(deploymentsPath)) {
-      deployments = JSON.parse(fs.readFileSync(deploymentsPath, 'utf8'));
-    } else {
-      throw new Error('Deployments file not found. Please deploy contracts first.');
+function readDeploymentsFile() {
+  if (!deploymentsFile) {
+    if (!fs.existsSync(DEPLOYMENTS_PATH)) {
+      throw Object.assign(new Error('Deployments file not found. Please deploy contracts first.'), { statusCode: 503 });
     }
+    const parsed = JSON.parse(fs.readFileSync(DEPLOYMENTS_PATH, 'utf8'));
+    // files from before deployments were keyed by chain hold a single one
+    deploymentsFile = parsed.contracts ? { [parsed.chainId]: parsed } : parsed;
   }
-  return deployments;
+  return deploymentsFile;
+}
+
+// Chain id of the node at RPC_URL, asked once (again if asking failed).
+export async function getChainId() {
+  if (!chainIdRequest) {
+    chainIdRequest = getProvider()
+      .getNetwork()
+      .then((network) => network.chainId.toString());
+    chainIdRequest.catch(() => {
+      chainIdRequest = null;
+    });
+  }
+  return chainIdRequest;
+}
+
+// The deployment on RPC_URL's chain: { network, chainId, rpcUrl, contracts,
+// deployer, deploymentBlock, timestamp }.
+export async function getDeployments() {
+  const chainId = await getChainId();
+  const deployment = readDeploymentsFile()[chainId];
+  if (!deployment) {
+    throw Object.assign(
+      new Error(`deployments.json has no contracts for chain ${chainId} (RPC_URL); deploy to that network first`),
+      { statusCode: 503 },
+    );
+  }
+  return deployment;
+}
+
+// Reloads deployments.json whenever it changes (`npm run deploy` after a
+// Hardhat node restart) and calls `onChange(deployment)` with the deployment
+// for RPC_URL's chain. A file that is missing or half-written is reported,
+// and read again by the next getDeployments(). Returns a function that stops
+// watching.
+export function watchDeployments(onChange = () => {}) {
+  // fs.watchFile also fires on reads, and its `previous` is unreliable once
+  // the file was deleted, so changes are judged against the last mtime seen
+  let seenMtimeMs = fs.existsSync(DEPLOYMENTS_PATH) ? fs.statSync(DEPLOYMENTS_PATH).mtimeMs : 0;
+  const listener = (current) => {
+    if (current.mtimeMs === seenMtimeMs) return;
+    seenMtimeMs = current.mtimeMs;
+    deploymentsFile = null;
+    getDeployments().then(onChange, (error) => {
+      console.warn('📄 deployments.json could not be reloaded:', error.message);
+    });
+  };
+  fs.watchFile(DEPLOYMENTS_PATH, { interval: DEPLOYMENTS_POLL_MS }, listener);
+  return () => fs.unwatchFile(DEPLOYMENTS_PATH, listener);
 }
 
 export function getContractABI(contractName) {
@@ -39,8 +93,8 @@ export function getContractABI(contractName) {
   throw new Error(`Contract ABI not found for ${contractName}`);
 }
 
-export function getContract(contractName, signerOrProvider) {
-  const deployments = getDeployments();
+export async function getContract(contractName, signerOrProvider) {
+  const deployments = await getDeployments();
   const abi = getContractABI(contractName);
   const address = deployments.contracts[contractName];
   if (!address) {
@@ -49,8 +103,199 @@ export function getContract(contractName, signerOrProvider) {
   return new ethers.Contract(address, abi, signerOrProvider);
 }
 
-export async function getSigner(privateKey) {
-  const provider = getProvider();
-  return new ethers.Wallet(privateKey, provider);
+// Names of the deployed contracts with no code at their address, which is
+// what a restarted Hardhat node leaves behind until `npm run deploy` is rerun.
+export async function findMissingContracts() {
+  const { contracts } = await getDeployments();
+  const missing = [];
+  for (const [name, address] of Object.entries(contracts)) {
+    if ((await getProvider().getCode(address)) === '0x') {
+      missing.push(name);
+    }
+  }
+  return missing;
 }
 
+// The deployment as the frontend needs it: chain, and each contract's address,
+// ABI and whether there is code at the address. `rpcUrl` is only recorded for
+// local networks, which wallets have to be told how to reach.
+export async function getContractsConfig() {
+  const { network, chainId, rpcUrl, deploymentBlock, contracts } = await getDeployments();
+  const missing = await findMissingContracts();
+  return {
+    network,
+    chainId,
+    rpcUrl: rpcUrl || null,
+    deploymentBlock,
+    contracts: Object.fromEntries(
+      Object.entries(contracts).map(([name, address]) => [
+        name,
+        { address, abi: getContractABI(name), hasCode: !missing.includes(name) },
+      ]),
+    ),
+  };
+}
+
+export const ROLES = { None: 0, Patient: 1, Provider: 2, Insurer: 3 };
+const ROLE_NAMES = Object.keys(ROLES);
+export const CLAIM_STATES = ['Submitted', 'UnderReview', 'Approved', 'Rejected', 'Paid'];
+
+// ethers v6 hands back BigInt and Result proxies; neither survives JSON.stringify.
+export function toPlain(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, toPlain(v)]));
+  }
+  return value;
+}
+
+// Event enums come back as numbers; callers want the names.
+function nameEnums(eventName, args) {
+  if (eventName === 'Registered') {
+    return { ...args, role: ROLE_NAMES[Number(args.role)] };
+  }
+  if (eventName === 'ClaimStateChanged') {
+    return { ...args, newState: CLAIM_STATES[Number(args.newState)] };
+  }
+  return args;
+}
+
+export function decodeEvents(contract, receipt) {
+  const events = [];
+  for (const log of receipt.logs) {
+    let parsed = null;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch {
+      // log emitted by another contract
+    }
+    if (parsed) {
+      events.push({ name: parsed.name, args: toPlain(parsed.args.toObject()) });
+    }
+  }
+  return events;
+}
+
+export function getRevertReason(error) {
+  return (
+    error.revert?.args?.[0] ||
+    error.reason ||
+    error.info?.error?.data?.message ||
+    error.info?.error?.message ||
+    error.shortMessage ||
+    error.message
+  );
+}
+
+// Reverts carry the contract's reason; anything else (network, bad key) is rethrown as is.
+function wrapRevert(method, error) {
+  if (error.code !== 'CALL_EXCEPTION') {
+    return error;
+  }
+  const reason = getRevertReason(error);
+  const wrapped = new Error(`${method} reverted: ${reason}`);
+  wrapped.revertReason = reason;
+  return wrapped;
+}
+
+async function callView(contract, method, args) {
+  try {
+    return await contract[method](...args);
+  } catch (error) {
+    throw wrapRevert(method, error);
+  }
+}
+
+// Role name for an account, 'None' when it never registered.
+export async function getRole(account) {
+  const registry = await getContract('IdentityRegistry', getProvider());
+  const identity = await callView(registry, 'identities', [account]);
+  return ROLE_NAMES[Number(identity.role)];
+}
+
+// Throws "getPolicy reverted: Policy does not exist" for an unknown id.
+export async function getPolicy(policyId) {
+  const policies = await getContract('PolicyContract', getProvider());
+  return toPlain((await callView(policies, 'getPolicy', [BigInt(policyId)])).toObject());
+}
+
+// The PolicyIssued event PolicyContract emitted in transaction `txHash`, or
+// null if it emitted none there.
+export async function getPolicyIssuance(txHash) {
+  const policies = await getContract('PolicyContract', getProvider());
+  const receipt = await getProvider().getTransactionReceipt(txHash);
+  const address = (await policies.getAddress()).toLowerCase();
+  const logs = receipt ? receipt.logs.filter((log) => log.address.toLowerCase() === address) : [];
+  return decodeEvents(policies, { logs }).find((event) => event.name === 'PolicyIssued')?.args ?? null;
+}
+
+export async function getClaim(claimId) {
+  const claims = await getContract('ClaimContract', getProvider());
+  const claim = toPlain((await callView(claims, 'getClaim', [BigInt(claimId)])).toObject());
+  return { ...claim, state: CLAIM_STATES[Number(claim.state)] };
+}
+
+// Calls `listener({ name, args, claim, txHash, blockNumber })` for every
+// ClaimSubmitted / ClaimStateChanged event as it is mined, with the claim's
+// current on-chain record attached (the events do not carry beneficiary or
+// insurer). Resolves with a function that stops watching.
+export async function watchClaimEvents(listener) {
+  const claims = await getContract('ClaimContract', getProvider());
+  const handle = (name) => async (...params) => {
+    const { args, log } = params[params.length - 1];
+    try {
+      const plainArgs = nameEnums(name, toPlain(args.toObject()));
+      listener({
+        name,
+        args: plainArgs,
+        claim: await getClaim(plainArgs.claimId),
+        txHash: log.transactionHash,
+        blockNumber: log.blockNumber,
+      });
+    } catch (error) {
+      console.error(`Handling ${name} failed:`, error);
+    }
+  };
+
+  const onSubmitted = handle('ClaimSubmitted');
+  const onStateChanged = handle('ClaimStateChanged');
+  claims.on('ClaimSubmitted', onSubmitted);
+  claims.on('ClaimStateChanged', onStateChanged);
+  return () => {
+    claims.off('ClaimSubmitted', onSubmitted);
+    claims.off('ClaimStateChanged', onStateChanged);
+  };
+}
+
+export const INDEXED_CONTRACTS = ['IdentityRegistry', 'PolicyContract', 'ClaimContract'];
+
+// Every event the deployed contracts emitted in [fromBlock, toBlock], in chain
+// order, with enums named and the log's position attached.
+export async function getContractEvents(fromBlock, toBlock) {
+  const provider = getProvider();
+  const byAddress = new Map();
+  for (const name of INDEXED_CONTRACTS) {
+    const contract = await getContract(name, provider);
+    byAddress.set(contract.target.toLowerCase(), { name, contract });
+  }
+  const logs = await provider.getLogs({ address: [...byAddress.keys()], fromBlock, toBlock });
+
+  const events = [];
+  for (const log of logs) {
+    const { name: contractName, contract } = byAddress.get(log.address.toLowerCase());
+    const parsed = contract.interface.parseLog(log);
+    if (parsed) {
+      events.push({
+        contract: contractName,
+        name: parsed.name,
+        args: nameEnums(parsed.name, toPlain(parsed.args.toObject())),
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        txHash: log.transactionHash,
+        logIndex: log.index,
+      });
+    }
+  }
+  return events;
+}
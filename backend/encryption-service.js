@@ -0,0 +1,100 @@
+import { Readable } from 'stream';
+import { uploadToIPFS, uploadStreamToIPFS, getFromIPFS } from './ipfs-service.js';
+import { recordPin } from './pin-registry.js';
+
+// Documents are encrypted in the uploader's browser and decrypted in a
+// recipient's (frontend/src/encryption.js); this backend never holds their
+// keys or plaintext. The content is encrypted once with a random AES-256-GCM
+// key. That key (plus the IV, tag and the real filename/MIME type) is sealed
+// in a JWE with one ECDH-ES+XC20PKW recipient per DID, using the X25519 form
+// of the did:key's Ed25519 key. Ciphertext and manifest (recipients and JWE)
+// are separate IPFS objects; only the manifest CID needs to be shared.
+
+const MANIFEST_TYPE = 'EncryptedDocument';
+const DID_KEY_PATTERN = /^did:key:z[1-9A-HJ-NP-Za-km-z]+$/;
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+async function* countBytes(source, stats, isTruncated) {
+  for await (const chunk of Buffer.isBuffer(source) ? [source] : source) {
+    stats.size += chunk.length;
+    yield chunk;
+  }
+  if (isTruncated && isTruncated()) {
+    throw new Error('File exceeds the maximum upload size');
+  }
+}
+
+// The JWE as sent (an object or its JSON), checked for the shape the browser
+// builds: general JSON serialization, one recipient per DID. Whether it opens
+// is only known to the recipients.
+function parseKeyEnvelope(keyEnvelope, recipientCount) {
+  let parsed = keyEnvelope;
+  if (typeof parsed === 'string') {
+    try {
+      parsed = JSON.parse(parsed);
+    } catch {
+      parsed = null;
+    }
+  }
+  const isJWE =
+    parsed &&
+    ['protected', 'iv', 'ciphertext', 'tag'].every((field) => typeof parsed[field] === 'string') &&
+    Array.isArray(parsed.recipients) &&
+    parsed.recipients.length === recipientCount;
+  if (!isJWE) {
+    throw httpError(400, 'keyEnvelope must be a JWE in JSON serialization with one recipient per DID');
+  }
+  return parsed;
+}
+
+// Stores a document the client already encrypted: `source` (a Buffer or a
+// readable stream) is the ciphertext and `keyEnvelope` the JWE sealing its
+// key for `recipients`. `isTruncated` and `uploadedBy` work as in
+// storeFileStream.
+export async function storeEncryptedDocument({ source, keyEnvelope, recipients, isTruncated, uploadedBy }) {
+  const uniqueRecipients = [...new Set(recipients || [])];
+  if (uniqueRecipients.length === 0) {
+    throw httpError(400, 'At least one recipient DID is required');
+  }
+  const invalid = uniqueRecipients.find((did) => !DID_KEY_PATTERN.test(did));
+  if (invalid) {
+    throw httpError(400, `Cannot encrypt for ${invalid}: recipients must be did:key DIDs`);
+  }
+  // checked first so a bad envelope fails before anything is uploaded
+  const envelope = parseKeyEnvelope(keyEnvelope, uniqueRecipients.length);
+
+  const stats = { size: 0 };
+  const ciphertextCid = await uploadStreamToIPFS(Readable.from(countBytes(source, stats, isTruncated)));
+
+  const manifest = {
+    type: MANIFEST_TYPE,
+    version: 1,
+    ciphertext: ciphertextCid,
+    recipients: uniqueRecipients,
+    keyEnvelope: envelope,
+    createdAt: new Date().toISOString(),
+  };
+  const manifestCid = await uploadToIPFS(JSON.stringify(manifest));
+  await recordPin(manifestCid, { kind: 'encrypted-manifest', uploadedBy });
+  await recordPin(ciphertextCid, { kind: 'encrypted-document', refs: [`manifest:${manifestCid}`], uploadedBy });
+
+  return { manifestCid, ciphertextCid, recipients: uniqueRecipients, size: stats.size };
+}
+
+export async function getManifest(manifestCid) {
+  let manifest;
+  try {
+    manifest = JSON.parse(await getFromIPFS(manifestCid));
+  } catch (error) {
+    throw httpError(404, `No encrypted document manifest at ${manifestCid}`);
+  }
+  if (manifest.type !== MANIFEST_TYPE) {
+    throw httpError(400, `${manifestCid} is not an encrypted document manifest`);
+  }
+  return manifest;
+}
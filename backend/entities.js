@@ -0,0 +1,271 @@
+import { EntitySchema } from 'typeorm';
+
+// Application tables living next to Veramo's own in veramo.sqlite. Timestamps
+// are ISO strings so rows serialise exactly as the old JSON stores did.
+
+export const StoredCredential = new EntitySchema({
+  name: 'StoredCredential',
+  tableName: 'stored_credentials',
+  columns: {
+    id: { type: 'varchar', primary: true },
+    policyId: { type: 'varchar', nullable: true },
+    subjectDid: { type: 'varchar', nullable: true },
+    issuerDid: { type: 'varchar', nullable: true },
+    vc: { type: 'simple-json' },
+    // 'jwt', 'sd-jwt' (selective disclosure, vc.proof.sdJwt), 'lds' (Linked
+    // Data proof) or 'EthereumEip712Signature2021'
+    format: { type: 'varchar', default: 'jwt' },
+    ipfsCid: { type: 'varchar', nullable: true },
+    // the credential's expirationDate; null when it does not expire
+    expiresAt: { type: 'varchar', nullable: true },
+    // renewal chain: the credential this one renews, and the one renewing it
+    previousCredentialId: { type: 'varchar', nullable: true },
+    renewedBy: { type: 'varchar', nullable: true },
+    createdAt: { type: 'varchar' },
+  },
+  indices: [
+    { name: 'IDX_stored_credentials_policyId', columns: ['policyId'] },
+    { name: 'IDX_stored_credentials_subjectDid', columns: ['subjectDid'] },
+    { name: 'IDX_stored_credentials_expiresAt', columns: ['expiresAt'] },
+  ],
+});
+
+export const PolicyRequest = new EntitySchema({
+  name: 'PolicyRequest',
+  tableName: 'policy_requests',
+  columns: {
+    id: { type: 'varchar', primary: true },
+    patientDid: { type: 'varchar' },
+    patientAddress: { type: 'varchar' },
+    // wallet address or DID of the insurer the request is addressed to; null
+    // means any insurer may pick it up
+    insurer: { type: 'varchar', nullable: true },
+    coverageAmount: { type: 'varchar' },
+    details: { type: 'simple-json' },
+    status: { type: 'varchar', default: 'pending' },
+    // set once the request is issued
+    vcCid: { type: 'varchar', nullable: true },
+    onchainPolicyId: { type: 'varchar', nullable: true },
+    onchainTxHash: { type: 'varchar', nullable: true },
+    createdAt: { type: 'varchar' },
+    updatedAt: { type: 'varchar', nullable: true },
+  },
+  indices: [
+    { name: 'IDX_policy_requests_patientDid', columns: ['patientDid'] },
+    { name: 'IDX_policy_requests_status', columns: ['status'] },
+    { name: 'IDX_policy_requests_insurer', columns: ['insurer'] },
+    { name: 'IDX_policy_requests_createdAt', columns: ['createdAt'] },
+  ],
+});
+
+// One row per status change, including creation (fromStatus null).
+export const PolicyRequestEvent = new EntitySchema({
+  name: 'PolicyRequestEvent',
+  tableName: 'policy_request_events',
+  columns: {
+    id: { type: 'integer', primary: true, generated: 'increment' },
+    requestId: { type: 'varchar' },
+    fromStatus: { type: 'varchar', nullable: true },
+    toStatus: { type: 'varchar' },
+    actor: { type: 'varchar' },
+    reason: { type: 'text', nullable: true },
+    createdAt: { type: 'varchar' },
+  },
+  indices: [{ name: 'IDX_policy_request_events_requestId', columns: ['requestId'] }],
+});
+
+// StatusList2021 lists published at /status/:id (status-list.js), one per
+// issuer and purpose until it is full. `version` goes up with every status
+// change; `credential` is the signed list as of `credentialVersion`.
+export const StatusList = new EntitySchema({
+  name: 'StatusList',
+  tableName: 'status_lists',
+  columns: {
+    id: { type: 'varchar', primary: true },
+    issuerDid: { type: 'varchar' },
+    // revocation | suspension
+    purpose: { type: 'varchar' },
+    size: { type: 'integer' },
+    allocated: { type: 'integer', default: 0 },
+    version: { type: 'integer', default: 0 },
+    credential: { type: 'simple-json', nullable: true },
+    credentialVersion: { type: 'integer', nullable: true },
+    createdAt: { type: 'varchar' },
+  },
+  indices: [{ name: 'IDX_status_lists_issuerDid_purpose', columns: ['issuerDid', 'purpose'] }],
+});
+
+// A credential's bit in a status list; `set` means revoked or suspended,
+// depending on the list's purpose.
+export const CredentialStatus = new EntitySchema({
+  name: 'CredentialStatus',
+  tableName: 'credential_statuses',
+  columns: {
+    id: { type: 'integer', primary: true, generated: 'increment' },
+    credentialId: { type: 'varchar' },
+    listId: { type: 'varchar' },
+    statusIndex: { type: 'integer' },
+    purpose: { type: 'varchar' },
+    set: { type: 'boolean', default: false },
+    reason: { type: 'text', nullable: true },
+    // who last changed the bit: the issuer's DID, or the insurer's address
+    // for an on-chain deactivation
+    updatedBy: { type: 'varchar', nullable: true },
+    updatedAt: { type: 'varchar', nullable: true },
+  },
+  uniques: [{ name: 'UQ_credential_statuses_list_index', columns: ['listId', 'statusIndex'] }],
+  indices: [{ name: 'IDX_credential_statuses_credentialId', columns: ['credentialId'] }],
+});
+
+// CIDs this backend stored in IPFS (pin-registry.js). `refs` are what the
+// content belongs to, e.g. "claim:3", "policy:7", "vc:<id>", "manifest:<cid>".
+export const Pin = new EntitySchema({
+  name: 'Pin',
+  tableName: 'pins',
+  columns: {
+    cid: { type: 'varchar', primary: true },
+    kind: { type: 'varchar' },
+    refs: { type: 'simple-json' },
+    // DID or wallet address of the uploader
+    uploadedBy: { type: 'varchar', nullable: true },
+    createdAt: { type: 'varchar' },
+    pinned: { type: 'boolean', default: true },
+    pinnedAt: { type: 'varchar', nullable: true },
+    unpinnedAt: { type: 'varchar', nullable: true },
+    unpinReason: { type: 'text', nullable: true },
+  },
+  indices: [
+    { name: 'IDX_pins_kind', columns: ['kind'] },
+    { name: 'IDX_pins_uploadedBy', columns: ['uploadedBy'] },
+  ],
+});
+
+// Contract events copied by chain-indexer.js. `claimId`, `policyId` and
+// `account` (lower-cased provider, beneficiary or registered address) are
+// lifted out of `args` so the query endpoints can filter on them.
+export const ChainEvent = new EntitySchema({
+  name: 'ChainEvent',
+  tableName: 'chain_events',
+  columns: {
+    // `${txHash}:${logIndex}`
+    id: { type: 'varchar', primary: true },
+    contract: { type: 'varchar' },
+    name: { type: 'varchar' },
+    args: { type: 'simple-json' },
+    claimId: { type: 'varchar', nullable: true },
+    policyId: { type: 'varchar', nullable: true },
+    account: { type: 'varchar', nullable: true },
+    blockNumber: { type: 'integer' },
+    blockHash: { type: 'varchar' },
+    txHash: { type: 'varchar' },
+    logIndex: { type: 'integer' },
+    timestamp: { type: 'varchar' },
+  },
+  indices: [
+    { name: 'IDX_chain_events_blockNumber', columns: ['blockNumber'] },
+    { name: 'IDX_chain_events_name', columns: ['name'] },
+    { name: 'IDX_chain_events_claimId', columns: ['claimId'] },
+    { name: 'IDX_chain_events_policyId', columns: ['policyId'] },
+    { name: 'IDX_chain_events_account', columns: ['account'] },
+  ],
+});
+
+// Hashes of recently indexed blocks, to notice when the chain under the index
+// has been replaced (reorg, evm_revert, restarted node).
+export const IndexedBlock = new EntitySchema({
+  name: 'IndexedBlock',
+  tableName: 'indexed_blocks',
+  columns: {
+    number: { type: 'integer', primary: true },
+    hash: { type: 'varchar' },
+  },
+});
+
+// Single row: which deployment is indexed and how far.
+export const IndexerState = new EntitySchema({
+  name: 'IndexerState',
+  tableName: 'indexer_state',
+  columns: {
+    id: { type: 'varchar', primary: true },
+    chainId: { type: 'varchar' },
+    contracts: { type: 'simple-json' },
+    lastBlock: { type: 'integer' },
+    updatedAt: { type: 'varchar' },
+  },
+});
+
+// Transactions sent by relayer.js. `txHashes` lists every broadcast for the
+// job's nonce (the original and its fee-bumped replacements); `txHash` is the
+// one that was mined.
+export const RelayJob = new EntitySchema({
+  name: 'RelayJob',
+  tableName: 'relay_jobs',
+  columns: {
+    // caller-chosen idempotency key, or a random UUID
+    id: { type: 'varchar', primary: true },
+    signer: { type: 'varchar' },
+    contract: { type: 'varchar' },
+    method: { type: 'varchar' },
+    args: { type: 'simple-json' },
+    // queued | submitted | mined | failed
+    status: { type: 'varchar' },
+    nonce: { type: 'integer', nullable: true },
+    gasLimit: { type: 'varchar', nullable: true },
+    maxFeePerGas: { type: 'varchar', nullable: true },
+    maxPriorityFeePerGas: { type: 'varchar', nullable: true },
+    txHashes: { type: 'simple-json' },
+    txHash: { type: 'varchar', nullable: true },
+    blockNumber: { type: 'integer', nullable: true },
+    gasUsed: { type: 'varchar', nullable: true },
+    events: { type: 'simple-json', nullable: true },
+    // failed sends so far; the next try waits until nextAttemptAt
+    attempts: { type: 'integer', default: 0 },
+    nextAttemptAt: { type: 'varchar', nullable: true },
+    replacements: { type: 'integer', default: 0 },
+    lastSentAt: { type: 'varchar', nullable: true },
+    error: { type: 'text', nullable: true },
+    revertReason: { type: 'text', nullable: true },
+    createdAt: { type: 'varchar' },
+    updatedAt: { type: 'varchar' },
+  },
+  indices: [
+    { name: 'IDX_relay_jobs_status', columns: ['status'] },
+    { name: 'IDX_relay_jobs_signer', columns: ['signer'] },
+  ],
+});
+
+// Gasless requests accepted by forwarder-service.js, one per relayer job;
+// counted against the sender's daily quota.
+export const MetaTransaction = new EntitySchema({
+  name: 'MetaTransaction',
+  tableName: 'meta_transactions',
+  columns: {
+    // the relayer job id
+    id: { type: 'varchar', primary: true },
+    from: { type: 'varchar' },
+    contract: { type: 'varchar' },
+    method: { type: 'varchar' },
+    nonce: { type: 'varchar' },
+    // the IP address that posted it, for the per-client quota
+    clientIp: { type: 'varchar', nullable: true },
+    createdAt: { type: 'varchar' },
+  },
+  indices: [
+    { name: 'IDX_meta_transactions_from_createdAt', columns: ['from', 'createdAt'] },
+    { name: 'IDX_meta_transactions_clientIp_createdAt', columns: ['clientIp', 'createdAt'] },
+  ],
+});
+
+export const AppEntities = [
+  StoredCredential,
+  PolicyRequest,
+  PolicyRequestEvent,
+  StatusList,
+  CredentialStatus,
+  Pin,
+  ChainEvent,
+  IndexedBlock,
+  IndexerState,
+  RelayJob,
+  MetaTransaction,
+];
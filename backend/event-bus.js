@@ -0,0 +1,65 @@
+import { EventEmitter } from 'events';
+
+// In-process fan-out of domain events to the /events stream. Each event has an
+// `audience` saying whose dashboards it concerns (patientDid, patientAddress,
+// insurer); subscribers filter on it rather than on the payload.
+
+const REPLAY_SIZE = 200;
+
+const emitter = new EventEmitter();
+// one listener per open /events connection
+emitter.setMaxListeners(0);
+
+let nextId = 1;
+const recent = [];
+
+export function publish(type, data, audience = {}) {
+  const event = { id: nextId++, type, data, audience, at: new Date().toISOString() };
+  recent.push(event);
+  if (recent.length > REPLAY_SIZE) {
+    recent.shift();
+  }
+  emitter.emit('event', event);
+  return event;
+}
+
+// Calls `listener` for every event published from now on and returns the
+// unsubscribe function.
+export function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+// Events after `lastId` still held in memory, for clients reconnecting with
+// Last-Event-ID.
+export function eventsSince(lastId) {
+  return recent.filter((event) => event.id > lastId);
+}
+
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// Addresses compare case-insensitively, DIDs exactly.
+function isSameParty(a, b) {
+  return a === b || sameAddress(a, b);
+}
+
+// No filter means every event (the same visibility as the REST endpoints).
+// Otherwise an event matches when any given filter matches its audience; an
+// event with no insurer (an open request) matches every insurer. `insurer`
+// may be a list of the insurer's wallet and DIDs.
+export function matchesFilter(event, { patientDid, patientAddress, insurer } = {}) {
+  const insurers = [].concat(insurer || []);
+  if (!patientDid && !patientAddress && insurers.length === 0) {
+    return true;
+  }
+  const { audience } = event;
+  return (
+    (patientDid && audience.patientDid === patientDid) ||
+    (patientAddress && sameAddress(audience.patientAddress, patientAddress)) ||
+    (insurers.length > 0 &&
+      audience.insurer !== undefined &&
+      (!audience.insurer || insurers.some((id) => isSameParty(audience.insurer, id))))
+  );
+}
@@ -0,0 +1,165 @@
+import { uploadToIPFS, uploadStreamToIPFS, statIPFS, streamFromIPFS } from './ipfs-service.js';
+import { recordPin } from './pin-registry.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FILE_STORE_PATH = path.join(__dirname, 'file-store.json');
+
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+const MIME_TYPES_BY_EXTENSION = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.tif': 'image/tiff',
+  '.tiff': 'image/tiff',
+  '.dcm': 'application/dicom',
+  '.txt': 'text/plain',
+  '.json': 'application/json',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+};
+
+// Leading bytes of the formats claim documents usually arrive in.
+const MAGIC_NUMBERS = [
+  { bytes: [0x25, 0x50, 0x44, 0x46], mimeType: 'application/pdf' },
+  { bytes: [0x89, 0x50, 0x4e, 0x47], mimeType: 'image/png' },
+  { bytes: [0xff, 0xd8, 0xff], mimeType: 'image/jpeg' },
+  { bytes: [0x47, 0x49, 0x46, 0x38], mimeType: 'image/gif' },
+];
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+const DATA_URL_PATTERN = /^data:([^;,]+)?(?:;[^,]*)?;base64,/;
+
+function loadFileStore() {
+  if (fs.existsSync(FILE_STORE_PATH)) {
+    return JSON.parse(fs.readFileSync(FILE_STORE_PATH, 'utf8'));
+  }
+  return {};
+}
+
+function saveFileStore(store) {
+  fs.writeFileSync(FILE_STORE_PATH, JSON.stringify(store, null, 2));
+}
+
+function sniffMimeType(buffer) {
+  const match = MAGIC_NUMBERS.find(({ bytes }) => bytes.every((b, i) => buffer[i] === b));
+  return match ? match.mimeType : null;
+}
+
+export function detectMimeType(filename, buffer, declared) {
+  if (declared) return declared;
+  const byExtension = filename && MIME_TYPES_BY_EXTENSION[path.extname(filename).toLowerCase()];
+  return byExtension || sniffMimeType(buffer) || DEFAULT_MIME_TYPE;
+}
+
+// Accepts plain base64 or a data URL (FileReader.readAsDataURL output) and
+// returns the decoded bytes plus the MIME type the data URL declared, if any.
+export function decodeBase64Payload(data) {
+  if (typeof data !== 'string') {
+    throw new Error('data must be a base64 string');
+  }
+
+  let declaredType = null;
+  let base64 = data.trim();
+  const dataUrl = base64.match(DATA_URL_PATTERN);
+  if (dataUrl) {
+    declaredType = dataUrl[1] || null;
+    base64 = base64.slice(dataUrl[0].length);
+  }
+
+  base64 = base64.replace(/\s+/g, '');
+  if (!base64 || base64.length % 4 === 1 || !BASE64_PATTERN.test(base64)) {
+    throw new Error('data is not valid base64');
+  }
+
+  return { buffer: Buffer.from(base64, 'base64'), declaredType };
+}
+
+async function recordFile(cid, metadata, uploadedBy) {
+  const store = loadFileStore();
+  store[cid] = metadata;
+  saveFileStore(store);
+  await recordPin(cid, { kind: 'document', uploadedBy });
+  return { cid, ...metadata };
+}
+
+// `uploadedBy` (usually the uploader's DID) is only recorded in the pin registry.
+export async function storeFile({ buffer, filename, mimeType, uploadedBy }) {
+  const cid = await uploadToIPFS(buffer);
+  return recordFile(cid, {
+    filename: filename ? path.basename(filename) : null,
+    mimeType: detectMimeType(filename, buffer, mimeType),
+    size: buffer.length,
+    uploadedAt: new Date().toISOString(),
+  }, uploadedBy);
+}
+
+// Passes chunks through untouched while counting them and keeping the first
+// bytes for MIME sniffing. `isTruncated` lets the caller abort the add when an
+// upload limit was hit instead of storing a partial file.
+async function* inspectStream(source, stats, isTruncated) {
+  for await (const chunk of source) {
+    if (stats.head.length < 8) {
+      stats.head = Buffer.concat([stats.head, chunk.subarray(0, 8 - stats.head.length)]);
+    }
+    stats.size += chunk.length;
+    yield chunk;
+  }
+  if (isTruncated && isTruncated()) {
+    throw new Error('File exceeds the maximum upload size');
+  }
+}
+
+export async function storeFileStream({ stream, filename, mimeType, onProgress, isTruncated, uploadedBy }) {
+  const stats = { size: 0, head: Buffer.alloc(0) };
+  const cid = await uploadStreamToIPFS(inspectStream(stream, stats, isTruncated), { onProgress });
+  return recordFile(cid, {
+    filename: filename ? path.basename(filename) : null,
+    mimeType: detectMimeType(filename, stats.head, mimeType),
+    size: stats.size,
+    uploadedAt: new Date().toISOString(),
+  }, uploadedBy);
+}
+
+export function getFileMetadata(cid) {
+  const store = loadFileStore();
+  return store[cid] || null;
+}
+
+// Content uploaded outside this backend has no recorded metadata, so size
+// comes from the daemon and the type is sniffed from the first bytes.
+export async function getFileInfo(cid) {
+  const recorded = getFileMetadata(cid);
+  if (recorded) {
+    return { cid, ...recorded };
+  }
+
+  const { size } = await statIPFS(cid);
+  let head = Buffer.alloc(0);
+  for await (const chunk of await streamFromIPFS(cid, { length: 8 })) {
+    head = Buffer.concat([head, chunk]);
+  }
+  return {
+    cid,
+    filename: null,
+    mimeType: sniffMimeType(head) || DEFAULT_MIME_TYPE,
+    size,
+    uploadedAt: null,
+  };
+}
+
+// `range` is inclusive on both ends, as in an HTTP Range header.
+export function openFileStream(cid, range) {
+  if (!range) {
+    return streamFromIPFS(cid);
+  }
+  return streamFromIPFS(cid, { offset: range.start, length: range.end - range.start + 1 });
+}
@@ -0,0 +1,214 @@
+import { ethers } from 'ethers';
+import { MoreThanOrEqual } from 'typeorm';
+import { getProvider, getContract, getDeployments, decodeEvents } from './contract-service.js';
+import { enqueue, waitForJob, resolveSigner } from './relayer.js';
+import { getDataSource, runInTransaction } from './veramo-setup.js';
+import { MetaTransaction } from './entities.js';
+
+// Gasless transactions (EIP-2771). The user's wallet signs a ForwardRequest
+// for MinimalForwarder (EIP-712) and POST /relay hands it to the relayer,
+// which submits it and pays the gas. PolicyContract and ClaimContract see the
+// signer through _msgSender(), so their own checks still apply. Only a session
+// signed in as the request's `from` may relay it. Each address may relay
+// RELAY_DAILY_QUOTA requests per rolling 24 hours, and each client IP
+// RELAY_DAILY_IP_QUOTA, so fresh addresses do not buy more gas. The gas is
+// paid by RELAY_SIGNER, one of the RELAYER_PRIVATE_KEYS (the first by default).
+
+const DAILY_QUOTA = Number(process.env.RELAY_DAILY_QUOTA) || 20;
+const DAILY_IP_QUOTA = Number(process.env.RELAY_DAILY_IP_QUOTA) || 100;
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;
+// the most gas the backend pays for the forwarded call
+const MAX_REQUEST_GAS = 1000000n;
+const RELAYABLE_CONTRACTS = ['IdentityRegistry', 'PolicyContract', 'ClaimContract'];
+
+export const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: 'from', type: 'address' },
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'gas', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'data', type: 'bytes' },
+  ],
+};
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+async function forwarderAddress() {
+  const address = (await getDeployments()).contracts.MinimalForwarder;
+  if (!address) {
+    throw httpError(503, 'No MinimalForwarder in deployments.json; redeploy the contracts');
+  }
+  return address;
+}
+
+export async function getForwarderDomain() {
+  const { chainId } = await getProvider().getNetwork();
+  return {
+    name: 'MinimalForwarder',
+    version: '0.0.1',
+    chainId: chainId.toString(),
+    verifyingContract: await forwarderAddress(),
+  };
+}
+
+async function countQuota(where, limit, manager) {
+  const repository = (manager || (await getDataSource())).getRepository(MetaTransaction);
+  const since = new Date(Date.now() - QUOTA_WINDOW_MS).toISOString();
+  const used = await repository.countBy({ ...where, createdAt: MoreThanOrEqual(since) });
+  return { limit, used, remaining: Math.max(limit - used, 0) };
+}
+
+function getQuota(from, manager = null) {
+  return countQuota({ from: from.toLowerCase() }, DAILY_QUOTA, manager);
+}
+
+// Ids of the relayer jobs that carry `address`'s meta-transactions.
+export async function listMetaTransactionIds(address) {
+  const repository = (await getDataSource()).getRepository(MetaTransaction);
+  const records = await repository.find({ select: { id: true }, where: { from: address.toLowerCase() } });
+  return records.map((record) => record.id);
+}
+
+// What a client needs to build and sign a request for `address`.
+export async function getRelayInfo(address) {
+  const forwarder = await getContract('MinimalForwarder', getProvider());
+  return {
+    domain: await getForwarderDomain(),
+    types: FORWARD_REQUEST_TYPES,
+    nonce: (await forwarder.getNonce(address)).toString(),
+    quota: await getQuota(address),
+  };
+}
+
+function parseRequest(request) {
+  try {
+    return {
+      from: ethers.getAddress(request.from),
+      to: ethers.getAddress(request.to),
+      value: BigInt(request.value ?? 0),
+      gas: BigInt(request.gas),
+      nonce: BigInt(request.nonce),
+      data: ethers.hexlify(request.data),
+    };
+  } catch {
+    throw httpError(400, 'request must have from, to, value, gas, nonce and data');
+  }
+}
+
+// The app contract and function a request calls; anything else is refused.
+async function describeCall(request) {
+  const { contracts } = await getDeployments();
+  const contractName = RELAYABLE_CONTRACTS.find((name) => contracts[name]?.toLowerCase() === request.to.toLowerCase());
+  if (!contractName) {
+    throw httpError(400, `Requests can only target ${RELAYABLE_CONTRACTS.join(', ')}`);
+  }
+  const call = (await getContract(contractName, getProvider())).interface.parseTransaction({ data: request.data });
+  if (!call || call.fragment.constant) {
+    throw httpError(400, `data is not a state-changing call to ${contractName}`);
+  }
+  return { contractName, method: call.name };
+}
+
+// Checks the signed request, counts it against the sender's and the client's
+// quotas and waits for the relayer to mine it. `caller` is the session posting
+// it ({ address, ip }), which must be signed in as `from`. Sending the same
+// signed request again returns the first job instead of relaying it twice.
+export async function relayMetaTransaction({ request, signature }, caller) {
+  if (!request || !signature) {
+    throw httpError(400, 'request and signature are required');
+  }
+  const forwardRequest = parseRequest(request);
+  if (caller.address?.toLowerCase() !== forwardRequest.from.toLowerCase()) {
+    throw httpError(403, `Sign in with Ethereum as ${forwardRequest.from} to relay its requests`);
+  }
+  if (forwardRequest.value !== 0n) {
+    throw httpError(400, 'The relay does not forward ETH; value must be 0');
+  }
+  if (forwardRequest.gas > MAX_REQUEST_GAS) {
+    throw httpError(400, `gas may be at most ${MAX_REQUEST_GAS}`);
+  }
+  const { contractName, method } = await describeCall(forwardRequest);
+
+  let signer;
+  try {
+    signer = ethers.verifyTypedData(await getForwarderDomain(), FORWARD_REQUEST_TYPES, forwardRequest, signature);
+  } catch {
+    throw httpError(400, 'signature is malformed');
+  }
+  if (signer !== forwardRequest.from) {
+    throw httpError(401, `Request was signed by ${signer}, not ${forwardRequest.from}`);
+  }
+
+  const payer = resolveSigner(process.env.RELAY_SIGNER);
+  const jobId = `meta:${ethers.keccak256(signature)}`;
+  const existing = await (await getDataSource()).getRepository(MetaTransaction).findOneBy({ id: jobId });
+  if (!existing) {
+    const forwarder = await getContract('MinimalForwarder', getProvider());
+    const nonce = await forwarder.getNonce(forwardRequest.from);
+    if (nonce !== forwardRequest.nonce) {
+      throw httpError(409, `Stale request; the forwarder nonce for ${forwardRequest.from} is ${nonce}`);
+    }
+    await runInTransaction(async (manager) => {
+      const quota = await getQuota(forwardRequest.from, manager);
+      if (quota.remaining === 0) {
+        throw httpError(429, `Daily relay quota of ${quota.limit} requests used up for ${forwardRequest.from}`);
+      }
+      const clientQuota = await countQuota({ clientIp: caller.ip }, DAILY_IP_QUOTA, manager);
+      if (clientQuota.remaining === 0) {
+        throw httpError(429, `Daily relay quota of ${clientQuota.limit} requests used up for your network address`);
+      }
+      await manager.insert(MetaTransaction, {
+        id: jobId,
+        from: forwardRequest.from.toLowerCase(),
+        contract: contractName,
+        method,
+        nonce: forwardRequest.nonce.toString(),
+        clientIp: caller.ip,
+        createdAt: new Date().toISOString(),
+      });
+    });
+  }
+
+  try {
+    await enqueue({
+      id: jobId,
+      signer: payer,
+      contract: 'MinimalForwarder',
+      method: 'execute',
+      args: [forwardRequest, signature],
+    });
+  } catch (error) {
+    if (!existing) {
+      await runInTransaction((manager) => manager.delete(MetaTransaction, { id: jobId }));
+    }
+    throw error;
+  }
+  const job = await waitForJob(jobId);
+  if (job.status === 'failed') {
+    const error = new Error(job.revertReason ? `${method} reverted: ${job.revertReason}` : job.error);
+    error.revertReason = job.revertReason;
+    throw error;
+  }
+
+  // the relayer decoded the forwarder's events; the caller wants the target's
+  let events = [];
+  if (job.status === 'mined') {
+    const receipt = await getProvider().getTransactionReceipt(job.txHash);
+    events = decodeEvents(await getContract(contractName, getProvider()), receipt);
+  }
+  return {
+    jobId,
+    status: job.status,
+    contract: contractName,
+    method,
+    txHash: job.txHash || job.txHashes[job.txHashes.length - 1] || null,
+    blockNumber: job.blockNumber,
+    events,
+    quota: await getQuota(forwardRequest.from),
+  };
+}
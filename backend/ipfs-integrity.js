@@ -0,0 +1,116 @@
+import { importByteStream } from 'ipfs-unixfs-importer';
+import { CID } from 'multiformats/cid';
+import { PassThrough } from 'stream';
+import { once } from 'events';
+import { UNIXFS_IMPORT_OPTIONS } from './ipfs-local-store.js';
+
+// Recomputes a file's CID from the bytes we were actually given and compares
+// it to the one we asked for, so a misbehaving gateway, cache or corrupted
+// blockstore cannot hand back different content under a trusted CID.
+//
+// Only DAG parameters we know can be reproduced: CIDv1 uses the ones every
+// upload from this backend uses (same as `ipfs add --cid-version=1`), CIDv0 the
+// kubo defaults. Content added elsewhere with another chunker will report a
+// mismatch even though it may be intact.
+
+// Blocks are hashed and thrown away; only the root CID is of interest.
+const discardBlockstore = {
+  async put(cid) {
+    return cid;
+  },
+  async has() {
+    return false;
+  },
+  async get(cid) {
+    throw new Error(`Block ${cid} is not kept while verifying`);
+  },
+};
+
+function importOptionsFor(cid) {
+  if (cid.version === 0) {
+    return { ...UNIXFS_IMPORT_OPTIONS, cidVersion: 0, rawLeaves: false };
+  }
+  return UNIXFS_IMPORT_OPTIONS;
+}
+
+function parseCID(cid) {
+  try {
+    return CID.parse(cid.toString());
+  } catch (error) {
+    const invalid = new Error(`Invalid CID ${cid}: ${error.message}`);
+    invalid.statusCode = 400;
+    throw invalid;
+  }
+}
+
+function toVerdict(expected, computed, size) {
+  return {
+    cid: expected.toString(),
+    computedCid: computed.toString(),
+    verified: expected.equals(computed),
+    size,
+  };
+}
+
+// For content already in memory.
+export async function verifyBytes(cid, bytes) {
+  const expected = parseCID(cid);
+  const { cid: computed } = await importByteStream([bytes], discardBlockstore, importOptionsFor(expected));
+  return toVerdict(expected, computed, bytes.length);
+}
+
+export function createIntegrityError(verdict) {
+  const error = new Error(`Content for ${verdict.cid} failed integrity check (hashes to ${verdict.computedCid})`);
+  error.statusCode = 502;
+  error.integrity = verdict;
+  return error;
+}
+
+// Wraps a content stream so it is hashed as it is consumed. The final chunk is
+// held back until the CID has been recomputed: on a mismatch `content` throws
+// instead, so a consumer never receives a complete, wrong file. `verdict()`
+// resolves once `content` has been read to the end.
+export function trackIntegrity(cid, source) {
+  const expected = parseCID(cid);
+  const tee = new PassThrough();
+  let size = 0;
+  // errors reach the caller through verdict(); destroying the tee just
+  // unblocks a producer waiting for 'drain'
+  tee.on('error', () => {});
+  const computing = importByteStream(tee, discardBlockstore, importOptionsFor(expected));
+  computing.catch((error) => tee.destroy(error));
+
+  async function verdict() {
+    const { cid: computed } = await computing;
+    return toVerdict(expected, computed, size);
+  }
+
+  async function* content() {
+    let finished = false;
+    let held = null;
+    try {
+      for await (const chunk of source) {
+        if (held) yield held;
+        size += chunk.length;
+        if (!tee.write(chunk)) {
+          await once(tee, 'drain');
+        }
+        held = chunk;
+      }
+      finished = true;
+      tee.end();
+    } finally {
+      if (!finished) {
+        tee.destroy(new Error('Content was not read to the end'));
+      }
+    }
+
+    const result = await verdict();
+    if (!result.verified) {
+      throw createIntegrityError(result);
+    }
+    if (held) yield held;
+  }
+
+  return { content: content(), verdict };
+}
@@ -1,6 +1,19 @@
 import { create } from 'ipfs-http-client';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createLocalStore } from './ipfs-local-store.js';
+import { verifyBytes, trackIntegrity, createIntegrityError } from './ipfs-integrity.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
 
 const IPFS_URL = process.env.IPFS_URL || 'http://127.0.0.1:5001';
+// 'daemon' talks to IPFS_URL; 'local' keeps blocks on disk and needs no daemon
+const IPFS_BACKEND = process.env.IPFS_BACKEND || 'daemon';
+const IPFS_LOCAL_PATH = process.env.IPFS_LOCAL_PATH || path.join(__dirname, 'ipfs-blocks');
+
+// Matches the DAG the local store builds, so both backends agree on CIDs.
+const DAEMON_ADD_OPTIONS = { cidVersion: 1, rawLeaves: true, chunker: 'size-262144' };
 
 // Use global Buffer if available, otherwise create from data
 function createBuffer(data) {
@@ -61,9 +74,75 @@ export async function getIPFSClient() {
   return ipfsClient;
 }
 
+function createDaemonStore() {
+  return {
+    name: 'daemon',
+
+    async add(source, { onProgress } = {}) {
+      const client = await getIPFSClient();
+      const result = await client.add(source, { ...DAEMON_ADD_OPTIONS, progress: onProgress });
+      return result.cid.toString();
+    },
+
+    async *cat(cid, options = {}) {
+      const client = await getIPFSClient();
+      yield* client.cat(cid, options);
+    },
+
+    async stat(cid) {
+      const client = await getIPFSClient();
+      const stat = await client.files.stat(`/ipfs/${cid}`);
+      return { size: Number(stat.size) };
+    },
+
+    async pin(cid) {
+      const client = await getIPFSClient();
+      await client.pin.add(cid, { recursive: true });
+    },
+
+    async unpin(cid) {
+      const client = await getIPFSClient();
+      try {
+        await client.pin.rm(cid, { recursive: true });
+      } catch (error) {
+        // already unpinned (or never pinned) is the state we wanted
+        if (!/not pinned/i.test(error.message)) throw error;
+      }
+    },
+
+    async isPinned(cid) {
+      const client = await getIPFSClient();
+      try {
+        for await (const pin of client.pin.ls({ paths: [cid] })) {
+          if (pin.cid.toString() === cid) return true;
+        }
+        return false;
+      } catch (error) {
+        if (/not pinned/i.test(error.message)) return false;
+        throw error;
+      }
+    },
+  };
+}
+
+let storageBackend = null;
+
+export function getStorageBackend() {
+  if (!storageBackend) {
+    if (IPFS_BACKEND === 'local') {
+      storageBackend = createLocalStore(IPFS_LOCAL_PATH);
+    } else if (IPFS_BACKEND === 'daemon') {
+      storageBackend = createDaemonStore();
+    } else {
+      throw new Error(`Unknown IPFS_BACKEND "${IPFS_BACKEND}". Expected "daemon" or "local"`);
+    }
+    console.log(`IPFS storage backend: ${storageBackend.name}`);
+  }
+  return storageBackend;
+}
+
 export async function uploadToIPFS(data) {
   try {
-    const client = await getIPFSClient();
     let dataToUpload = data;
     
     // Convert string to Buffer/Uint8Array if needed
@@ -75,33 +154,111 @@ export async function uploadToIPFS(data) {
       dataToUpload = createBuffer(data);
     }
     
-    const result = await client.add(dataToUpload);
-    return result.cid.toString();
+    return await getStorageBackend().add(dataToUpload);
   } catch (error) {
     console.error('IPFS upload error:', error);
     throw new Error(`IPFS upload failed: ${error.message}`);
   }
 }
 
-export async function getFromIPFS(cid) {
+// Streams `source` (a Node stream or any async iterable of bytes) into IPFS
+// without buffering it. `onProgress` receives the running byte count.
+export async function uploadStreamToIPFS(source, { onProgress } = {}) {
+  try {
+    return await getStorageBackend().add(source, { onProgress });
+  } catch (error) {
+    console.error('IPFS upload error:', error);
+    throw new Error(`IPFS upload failed: ${error.message}`);
+  }
+}
+
+// Pinning keeps the daemon's garbage collector away from content we still
+// reference. Callers normally go through pin-registry.js, which records why.
+export async function pinIPFS(cid) {
+  try {
+    await getStorageBackend().pin(cid);
+  } catch (error) {
+    console.error('IPFS pin error:', error);
+    throw new Error(`IPFS pin failed: ${error.message}`);
+  }
+}
+
+export async function unpinIPFS(cid) {
+  try {
+    await getStorageBackend().unpin(cid);
+  } catch (error) {
+    console.error('IPFS unpin error:', error);
+    throw new Error(`IPFS unpin failed: ${error.message}`);
+  }
+}
+
+export async function isPinnedIPFS(cid) {
+  return getStorageBackend().isPinned(cid);
+}
+
+export async function statIPFS(cid) {
+  try {
+    return await getStorageBackend().stat(cid);
+  } catch (error) {
+    console.error('IPFS stat error:', error);
+    throw new Error(`IPFS stat failed: ${error.message}`);
+  }
+}
+
+// Async iterable over the content (or the byte range offset..offset+length),
+// for piping into an HTTP response. Whole-file reads are checked against the
+// CID as they stream (see trackIntegrity); a byte range cannot be.
+export async function streamFromIPFS(cid, { offset, length } = {}) {
+  if (offset === undefined && length === undefined) {
+    return trackIntegrity(cid, getStorageBackend().cat(cid)).content;
+  }
+  return getStorageBackend().cat(cid, { offset, length });
+}
+
+// Raw bytes of the content; use this for anything that is not UTF-8 text.
+// The bytes are checked against `cid` and rejected (error.integrity holds the
+// verdict) if they hash to anything else.
+export async function getBufferFromIPFS(cid) {
+  let buffer;
   try {
-    const client = await getIPFSClient();
     const chunks = [];
-    for await (const chunk of client.cat(cid)) {
+    for await (const chunk of getStorageBackend().cat(cid)) {
       chunks.push(chunk);
     }
-    const buffer = concatBuffers(chunks);
-    
-    // Convert to string
-    if (typeof Buffer !== 'undefined' && Buffer.isBuffer(buffer)) {
-      return buffer.toString('utf8');
-    } else if (buffer instanceof Uint8Array) {
-      return new TextDecoder('utf8').decode(buffer);
-    }
-    return String(buffer);
+    buffer = concatBuffers(chunks);
   } catch (error) {
     console.error('IPFS retrieval error:', error);
     throw new Error(`IPFS retrieval failed: ${error.message}`);
   }
+
+  const integrity = await verifyBytes(cid, buffer);
+  if (!integrity.verified) {
+    throw createIntegrityError(integrity);
+  }
+  return buffer;
 }
 
+export async function getFromIPFS(cid) {
+  const buffer = await getBufferFromIPFS(cid);
+  if (typeof Buffer !== 'undefined' && Buffer.isBuffer(buffer)) {
+    return buffer.toString('utf8');
+  }
+  return new TextDecoder('utf8').decode(buffer);
+}
+
+// Streams the whole content through the hasher without keeping it and returns
+// the integrity verdict; `available` is false when it could not be fetched.
+export async function verifyIPFSContent(cid) {
+  try {
+    const tracked = trackIntegrity(cid, getStorageBackend().cat(cid));
+    for await (const _chunk of tracked.content) {
+      // hashed as it passes through
+    }
+    return { ...(await tracked.verdict()), available: true, error: null };
+  } catch (error) {
+    if (error.integrity) {
+      return { ...error.integrity, available: true, error: error.message };
+    }
+    return { cid, computedCid: null, verified: false, size: null, available: false, error: error.message };
+  }
+}
@@ -0,0 +1,186 @@
+import { pinIPFS, unpinIPFS, isPinnedIPFS, statIPFS } from './ipfs-service.js';
+import { getDataSource, runInTransaction } from './veramo-setup.js';
+import { Pin } from './entities.js';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Pins used to live in this JSON file; it is imported into the database once
+// and renamed to *.migrated.
+const LEGACY_PIN_STORE_PATH = path.join(__dirname, 'pin-store.json');
+
+// What a CID holds. Plain uploads start as 'document' and become
+// 'claim-document' once a submitted claim references them.
+export const PIN_KINDS = [
+  'document',
+  'claim-document',
+  'encrypted-document',
+  'encrypted-manifest',
+  'policy-vc',
+  'role-vc',
+];
+
+// Every CID this backend creates gets a record in the `pins` table: its kind,
+// what it belongs to (`refs`, e.g. "claim:3", "policy:7", "vc:vc-123",
+// "manifest:<cid>"), who uploaded it and when, and whether it is currently
+// pinned. Records are only changed inside runInTransaction, and re-read there
+// after any IPFS call, so concurrent uploads and unpins do not overwrite each
+// other.
+
+let storeReady = null;
+
+// Rows already present are left alone, so an interrupted import can run again.
+async function importLegacyPinStore() {
+  if (!fs.existsSync(LEGACY_PIN_STORE_PATH)) return;
+  const pins = Object.values(JSON.parse(fs.readFileSync(LEGACY_PIN_STORE_PATH, 'utf8')));
+  if (pins.length > 0) {
+    await runInTransaction((manager) =>
+      manager.createQueryBuilder().insert().into(Pin).values(pins).orIgnore().execute(),
+    );
+  }
+  fs.renameSync(LEGACY_PIN_STORE_PATH, `${LEGACY_PIN_STORE_PATH}.migrated`);
+  console.log('✅ Imported pin-store.json into the database');
+}
+
+function ready() {
+  if (!storeReady) {
+    storeReady = importLegacyPinStore().catch((error) => {
+      storeReady = null;
+      throw error;
+    });
+  }
+  return storeReady;
+}
+
+async function inTransaction(work) {
+  await ready();
+  return runInTransaction(work);
+}
+
+function notFound(cid) {
+  const error = new Error(`No pin recorded for ${cid}`);
+  error.statusCode = 404;
+  return error;
+}
+
+// `kind` may be a function of the existing record (or null).
+async function upsertPin(manager, cid, { kind = 'document', refs = [], uploadedBy = null }) {
+  const pins = manager.getRepository(Pin);
+  const existing = await pins.findOneBy({ cid });
+  const now = new Date().toISOString();
+  const record = {
+    cid,
+    kind: typeof kind === 'function' ? kind(existing) : kind,
+    refs: [...new Set([...(existing?.refs || []), ...refs])],
+    uploadedBy: existing?.uploadedBy || uploadedBy,
+    createdAt: existing?.createdAt || now,
+    pinned: true,
+    pinnedAt: existing?.pinned ? existing.pinnedAt : now,
+    unpinnedAt: null,
+    unpinReason: null,
+  };
+  await pins.save(record);
+  return record;
+}
+
+// Records (or extends the record of) a freshly uploaded CID. Uploads pin on
+// the daemon already, so this only writes the registry entry.
+export async function recordPin(cid, { kind = 'document', refs = [], uploadedBy = null } = {}) {
+  return inTransaction((manager) => upsertPin(manager, cid, { kind, refs, uploadedBy }));
+}
+
+// Attaches an owner to CIDs that were uploaded before it existed, e.g. the
+// documents and VC a claim points at. Unknown CIDs are recorded on the spot so
+// content uploaded elsewhere is still tracked (and pinned) once we rely on it.
+export async function linkPins(cids, { ref, kind } = {}) {
+  const records = [];
+  for (const cid of cids.filter(Boolean)) {
+    const existing = await getPin(cid);
+    if (!existing || !existing.pinned) {
+      await pinIPFS(cid);
+    }
+    const nextKind = (current) => (kind && (!current || current.kind === 'document') ? kind : current.kind);
+    records.push(await inTransaction((manager) => upsertPin(manager, cid, { kind: nextKind, refs: ref ? [ref] : [] })));
+  }
+  return records;
+}
+
+export async function getPin(cid) {
+  await ready();
+  return (await getDataSource()).getRepository(Pin).findOneBy({ cid });
+}
+
+// Filters: kind, ref, uploadedBy, pinned ('true'/'false' or a boolean).
+export async function listPins({ kind, ref, uploadedBy, pinned } = {}) {
+  await ready();
+  const where = {};
+  if (kind) where.kind = kind;
+  if (uploadedBy) where.uploadedBy = uploadedBy;
+  if (pinned !== undefined && pinned !== '') where.pinned = String(pinned) === 'true';
+  const pins = await (await getDataSource()).getRepository(Pin).find({ where, order: { createdAt: 'DESC' } });
+  return ref ? pins.filter((pin) => pin.refs.includes(ref)) : pins;
+}
+
+// Applies `changes` to the record as it is after the IPFS call, not before.
+async function updatePin(cid, changes) {
+  return inTransaction(async (manager) => {
+    const pins = manager.getRepository(Pin);
+    await pins.update({ cid }, changes);
+    return pins.findOneBy({ cid });
+  });
+}
+
+export async function repin(cid) {
+  if (!(await getPin(cid))) {
+    throw notFound(cid);
+  }
+  await pinIPFS(cid);
+  return updatePin(cid, { pinned: true, pinnedAt: new Date().toISOString(), unpinnedAt: null, unpinReason: null });
+}
+
+// Whether the content can still be fetched and whether the storage backend
+// still holds a pin for it, next to what the registry believes.
+export async function checkAvailability(cid) {
+  const pin = await getPin(cid);
+  if (!pin) {
+    throw notFound(cid);
+  }
+  const result = { cid, recordedAsPinned: pin.pinned, pinned: false, available: false, size: null, error: null };
+  try {
+    result.pinned = await isPinnedIPFS(cid);
+    result.size = (await statIPFS(cid)).size;
+    result.available = true;
+  } catch (error) {
+    result.error = error.message;
+  }
+  return result;
+}
+
+// The record is kept (pinned: false) so the history of what was stored stays
+// visible. Unpinning an encrypted document's manifest releases its ciphertext.
+export async function unpin(cid, reason = null) {
+  if (!(await getPin(cid))) {
+    throw notFound(cid);
+  }
+  await unpinIPFS(cid);
+  const pin = await updatePin(cid, { pinned: false, unpinnedAt: new Date().toISOString(), unpinReason: reason });
+
+  const released = [pin];
+  if (pin.kind === 'encrypted-manifest') {
+    released.push(...(await unpinByRef(`manifest:${cid}`, reason)));
+  }
+  return released;
+}
+
+// Unpins everything that belongs to `ref`, e.g. "vc:<id>" when a credential is
+// revoked or "request:<id>" when a policy request is withdrawn.
+export async function unpinByRef(ref, reason = null) {
+  const released = [];
+  for (const pin of await listPins({ ref, pinned: true })) {
+    released.push(...(await unpin(pin.cid, reason)));
+  }
+  return released;
+}
@@ -0,0 +1,459 @@
+import { ethers } from 'ethers';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { In } from 'typeorm';
+import { getProvider, getContract, getRevertReason, decodeEvents, toPlain } from './contract-service.js';
+import { getDataSource, runInTransaction } from './veramo-setup.js';
+import { RelayJob } from './entities.js';
+
+// Sends contract transactions on behalf of the backend's own signers. Jobs are
+// kept in relay_jobs, so queued and in-flight transactions survive a restart,
+// and nonces are handed out here, one sequence per signer, so concurrent jobs
+// never collide on one. A job is
+//   queued    - waiting to be sent; a failed send (node down, nonce taken) is
+//               retried with backoff
+//   submitted - broadcast and waiting for a receipt; if none arrives within
+//               RELAYER_STUCK_MS it is replaced (same nonce, higher fees)
+//   mined     - included with status 1
+//   failed    - reverted, at gas estimation or on-chain, or given up on
+//
+// The relayer signs only with the backend's own RELAYER_PRIVATE_KEYS, held in
+// memory; it never takes a user's key. After a restart, jobs of a signer
+// whose key is no longer configured stay queued; submitted ones are still
+// followed to a receipt but cannot be replaced.
+
+const POLL_INTERVAL_MS = Number(process.env.RELAYER_POLL_MS) || 1000;
+const STUCK_AFTER_MS = Number(process.env.RELAYER_STUCK_MS) || 60 * 1000;
+const WAIT_TIMEOUT_MS = 30 * 1000;
+const MAX_SEND_ATTEMPTS = 5;
+const MAX_REPLACEMENTS = 5;
+const RETRY_BASE_MS = 2000;
+// headroom over the estimate, as state may change before the transaction is mined
+const GAS_LIMIT_PERCENT = 120n;
+// nodes only accept a replacement that raises both fees by at least 10%
+const FEE_BUMP_PERCENT = 125n;
+const SETTLED = ['mined', 'failed'];
+
+const wallets = new Map();
+const nextNonces = new Map();
+const jobUpdates = new EventEmitter();
+// one listener per caller waiting on a job
+jobUpdates.setMaxListeners(0);
+
+let running = false;
+let timer = null;
+let currentPass = null;
+let passRequested = false;
+let lastError = null;
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+// Loads the RELAYER_PRIVATE_KEYS; a key that does not parse stops the start.
+function loadSigners() {
+  for (const key of (process.env.RELAYER_PRIVATE_KEYS || '').split(',')) {
+    if (!key.trim()) continue;
+    let wallet;
+    try {
+      wallet = new ethers.Wallet(key.trim(), getProvider());
+    } catch {
+      throw new Error('RELAYER_PRIVATE_KEYS holds a value that is not a private key');
+    }
+    if (!wallets.has(wallet.address)) {
+      wallets.set(wallet.address, wallet);
+      console.log(`⛽ Relaying for ${wallet.address}`);
+    }
+  }
+}
+
+// `signer` must be one of the RELAYER_PRIVATE_KEYS; without one, the first.
+export function resolveSigner(signer) {
+  if (!signer) {
+    const [first] = wallets.keys();
+    if (!first) {
+      throw httpError(503, 'No relayer key configured; set RELAYER_PRIVATE_KEYS');
+    }
+    return first;
+  }
+  const address = [...wallets.keys()].find((known) => known.toLowerCase() === signer.toLowerCase());
+  if (!address) {
+    throw httpError(400, `${signer} is not one of the relayer's signers`);
+  }
+  return address;
+}
+
+async function saveJob(job, changes) {
+  const update = { ...changes, updatedAt: new Date().toISOString() };
+  await runInTransaction((manager) => manager.update(RelayJob, { id: job.id }, update));
+  Object.assign(job, update);
+  jobUpdates.emit('update', job);
+}
+
+// Ours if we have been counting, else the node's pending count, never below a
+// nonce one of our in-flight jobs already holds.
+async function takeNonce(address) {
+  if (!nextNonces.has(address)) {
+    const pending = await getProvider().getTransactionCount(address, 'pending');
+    const dataSource = await getDataSource();
+    const [highest] = await dataSource.getRepository(RelayJob).find({
+      where: { signer: address, status: 'submitted' },
+      order: { nonce: 'DESC' },
+      take: 1,
+    });
+    nextNonces.set(address, Math.max(pending, highest ? highest.nonce + 1 : 0));
+  }
+  const nonce = nextNonces.get(address);
+  nextNonces.set(address, nonce + 1);
+  return nonce;
+}
+
+// Signs and broadcasts `tx` for the job. The hash is stored first, so a
+// crash in between leaves a job whose receipt is still found rather than one
+// sent twice. Returns false (and forgets the hash) if the node refused it.
+async function broadcast(job, wallet, tx, changes) {
+  const populated = await wallet.populateTransaction(tx);
+  const signed = await wallet.signTransaction(populated);
+  const hash = ethers.keccak256(signed);
+  const txHashes = job.txHashes;
+  await saveJob(job, {
+    ...changes,
+    status: 'submitted',
+    nonce: tx.nonce,
+    gasLimit: tx.gasLimit.toString(),
+    maxFeePerGas: tx.maxFeePerGas.toString(),
+    maxPriorityFeePerGas: tx.maxPriorityFeePerGas.toString(),
+    txHashes: [...txHashes, hash],
+    lastSentAt: new Date().toISOString(),
+  });
+
+  try {
+    await getProvider().broadcastTransaction(signed);
+    return true;
+  } catch (error) {
+    // Some nodes (Hardhat among them) mine a reverting transaction and still
+    // answer with an error; the receipt will tell.
+    if (await getProvider().getTransaction(hash)) {
+      return true;
+    }
+    await saveJob(job, { txHashes, error: getRevertReason(error) });
+    return false;
+  }
+}
+
+async function sendQueued(job, wallet) {
+  const contract = await getContract(job.contract, wallet);
+  let gasLimit;
+  try {
+    gasLimit = ((await contract[job.method].estimateGas(...job.args)) * GAS_LIMIT_PERCENT) / 100n;
+  } catch (error) {
+    if (error.code !== 'CALL_EXCEPTION') {
+      throw error;
+    }
+    const revertReason = getRevertReason(error);
+    await saveJob(job, { status: 'failed', revertReason, error: `${job.method} reverted: ${revertReason}` });
+    return;
+  }
+
+  const fees = await getProvider().getFeeData();
+  const request = await contract[job.method].populateTransaction(...job.args);
+  const tx = {
+    to: request.to,
+    data: request.data,
+    nonce: await takeNonce(wallet.address),
+    gasLimit,
+    maxFeePerGas: fees.maxFeePerGas ?? fees.gasPrice,
+    maxPriorityFeePerGas: fees.maxPriorityFeePerGas ?? fees.gasPrice,
+  };
+  if (!(await broadcast(job, wallet, tx, { error: null }))) {
+    // the nonce may have gone elsewhere, or never left; ask the node again
+    nextNonces.delete(wallet.address);
+    await scheduleRetry(job, job.error, { status: 'queued', nonce: null });
+  }
+}
+
+async function scheduleRetry(job, reason, changes = {}) {
+  const attempts = job.attempts + 1;
+  if (attempts >= MAX_SEND_ATTEMPTS) {
+    await saveJob(job, { ...changes, attempts, status: 'failed', error: `Gave up after ${attempts} attempts: ${reason}` });
+    return;
+  }
+  const nextAttemptAt = new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1)).toISOString();
+  await saveJob(job, { ...changes, attempts, nextAttemptAt, error: reason });
+}
+
+// Replays the call at the block before to recover the require() message.
+async function onchainRevertReason(job, receipt) {
+  try {
+    const contract = await getContract(job.contract, getProvider());
+    await contract[job.method].staticCall(...job.args, { from: job.signer, blockTag: receipt.blockNumber - 1 });
+  } catch (error) {
+    return getRevertReason(error);
+  }
+  return 'Transaction reverted';
+}
+
+async function settle(job, receipt) {
+  const contract = await getContract(job.contract, getProvider());
+  const outcome = {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    gasUsed: receipt.gasUsed.toString(),
+    events: decodeEvents(contract, receipt),
+  };
+  if (receipt.status === 1) {
+    await saveJob(job, { ...outcome, status: 'mined', error: null });
+  } else {
+    const revertReason = await onchainRevertReason(job, receipt);
+    await saveJob(job, { ...outcome, status: 'failed', revertReason, error: `${job.method} reverted: ${revertReason}` });
+  }
+}
+
+async function findReceipt(job) {
+  for (const hash of [...job.txHashes].reverse()) {
+    const receipt = await getProvider().getTransactionReceipt(hash);
+    if (receipt) {
+      return receipt;
+    }
+  }
+  return null;
+}
+
+function bumpFee(previous, current) {
+  const bumped = (BigInt(previous) * FEE_BUMP_PERCENT) / 100n;
+  return current && current > bumped ? current : bumped;
+}
+
+async function replace(job, wallet) {
+  const contract = await getContract(job.contract, wallet);
+  const fees = await getProvider().getFeeData();
+  const request = await contract[job.method].populateTransaction(...job.args);
+  const tx = {
+    to: request.to,
+    data: request.data,
+    nonce: job.nonce,
+    gasLimit: BigInt(job.gasLimit),
+    maxFeePerGas: bumpFee(job.maxFeePerGas, fees.maxFeePerGas),
+    maxPriorityFeePerGas: bumpFee(job.maxPriorityFeePerGas, fees.maxPriorityFeePerGas),
+  };
+  console.log(`⛽ Job ${job.id} stuck at nonce ${job.nonce}, replacing with higher fees`);
+  // a refused replacement leaves the earlier broadcasts in place
+  await broadcast(job, wallet, tx, { replacements: job.replacements + 1 });
+}
+
+async function track(job) {
+  let receipt = await findReceipt(job);
+  if (!receipt && (await getProvider().getTransactionCount(job.signer, 'latest')) > job.nonce) {
+    // The nonce is used up: by one of ours mined just now, or by a
+    // transaction sent outside the relayer.
+    receipt = await findReceipt(job);
+    if (!receipt) {
+      await saveJob(job, { status: 'failed', error: `Nonce ${job.nonce} was used by another transaction` });
+      return;
+    }
+  }
+  if (receipt) {
+    await settle(job, receipt);
+    return;
+  }
+
+  const wallet = wallets.get(job.signer);
+  const stuck = Date.now() - Date.parse(job.lastSentAt) > STUCK_AFTER_MS;
+  if (stuck && wallet && job.replacements < MAX_REPLACEMENTS) {
+    await replace(job, wallet);
+  }
+}
+
+async function runPass() {
+  const repository = (await getDataSource()).getRepository(RelayJob);
+
+  for (const job of await repository.find({ where: { status: 'submitted' }, order: { nonce: 'ASC' } })) {
+    await track(job);
+  }
+
+  const now = new Date().toISOString();
+  let sent = 0;
+  for (const job of await repository.find({ where: { status: 'queued' }, order: { createdAt: 'ASC' } })) {
+    const wallet = wallets.get(job.signer);
+    if (!wallet || (job.nextAttemptAt && job.nextAttemptAt > now)) continue;
+    try {
+      await sendQueued(job, wallet);
+      sent += 1;
+    } catch (error) {
+      await scheduleRetry(job, error.message);
+    }
+  }
+  // look for the receipts straight away rather than on the next tick
+  if (sent > 0) {
+    passRequested = true;
+  }
+}
+
+// Sends what is queued and checks what is in flight; a call during a pass
+// runs one more pass after it.
+function processJobs() {
+  if (currentPass) {
+    passRequested = true;
+    return currentPass;
+  }
+  currentPass = runPass()
+    .then(() => {
+      lastError = null;
+    })
+    .catch((error) => {
+      if (error.message !== lastError?.message) {
+        console.warn('⛽ Relayer pass failed:', error.message);
+      }
+      lastError = { message: error.message, at: new Date().toISOString() };
+    })
+    .finally(() => {
+      currentPass = null;
+      if (passRequested) {
+        passRequested = false;
+        processJobs();
+      }
+    });
+  return currentPass;
+}
+
+// Loads RELAYER_PRIVATE_KEYS and processes jobs until stopRelayer().
+export function startRelayer() {
+  if (running) return;
+  running = true;
+  loadSigners();
+
+  const tick = async () => {
+    await processJobs();
+    if (running) {
+      timer = setTimeout(tick, POLL_INTERVAL_MS);
+    }
+  };
+  tick();
+}
+
+export function stopRelayer() {
+  running = false;
+  clearTimeout(timer);
+}
+
+function sameRequest(job, request) {
+  return (
+    job.signer === request.signer &&
+    job.contract === request.contract &&
+    job.method === request.method &&
+    JSON.stringify(job.args) === JSON.stringify(request.args)
+  );
+}
+
+// Queues `contract.method(...args)` to be sent by `signer`, one of the
+// RELAYER_PRIVATE_KEYS (the first by default). Queuing again under an existing
+// `id` returns that job instead of sending twice, provided it is the same
+// transaction.
+export async function enqueue({ id = crypto.randomUUID(), signer, contract, method, args = [] }) {
+  const address = resolveSigner(signer);
+  let fragment;
+  try {
+    fragment = (await getContract(contract, getProvider())).interface.getFunction(method);
+  } catch (error) {
+    throw error.statusCode ? error : httpError(400, error.message);
+  }
+  if (!fragment) {
+    throw httpError(400, `${contract} has no function ${method}`);
+  }
+
+  const now = new Date().toISOString();
+  const request = { signer: address, contract, method, args: toPlain(args) };
+  const job = await runInTransaction(async (manager) => {
+    const existing = await manager.findOneBy(RelayJob, { id });
+    if (existing) {
+      if (!sameRequest(existing, request)) {
+        throw httpError(409, `Job ${id} already exists for a different transaction`);
+      }
+      return existing;
+    }
+    const created = {
+      id,
+      ...request,
+      status: 'queued',
+      nonce: null,
+      gasLimit: null,
+      maxFeePerGas: null,
+      maxPriorityFeePerGas: null,
+      txHashes: [],
+      txHash: null,
+      blockNumber: null,
+      gasUsed: null,
+      events: null,
+      attempts: 0,
+      nextAttemptAt: null,
+      replacements: 0,
+      lastSentAt: null,
+      error: null,
+      revertReason: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await manager.insert(RelayJob, created);
+    return created;
+  });
+
+  if (!SETTLED.includes(job.status)) {
+    processJobs();
+  }
+  return job;
+}
+
+export async function getJob(id) {
+  const dataSource = await getDataSource();
+  return dataSource.getRepository(RelayJob).findOneBy({ id });
+}
+
+// Resolves with the job once it is mined or failed, or as it stands after
+// `timeoutMs`.
+export async function waitForJob(id, timeoutMs = WAIT_TIMEOUT_MS) {
+  let onUpdate;
+  let timeout;
+  const settled = new Promise((resolve) => {
+    onUpdate = (job) => {
+      if (job.id === id && SETTLED.includes(job.status)) resolve(job);
+    };
+    jobUpdates.on('update', onUpdate);
+    timeout = setTimeout(() => resolve(null), timeoutMs);
+  });
+  try {
+    const job = await getJob(id);
+    if (!job || SETTLED.includes(job.status)) {
+      return job;
+    }
+    return (await settled) || (await getJob(id));
+  } finally {
+    clearTimeout(timeout);
+    jobUpdates.off('update', onUpdate);
+  }
+}
+
+// `ids` narrows the list to those jobs.
+export async function listJobs({ ids, status, signer, limit = 50 } = {}) {
+  const dataSource = await getDataSource();
+  const where = {};
+  if (ids) where.id = In(ids);
+  if (status) where.status = status;
+  if (signer) where.signer = ethers.getAddress(signer);
+  return dataSource.getRepository(RelayJob).find({ where, order: { createdAt: 'DESC' }, take: limit });
+}
+
+export async function getRelayerStatus() {
+  const repository = (await getDataSource()).getRepository(RelayJob);
+  const signers = [];
+  for (const address of wallets.keys()) {
+    signers.push({
+      address,
+      nextNonce: nextNonces.get(address) ?? null,
+      queued: await repository.countBy({ signer: address, status: 'queued' }),
+      submitted: await repository.countBy({ signer: address, status: 'submitted' }),
+    });
+  }
+  return { running, signers, lastError };
+}
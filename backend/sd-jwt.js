@@ -0,0 +1,269 @@
+import crypto from 'crypto';
+import { createJWT, decodeJWT, verifyJWS, verifyJWT } from 'did-jwt';
+import getVeramoAgent, { didResolver } from './veramo-setup.js';
+import { checkCredentialStatus } from './status-list.js';
+
+// Selective disclosure credentials (SD-JWT VC, draft-ietf-oauth-sd-jwt-vc).
+// Each credentialSubject claim is left out of the signed JWT and replaced by
+// the digest of a "disclosure", base64url(JSON [salt, name, value]). The holder
+// gets the JWT with every disclosure:
+//
+//   <issuer-signed JWT>~<disclosure>~<disclosure>~...~
+//
+// and presents it with only the disclosures it chooses, followed by a
+// key-binding JWT signed with the key of the DID named in `cnf.kid`. The
+// verifier recomputes each digest and finds it in the signed `_sd` list, so a
+// claim cannot be added or altered, and undisclosed claims stay hidden.
+
+export const SD_JWT_TYPE = 'vc+sd-jwt';
+const KB_JWT_TYPE = 'kb+jwt';
+const SD_ALG = 'sha-256';
+// how old a key-binding JWT may be
+const KB_JWT_MAX_AGE_S = 300;
+// claims that describe the credential itself and are never selectively disclosed
+const RESERVED_CLAIMS = ['iss', 'sub', 'iat', 'nbf', 'exp', 'vct', 'cnf', 'status', 'credentialStatus', '_sd', '_sd_alg'];
+
+function digest(disclosure) {
+  return crypto.createHash('sha256').update(disclosure, 'ascii').digest('base64url');
+}
+
+function toSeconds(isoDate) {
+  return isoDate ? Math.floor(new Date(isoDate).getTime() / 1000) : undefined;
+}
+
+function toISODate(seconds) {
+  return seconds === undefined ? null : new Date(seconds * 1000).toISOString();
+}
+
+// JWS algorithm for each key type an issuer DID may have
+const SIGNING_ALGORITHMS = { Ed25519: 'EdDSA', Secp256k1: 'ES256K' };
+
+async function issuerSigner(issuerDid) {
+  const agent = await getVeramoAgent();
+  const identifier = await agent.didManagerGet({ did: issuerDid });
+  const key = identifier.keys.find((candidate) => SIGNING_ALGORITHMS[candidate.type]);
+  if (!key) {
+    throw new Error(`${issuerDid} has no Ed25519 or Secp256k1 key to sign an SD-JWT with`);
+  }
+  const alg = SIGNING_ALGORITHMS[key.type];
+  return { alg, signer: (data) => agent.keyManagerSign({ keyRef: key.kid, data, algorithm: alg }) };
+}
+
+// Signs `credential` (the W3C shape createRoleCredential returns, plus its
+// credentialStatus) as an SD-JWT VC in which every credentialSubject claim
+// except `id` is a disclosure. The subject's DID becomes the holder key
+// (`cnf.kid`). Resolves with the compact SD-JWT carrying all disclosures.
+export async function issueSdJwt(credential, issuerDid) {
+  const { id: subject, ...claims } = credential.credentialSubject || {};
+  const disclosures = Object.entries(claims).map(([name, value]) =>
+    Buffer.from(JSON.stringify([crypto.randomBytes(16).toString('base64url'), name, value])).toString('base64url'),
+  );
+  const types = [].concat(credential.type || []);
+
+  const payload = {
+    sub: subject,
+    iat: toSeconds(credential.issuanceDate),
+    exp: toSeconds(credential.expirationDate),
+    vct: types[types.length - 1],
+    ...(subject?.startsWith('did:') && { cnf: { kid: subject } }),
+    ...(credential.credentialStatus && { credentialStatus: credential.credentialStatus }),
+    // sorted, so their order says nothing about the claims'
+    _sd: disclosures.map(digest).sort(),
+    _sd_alg: SD_ALG,
+  };
+  const jwt = await createJWT(payload, { issuer: issuerDid, ...(await issuerSigner(issuerDid)) }, { typ: SD_JWT_TYPE });
+  return `${jwt}~${disclosures.map((disclosure) => `${disclosure}~`).join('')}`;
+}
+
+export function isSdJwt(value) {
+  return typeof value === 'string' && /^[\w-]+\.[\w-]+\.[\w-]+~/.test(value.trim());
+}
+
+// Splits a compact SD-JWT (or presentation) into its parts. `presented` is
+// everything the key-binding JWT's `sd_hash` covers.
+function splitSdJwt(compact) {
+  const parts = compact.trim().split('~');
+  const kbJwt = parts.pop() || null;
+  const [jwt, ...disclosures] = parts;
+  return { jwt, disclosures, kbJwt, presented: `${parts.join('~')}~` };
+}
+
+function decodeDisclosure(disclosure) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(disclosure, 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('A disclosure is not base64url-encoded JSON');
+  }
+  if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[1] !== 'string') {
+    throw new Error('A disclosure is not a [salt, name, value] array');
+  }
+  return { name: decoded[1], value: decoded[2] };
+}
+
+// The claims revealed by `disclosures`, each checked against the signed digests.
+function discloseClaims(payload, disclosures) {
+  const digests = new Set(payload._sd || []);
+  const seen = new Set();
+  const claims = {};
+  for (const disclosure of disclosures) {
+    const hash = digest(disclosure);
+    if (!digests.has(hash)) {
+      throw new Error('A disclosure does not match any digest signed by the issuer');
+    }
+    if (seen.has(hash)) {
+      throw new Error('A disclosure was presented twice');
+    }
+    seen.add(hash);
+    const { name, value } = decodeDisclosure(disclosure);
+    if (RESERVED_CLAIMS.includes(name) || name in claims) {
+      throw new Error(`Disclosure of claim "${name}" is not allowed`);
+    }
+    claims[name] = value;
+  }
+  return { claims, hidden: digests.size - seen.size };
+}
+
+// The key-binding JWT must be signed by the holder DID in `cnf.kid`, be recent,
+// cover exactly what was presented, and match `nonce`/`audience` when the
+// verifier gives them.
+async function checkKeyBinding(payload, { kbJwt, presented }, { nonce, audience }) {
+  const holder = payload.cnf?.kid;
+  if (!holder) {
+    throw new Error('The credential names no holder key (cnf.kid)');
+  }
+  if (!kbJwt) {
+    throw new Error('The presentation has no key-binding JWT');
+  }
+  const { header, payload: binding } = decodeJWT(kbJwt);
+  if (header.typ !== KB_JWT_TYPE) {
+    throw new Error(`Key-binding JWT has typ ${header.typ}, not ${KB_JWT_TYPE}`);
+  }
+  const { didDocument } = await didResolver.resolve(holder);
+  if (!didDocument) {
+    throw new Error(`Could not resolve the holder ${holder}`);
+  }
+  try {
+    verifyJWS(kbJwt, didDocument.verificationMethod || []);
+  } catch {
+    throw new Error(`Key-binding JWT is not signed by the holder ${holder}`);
+  }
+  if (binding.sd_hash !== digest(presented)) {
+    throw new Error('Key-binding JWT does not cover the presented disclosures');
+  }
+  const age = Math.floor(Date.now() / 1000) - binding.iat;
+  if (!Number.isInteger(binding.iat) || age > KB_JWT_MAX_AGE_S || age < -KB_JWT_MAX_AGE_S) {
+    throw new Error('Key-binding JWT is too old; present the credential again');
+  }
+  if (!binding.nonce || !binding.aud) {
+    throw new Error('Key-binding JWT must carry nonce and aud');
+  }
+  if (nonce !== undefined && binding.nonce !== nonce) {
+    throw new Error('Key-binding JWT was made for another nonce');
+  }
+  if (audience !== undefined && binding.aud !== audience) {
+    throw new Error(`Key-binding JWT is addressed to ${binding.aud}, not ${audience}`);
+  }
+  return { holder, nonce: binding.nonce, audience: binding.aud };
+}
+
+// Verifies an SD-JWT VC as issued or presented, in the same shape verifyVC
+// reports: the issuer's signature, each disclosure, the key binding (required
+// when `requireKeyBinding` or when the verifier passes `nonce`/`audience`), the
+// validity period and the status lists. `disclosed` holds the revealed claims.
+export async function verifySdJwt(compact, { nonce, audience, requireKeyBinding = false } = {}) {
+  const parts = splitSdJwt(compact);
+  let decoded;
+  try {
+    decoded = decodeJWT(parts.jwt);
+  } catch (error) {
+    return {
+      verified: false,
+      format: 'sd-jwt',
+      checks: { signature: false },
+      error: `Unreadable SD-JWT: ${error.message}`,
+    };
+  }
+  const { header, payload } = decoded;
+  const summary = {
+    format: 'sd-jwt',
+    issuer: payload.iss || null,
+    subject: payload.sub || null,
+    types: payload.vct ? ['VerifiableCredential', payload.vct] : [],
+    issuanceDate: toISODate(payload.nbf ?? payload.iat),
+    expirationDate: toISODate(payload.exp),
+    credentialStatus: payload.credentialStatus || null,
+  };
+
+  const checks = {};
+  const failures = [];
+  const check = async (name, run) => {
+    try {
+      const result = await run();
+      checks[name] = true;
+      return result;
+    } catch (error) {
+      checks[name] = false;
+      failures.push(error.message);
+      return null;
+    }
+  };
+
+  await check('signature', async () => {
+    if (header.typ !== SD_JWT_TYPE || payload._sd_alg !== SD_ALG) {
+      throw new Error(`Not an SD-JWT VC (typ ${SD_JWT_TYPE}, _sd_alg ${SD_ALG})`);
+    }
+    await verifyJWT(parts.jwt, { resolver: didResolver, policies: { nbf: false, iat: false, exp: false, aud: false } });
+  });
+  const disclosure = await check('disclosures', () => discloseClaims(payload, parts.disclosures));
+  let keyBinding = null;
+  if (requireKeyBinding || nonce !== undefined || audience !== undefined || parts.kbJwt) {
+    keyBinding = await check('keyBinding', () => checkKeyBinding(payload, parts, { nonce, audience }));
+  }
+
+  const now = Date.now();
+  await check('issuanceDate', () => {
+    if (summary.issuanceDate && new Date(summary.issuanceDate).getTime() > now) {
+      throw new Error(`Credential is not valid before ${summary.issuanceDate}`);
+    }
+  });
+  await check('expirationDate', () => {
+    if (summary.expirationDate && new Date(summary.expirationDate).getTime() <= now) {
+      throw new Error(`Credential expired on ${summary.expirationDate}`);
+    }
+  });
+  // the status lists are only looked up for a credential the issuer signed
+  let status = null;
+  if (checks.signature) {
+    await check('status', async () => {
+      try {
+        status = await checkCredentialStatus(summary.credentialStatus, summary.issuer);
+      } catch (error) {
+        throw new Error(`Credential status could not be checked: ${error.message}`);
+      }
+      if (status !== null && status !== 'active') {
+        throw new Error(`Credential has been ${status} by its issuer`);
+      }
+    });
+  } else {
+    checks.status = false;
+  }
+
+  return {
+    verified: failures.length === 0,
+    checks,
+    ...summary,
+    status,
+    disclosed: disclosure?.claims ?? {},
+    undisclosedClaims: disclosure?.hidden ?? null,
+    holder: keyBinding?.holder ?? null,
+    nonce: keyBinding?.nonce ?? null,
+    audience: keyBinding?.audience ?? null,
+    error: failures[0] || null,
+  };
+}
+
+// The issuer-signed part alone, with no claim disclosed; safe to publish.
+export function withoutDisclosures(compact) {
+  return `${splitSdJwt(compact).jwt}~`;
+}
@@ -48,38 +48,3 @@ app.listen(PORT, () => {
     console.error('⚠️  Veramo setup load error:', error.message);
   });
 });
-
-// Add DID route after server starts
-setTimeout(async () => {
-  try {
-    const { createDID } = await import('./vc-service.js');
-    
-    app.post('/did/create', async (req, res) => {
-      try {
-        console.log('📝 Creating DID...');
-        const did = await createDID();
-        console.log('✅ DID created:', did);
-        res.json({ did, success: true });
-      } catch (error) {
-        console.error('❌ DID creation error:', error);
-        res.status(500).json({ 
-          error: error.message || 'Failed to create DID', 
-          success: false 
-        });
-      }
-    });
-    
-    console.log('✅ DID route added');
-  } catch (error) {
-    console.error('⚠️  Failed to add DID route:', error.message);
-    
-    // Add a fallback route
-    app.post('/did/create', (req, res) => {
-      res.status(503).json({ 
-        error: 'DID service not available. Check backend logs.', 
-        success: false 
-      });
-    });
-  }
-}, 1000);
-
@@ -1,49 +1,331 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { createDID, addPolicyRequest, getPolicyRequests, issueVC, createRoleCredential } from './vc-service.js';
+import busboy from 'busboy';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import {
+  registerDID,
+  addPolicyRequest,
+  getPolicyRequests,
+  getPolicyRequest,
+  getPolicyRequestHistory,
+  updatePolicyRequest,
+  issueVC,
+  verifyVC,
+  createRoleCredential,
+  getCredentialRecord,
+  getVCByPolicyId,
+  withoutUndisclosedClaims,
+  updateCredentialStatus,
+  revokePolicyCredentials,
+  renewCredential,
+  getExpiringCredentials,
+  termExpiration,
+  POLICY_TERM_DAYS,
+} from './vc-service.js';
+import { getCredentialStatus, getStatusListCredential, signStatusLists } from './status-list.js';
+import { completeSigningRequest, getSigningRequestSigner } from './client-signing.js';
+import { APP_CONTEXT, LD_CONTEXTS } from './veramo-setup.js';
+import { verifySdJwt } from './sd-jwt.js';
+import { createPresentationChallenge, verifyPresentation } from './vp-service.js';
+import {
+  ROLES,
+  getClaim,
+  getPolicy,
+  getPolicyIssuance,
+  getRole,
+  watchClaimEvents,
+  watchDeployments,
+  findMissingContracts,
+  getContractsConfig,
+} from './contract-service.js';
+import { publish, subscribe, eventsSince, matchesFilter } from './event-bus.js';
+import {
+  startIndexer,
+  getIndexerStatus,
+  getPolicyClaims,
+  getProviderClaims,
+  getRegistrations,
+  getPolicyDeactivations,
+  onIndexedEvents,
+} from './chain-indexer.js';
+import { startRelayer, getJob, listJobs, getRelayerStatus } from './relayer.js';
+import { getRelayInfo, relayMetaTransaction, listMetaTransactionIds } from './forwarder-service.js';
+import { ethers } from 'ethers';
+import { streamFromIPFS, verifyIPFSContent } from './ipfs-service.js';
+import {
+  decodeBase64Payload,
+  storeFile,
+  storeFileStream,
+  getFileMetadata,
+  getFileInfo,
+  openFileStream,
+} from './file-service.js';
+import { storeEncryptedDocument, getManifest } from './encryption-service.js';
+import {
+  createChallenge,
+  verifyChallengeResponse,
+  endSession,
+  createSiweNonce,
+  verifySiwe,
+  sessionToken,
+  authenticate,
+  requireAuth,
+  requireRole,
+  assertActingAs,
+  assertRole,
+} from './auth-service.js';
+import {
+  PIN_KINDS,
+  linkPins,
+  getPin,
+  listPins,
+  repin,
+  checkAvailability,
+  unpin,
+} from './pin-registry.js';
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3001;
+const MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 500 * 1024 * 1024;
 
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
 // --- Health -------------------------------------------------
 app.get('/health', (_req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// --- DID creation ------------------------------------------
-app.post('/did/create', async (_req, res) => {
+// --- Contract config ---------------------------------------
+// Chain id, addresses and ABIs of the current deployment, for the frontend to
+// build its contracts from. `hasCode: false` marks an address the node has no
+// contract at. Follows deployments.json without a backend restart.
+app.get('/config/contracts', async (_req, res) => {
   try {
-    const did = await createDID();
-    res.json({ success: true, did });
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, ...(await getContractsConfig()) });
   } catch (error) {
-    console.error('DID creation failed:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message || 'Failed to create DID',
-    });
+    sendOnchainError(res, 'Contract config', error);
+  }
+});
+
+// --- DID registration ---------------------------------------
+// Body: { did }. DIDs are did:key identifiers created in the browser, which
+// keeps their private key; log in with the DID (DID-Auth) before registering
+// it. Registering records the DID's public key so it can issue credentials:
+// what it has to sign is then handed back as a signing request (below).
+app.post('/did/register', requireAuth, async (req, res) => {
+  try {
+    const { did } = req.body;
+    if (!did) {
+      return res.status(400).json({ success: false, error: 'did is required' });
+    }
+    assertActingAs(req, did);
+    res.json({ success: true, ...(await registerDID(did)) });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('DID registration failed:', error);
+    }
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// --- Signing requests (client-signing.js) ---------------------
+// Routes that sign as a registered DID answer 202 with a `signingRequest`
+// { id, did, expiresAt, payloads: [{ algorithm, data }] } instead of their
+// result. Sign each payload's data (base64url) with the DID's key - EdDSA or
+// ES256K as a JWS signature, eth_signTypedData as EIP-712 typed data - and
+// post them here, in order: { signatures }. The response is what the route
+// would have answered.
+app.post('/signatures/:id', requireAuth, async (req, res) => {
+  try {
+    const did = getSigningRequestSigner(req.params.id);
+    if (!did) {
+      return res.status(404).json({ success: false, error: `Signing request ${req.params.id} not found or expired` });
+    }
+    assertActingAs(req, did);
+    res.json({ success: true, ...(await completeSigningRequest(req.params.id, req.body.signatures)) });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Signing request failed:', error);
+    }
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// --- Authentication -----------------------------------------
+// DID-Auth:
+// 1. POST /auth/challenge { did } -> { nonce, audience, expiresAt }
+// 2. sign a JWT { nonce, aud: audience } as the DID
+// 3. POST /auth/verify { did, jws } -> { token, dids, address, expiresAt }
+// Sign-In With Ethereum:
+// 1. POST /auth/siwe/nonce -> { nonce, expiresAt }
+// 2. have the wallet sign an EIP-4361 message with that nonce
+// 3. POST /auth/siwe/verify { message, signature } -> { token, address, role, ... }
+// The token goes in `Authorization: Bearer <token>` on protected routes. Sending
+// it along with another login adds that DID or address to the same session.
+app.post('/auth/challenge', (req, res) => {
+  try {
+    res.json({ success: true, ...createChallenge(req.body?.did) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/auth/verify', async (req, res) => {
+  try {
+    const { did, jws } = req.body;
+    res.json({ success: true, ...(await verifyChallengeResponse({ did, jws }, sessionToken(req))) });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('DID-Auth verification failed:', error);
+    }
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
   }
 });
 
-// --- Policy requests (lightweight JSON store) ---------------
-app.post('/policy/request', (req, res) => {
+app.post('/auth/siwe/nonce', (_req, res) => {
+  res.json({ success: true, ...createSiweNonce() });
+});
+
+app.post('/auth/siwe/verify', async (req, res) => {
+  try {
+    const { message, signature } = req.body;
+    const session = await verifySiwe({ message, signature }, { token: sessionToken(req) });
+    res.json({ success: true, ...session });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('SIWE verification failed:', error);
+    }
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/auth/session', requireAuth, async (req, res) => {
+  const { token, ...session } = req.auth;
+  let role = null;
+  if (session.address) {
+    try {
+      role = await getRole(session.address);
+    } catch (error) {
+      console.warn('Role lookup failed:', error.message);
+    }
+  }
+  res.json({ success: true, ...session, role });
+});
+
+app.post('/auth/logout', requireAuth, (req, res) => {
+  endSession(req.auth.token);
+  res.json({ success: true });
+});
+
+// --- Policy requests ---------------------------------------
+function sameAddress(a, b) {
+  return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
+
+// What an insurer's session answers to: its wallet and its DIDs.
+function insurerIds(auth) {
+  return [auth.address, ...auth.dids].filter(Boolean);
+}
+
+// Patients see their own requests; insurers those addressed to them (by wallet
+// or DID) or to no insurer. /policy/requests and /events apply the same rule.
+function canSeePolicyRequest(auth, request) {
+  if (auth.role === 'Patient') {
+    return sameAddress(request.patientAddress, auth.address);
+  }
+  return !request.insurer || sameAddress(request.insurer, auth.address) || auth.dids.includes(request.insurer);
+}
+
+// The policy request a policy credential is issued for: it must be approved
+// and open to the signed-in insurer (404 otherwise, like the other routes).
+async function approvedPolicyRequest(auth, policyId) {
+  const request = await getPolicyRequest(String(policyId));
+  if (!request || !canSeePolicyRequest(auth, request)) {
+    throw httpError(404, `Policy request ${policyId} not found`);
+  }
+  if (request.status !== 'approved') {
+    throw httpError(409, `Policy request ${policyId} is ${request.status}; only approved requests get a credential`);
+  }
+  return request;
+}
+
+// Checks that on-chain policy `onchainPolicyId` is the one `insurer` issued for
+// `request`, and was created in `onchainTxHash` when that is given.
+async function assertOnchainPolicy(request, insurer, { onchainPolicyId, onchainTxHash }) {
+  let policy;
   try {
-    const { patientDid, patientAddress, coverageAmount, details } = req.body;
+    policy = await getPolicy(onchainPolicyId);
+  } catch (error) {
+    if (!error.revertReason) throw error;
+    throw httpError(400, `On-chain policy ${onchainPolicyId} does not exist`);
+  }
+  if (
+    !sameAddress(policy.insurer, insurer) ||
+    !sameAddress(policy.beneficiary, request.patientAddress) ||
+    policy.coverageAmount !== String(request.coverageAmount)
+  ) {
+    throw httpError(
+      400,
+      `On-chain policy ${onchainPolicyId} was not issued by ${insurer} to ${request.patientAddress} for ${request.coverageAmount}`,
+    );
+  }
+  if (!policy.active) {
+    throw httpError(409, `On-chain policy ${onchainPolicyId} has been deactivated`);
+  }
+  if (onchainTxHash && (await getPolicyIssuance(onchainTxHash))?.policyId !== policy.policyId) {
+    throw httpError(400, `Transaction ${onchainTxHash} did not issue on-chain policy ${onchainPolicyId}`);
+  }
+}
+
+// The claims of a policy credential. They come from the stored request and,
+// for a policy also created on-chain, from PolicyContract; of the client's
+// data only the policy number and which on-chain policy it is are used.
+async function policyClaims(request, insurer, { policyNumber, onchainPolicyId, onchainTxHash }) {
+  const claims = {
+    policyId: request.id,
+    ...(typeof policyNumber === 'string' && { policyNumber }),
+    insurer,
+    beneficiary: request.patientAddress,
+    coverageAmount: request.coverageAmount,
+    issuedAt: new Date().toISOString(),
+  };
+  if (onchainPolicyId === undefined || onchainPolicyId === null) {
+    return claims;
+  }
+  await assertOnchainPolicy(request, insurer, { onchainPolicyId, onchainTxHash });
+  return { ...claims, onchainPolicyId: String(onchainPolicyId), ...(onchainTxHash && { onchainTxHash }) };
+}
+
+app.post('/policy/request', requireRole('Patient'), async (req, res) => {
+  try {
+    const { patientDid, patientAddress, insurer, coverageAmount, details } = req.body;
     if (!patientDid || !patientAddress || !coverageAmount) {
       return res
         .status(400)
         .json({ success: false, error: 'patientDid, patientAddress and coverageAmount are required' });
     }
+    assertActingAs(req, patientDid);
+    if (!sameAddress(patientAddress, req.auth.address)) {
+      return res.status(403).json({ success: false, error: 'patientAddress must be your signed-in wallet' });
+    }
 
-    const request = addPolicyRequest({
+    const request = await addPolicyRequest({
       patientDid,
       patientAddress,
+      insurer,
       coverageAmount,
       details: details || {},
     });
@@ -51,55 +333,232 @@ app.post('/policy/request', (req, res) => {
     res.json({ success: true, request });
   } catch (error) {
     console.error('Policy request failed:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Query: patientDid, patientAddress, insurer, status (comma-separated),
+// from/to (ISO dates), sort (createdAt|updatedAt), order (asc|desc), limit, cursor.
+// Patients only ever get their own requests and insurers the ones open to them,
+// whatever patientAddress/insurer say.
+app.get('/policy/requests', requireRole('Patient', 'Insurer'), async (req, res) => {
+  try {
+    const { patientDid, status, from, to, sort, order, limit, cursor } = req.query;
+    const isPatient = req.auth.role === 'Patient';
+    const page = await getPolicyRequests({
+      patientDid,
+      patientAddress: isPatient ? req.auth.address : req.query.patientAddress,
+      insurer: isPatient ? req.query.insurer : insurerIds(req.auth),
+      status,
+      from,
+      to,
+      sort,
+      order,
+      limit,
+      cursor,
+    });
+    res.json({ success: true, ...page });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/policy/request/:id', requireRole('Patient', 'Insurer'), async (req, res) => {
+  try {
+    const request = await getPolicyRequest(req.params.id);
+    if (!request || !canSeePolicyRequest(req.auth, request)) {
+      return res.status(404).json({ success: false, error: `Policy request ${req.params.id} not found` });
+    }
+    res.json({ success: true, request, history: await getPolicyRequestHistory(req.params.id) });
+  } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
-app.get('/policy/requests', (_req, res) => {
+app.get('/policy/request/:id/history', requireRole('Patient', 'Insurer'), async (req, res) => {
   try {
-    res.json({ success: true, requests: getPolicyRequests() });
+    const request = await getPolicyRequest(req.params.id);
+    if (!request || !canSeePolicyRequest(req.auth, request)) {
+      return res.status(404).json({ success: false, error: `Policy request ${req.params.id} not found` });
+    }
+    res.json({ success: true, history: await getPolicyRequestHistory(req.params.id) });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Body: { status, actor, reason?, vcCid?, onchainPolicyId?, onchainTxHash? }
+// pending -> under_review -> approved/rejected; approved -> issued; the patient
+// may withdraw until the request is decided or issued.
+app.patch('/policy/request/:id', requireAuth, async (req, res) => {
+  try {
+    const { status, actor = req.auth.dids[0], reason, vcCid, onchainPolicyId, onchainTxHash } = req.body;
+    assertActingAs(req, actor);
+    // the patient withdraws (checked against the request's DID); everything
+    // else is the decision of the insurer the request is addressed to
+    if (status !== 'withdrawn') {
+      await assertRole(req, ['Insurer']);
+    }
+    const existing = await getPolicyRequest(req.params.id);
+    const visible =
+      existing && (status === 'withdrawn' ? existing.patientDid === actor : canSeePolicyRequest(req.auth, existing));
+    if (!visible) {
+      return res.status(404).json({ success: false, error: `Policy request ${req.params.id} not found` });
+    }
+    if (status === 'issued' && onchainTxHash && !onchainPolicyId) {
+      return res.status(400).json({ success: false, error: 'onchainTxHash needs the onchainPolicyId it created' });
+    }
+    if (status === 'issued' && onchainPolicyId) {
+      await assertOnchainPolicy(existing, req.auth.address, { onchainPolicyId, onchainTxHash });
+    }
+    const request = await updatePolicyRequest(req.params.id, {
+      status,
+      actor,
+      reason,
+      vcCid,
+      onchainPolicyId,
+      onchainTxHash,
+    });
+    res.json({ success: true, request });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Policy request update failed:', error);
+    }
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
 // --- Generic VC issuance ------------------------------------
-app.post('/vc/issue', async (req, res) => {
+// Body: { issuerDid, subjectDid, role, data?, termDays?, format? }. Policy
+// credentials (data.policyId set) expire after termDays, POLICY_TERM_DAYS by
+// default; other credentials only when termDays is given. format is the proof:
+// 'jwt' (default), 'sd-jwt' (every data claim selectively disclosable), 'lds'
+// (Linked Data proof) or 'EthereumEip712Signature2021' (needs a Secp256k1
+// issuer DID). A registered issuer DID gets a 202 with a signingRequest; the
+// credential is stored once the signature is posted to /signatures/:id.
+app.post('/vc/issue', requireAuth, async (req, res) => {
   try {
-    const { issuerDid, subjectDid, role, data } = req.body;
+    const { issuerDid, subjectDid, role, data, termDays, format } = req.body;
     if (!issuerDid || !subjectDid || !role) {
       return res.status(400).json({
         success: false,
         error: 'issuerDid, subjectDid, and role are required',
       });
     }
+    assertActingAs(req, issuerDid);
+    // credentials for a policy are the insurer's to issue, to the patient who
+    // asked for it; role credentials anyone may self-issue
+    let claims = data;
+    if (data?.policyId !== undefined) {
+      await assertRole(req, ['Insurer']);
+      const request = await approvedPolicyRequest(req.auth, data.policyId);
+      if (subjectDid !== request.patientDid) {
+        return res
+          .status(400)
+          .json({ success: false, error: `subjectDid must be ${request.patientDid}, who requested the policy` });
+      }
+      claims = await policyClaims(request, req.auth.address, data);
+    }
 
-    const credential = createRoleCredential({ issuerDid, subjectDid, role, data });
-    const result = await issueVC(credential, issuerDid);
+    const term = termDays ?? (data?.policyId !== undefined ? POLICY_TERM_DAYS : null);
+    const expirationDate = term === null ? undefined : termExpiration(term);
+    const credential = createRoleCredential({ issuerDid, subjectDid, role, data: claims, expirationDate });
+    const result = await issueVC(credential, issuerDid, { format });
 
-    res.json({
+    res.status(result.signingRequest ? 202 : 200).json({
       success: true,
+      vcId: result.vcId,
+      format: result.format,
       vc: result.vc,
       cid: result.cid,
+      signingRequest: result.signingRequest,
+      expirationDate: credential.expirationDate ?? null,
     });
   } catch (error) {
     console.error('VC issuance failed:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       error: error.message || 'Failed to issue credential',
     });
   }
 });
 
+// --- VC verification ---------------------------------------
+// Accepts either a compact JWT or the credential object returned by /vc/issue.
+app.post('/vc/verify', async (req, res) => {
+  try {
+    const credential = req.body.vcJwt || req.body.vc;
+    if (!credential) {
+      return res.status(400).json({ success: false, error: 'vcJwt or vc is required' });
+    }
+
+    const verification = await verifyVC(credential);
+    res.json({ success: true, verification });
+  } catch (error) {
+    console.error('VC verification failed:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message || 'Failed to verify credential',
+    });
+  }
+});
+
+// Body: { presentation, nonce?, audience? }. `presentation` is an SD-JWT with
+// the disclosures the holder chose and a key-binding JWT; the response lists
+// the disclosed claims. Pass the nonce and audience (your DID) the holder was
+// asked to sign for. Nothing here records the nonce, so the same presentation
+// verifies again when replayed; verifiers that need it to count once should
+// take a challenge from /vp/challenge and check it with /vp/verify.
+app.post('/vc/sd-jwt/verify', async (req, res) => {
+  try {
+    const { presentation, nonce, audience } = req.body;
+    if (typeof presentation !== 'string') {
+      return res.status(400).json({ success: false, error: 'presentation is required' });
+    }
+    const verification = await verifySdJwt(presentation, { nonce, audience, requireKeyBinding: true });
+    res.json({ success: true, verification });
+  } catch (error) {
+    console.error('SD-JWT verification failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- Verifiable Presentations (vp-service.js) ----------------
+// 1. The verifier: POST /vp/challenge -> { challenge, domain, expiresAt }
+// 2. The holder signs a presentation for that challenge and domain
+// 3. The verifier: POST /vp/verify { presentation } -> { verification }
+app.post('/vp/challenge', requireRole('Provider', 'Insurer'), (req, res) => {
+  res.json({ success: true, ...createPresentationChallenge(req.auth) });
+});
+
+app.post('/vp/verify', requireRole('Provider', 'Insurer'), async (req, res) => {
+  try {
+    const verification = await verifyPresentation(req.body.presentation, req.auth);
+    res.json({ success: true, verification });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Presentation verification failed:', error);
+    }
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
 // --- Get VC by policy ID ------------------------------------
-app.get('/vc/policy/:policyId', async (req, res) => {
+// Same visibility as the policy request. Only a session logged in as the
+// credential's subject gets the claims of an SD-JWT credential, which it needs
+// to present them.
+app.get('/vc/policy/:policyId', requireRole('Patient', 'Insurer'), async (req, res) => {
   try {
     const { policyId } = req.params;
-    const { getVCByPolicyId } = await import('./vc-service.js');
-    const vc = getVCByPolicyId(policyId);
-    
-    if (vc) {
-      res.json({ success: true, vc });
+    const request = await getPolicyRequest(policyId);
+    if (!request || !canSeePolicyRequest(req.auth, request)) {
+      return res.status(404).json({ success: false, error: `Policy request ${policyId} not found` });
+    }
+    const record = await getVCByPolicyId(policyId);
+
+    if (record) {
+      const isHolder = req.auth.dids.includes(record.vc?.credentialSubject?.id);
+      res.json({ success: true, ...record, vc: isHolder ? record.vc : withoutUndisclosedClaims(record.vc) });
     } else {
       res.json({ success: false, vc: null });
     }
@@ -112,8 +571,848 @@ app.get('/vc/policy/:policyId', async (req, res) => {
   }
 });
 
+// --- Credential status (status-list.js) --------------------
+// The signed StatusList2021Credential verifiers fetch; public by design.
+app.get('/status/:listId', async (req, res) => {
+  try {
+    const credential = await getStatusListCredential(req.params.listId);
+    if (!credential) {
+      return res.status(404).json({ success: false, error: `Status list ${req.params.listId} not found` });
+    }
+    res.set('Cache-Control', 'no-cache');
+    res.json(credential);
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Status list failed:', error);
+    }
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Signing requests for the status lists of the session's DIDs that changed
+// since they were last signed (issuers that sign in the browser). Until they
+// are signed, verifiers elsewhere get a 503 for those lists.
+app.post('/status/signing-requests', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, signingRequests: await signStatusLists(req.auth.dids) });
+  } catch (error) {
+    console.error('Status list signing requests failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The JSON-LD context of this backend's credential claims; public by design.
+app.get('/contexts/mpa/v1', (_req, res) => {
+  res.type('application/ld+json').send(JSON.stringify(LD_CONTEXTS.get(APP_CONTEXT)));
+});
+
+// Query: withinDays (default 30). Patients get the credentials issued to them,
+// insurers the ones they issued.
+app.get('/vc/expiring', requireRole('Patient', 'Insurer'), async (req, res) => {
+  try {
+    const isPatient = req.auth.role === 'Patient';
+    const credentials = await getExpiringCredentials({
+      subjectDids: isPatient ? req.auth.dids : [],
+      issuerDids: isPatient ? [] : req.auth.dids,
+      patientAddress: isPatient ? req.auth.address : undefined,
+      withinDays: req.query.withinDays ?? 30,
+    });
+    res.json({ success: true, credentials });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { termDays? }. Only the insurer that issued the credential may renew
+// it. Like /vc/issue, answers 202 with a signingRequest for a registered DID.
+app.post('/vc/:vcId/renew', requireRole('Insurer'), async (req, res) => {
+  try {
+    const credential = await getCredentialRecord(req.params.vcId);
+    if (!credential) {
+      return res.status(404).json({ success: false, error: `Credential ${req.params.vcId} not found` });
+    }
+    assertActingAs(req, credential.issuerDid);
+    const result = await renewCredential(req.params.vcId, { termDays: req.body.termDays });
+    res.status(result.signingRequest ? 202 : 200).json({ success: true, ...result });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Credential renewal failed:', error);
+    }
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/vc/:vcId/status', async (req, res) => {
+  try {
+    const status = await getCredentialStatus(req.params.vcId);
+    if (!status) {
+      return res.status(404).json({ success: false, error: `No status for credential ${req.params.vcId}` });
+    }
+    res.json({ success: true, vcId: req.params.vcId, ...status });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: { action: revoke | suspend | reinstate, reason? }. Only the insurer
+// that issued the credential may change its status.
+app.post('/vc/:vcId/status', requireRole('Insurer'), async (req, res) => {
+  try {
+    const credential = await getCredentialRecord(req.params.vcId);
+    if (!credential) {
+      return res.status(404).json({ success: false, error: `Credential ${req.params.vcId} not found` });
+    }
+    assertActingAs(req, credential.issuerDid);
+    const { action, reason } = req.body;
+    const status = await updateCredentialStatus(req.params.vcId, {
+      action,
+      reason,
+      actor: credential.issuerDid,
+    });
+    res.json({ success: true, vcId: req.params.vcId, ...status });
+  } catch (error) {
+    if (!error.statusCode) {
+      console.error('Credential status change failed:', error);
+    }
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// --- Files (IPFS) ------------------------------------------
+// Uploads are recorded in the pin registry under `uploadedBy`, a DID or wallet
+// the session proved (by default its first DID, else its wallet). Files and
+// pins can then be read and managed by their uploader, and by the insurer of
+// the claim, policy request or credential they belong to.
+function uploaderOf(req, uploadedBy) {
+  if (!uploadedBy) {
+    return req.auth.dids[0] || req.auth.address;
+  }
+  if (ethers.isAddress(uploadedBy)) {
+    if (!sameAddress(uploadedBy, req.auth.address)) {
+      throw httpError(403, 'uploadedBy must be your signed-in wallet');
+    }
+    return uploadedBy;
+  }
+  assertActingAs(req, uploadedBy);
+  return uploadedBy;
+}
+
+function refTarget(ref) {
+  const separator = ref.indexOf(':');
+  return [ref.slice(0, separator), ref.slice(separator + 1)];
+}
+
+async function canAccessPin(auth, pin) {
+  const isCaller = (id) => Boolean(id) && (auth.dids.includes(id) || sameAddress(id, auth.address));
+  if (isCaller(pin.uploadedBy)) {
+    return true;
+  }
+  for (const ref of pin.refs) {
+    const [type, id] = refTarget(ref);
+    if (type === 'claim') {
+      const claim = await getClaim(id).catch(() => null);
+      if (isCaller(claim?.insurer)) return true;
+    } else if (type === 'vc') {
+      if (isCaller((await getCredentialRecord(id))?.issuerDid)) return true;
+    } else if (type === 'policy' || type === 'request') {
+      if (isCaller((await getPolicyRequest(id))?.insurer)) return true;
+    } else if (type === 'manifest') {
+      const manifest = await getPin(id);
+      if (manifest && (await canAccessPin(auth, manifest))) return true;
+    }
+  }
+  return false;
+}
+
+// The pin record of `cid` if the session may use it; 404 otherwise, so CIDs
+// of others are not confirmed.
+async function accessiblePin(req, cid) {
+  const pin = await getPin(cid);
+  if (!pin || !(await canAccessPin(req.auth, pin))) {
+    throw httpError(404, `No pin recorded for ${cid}`);
+  }
+  return pin;
+}
+
+// Body: { data: <base64 or data URL>, filename, mimeType?, uploadedBy? }
+app.post('/file/upload', requireAuth, async (req, res) => {
+  try {
+    const { data, filename, mimeType } = req.body;
+    if (!data) {
+      return res.status(400).json({ success: false, error: 'data is required' });
+    }
+    const uploadedBy = uploaderOf(req, req.body.uploadedBy);
+
+    let decoded;
+    try {
+      decoded = decodeBase64Payload(data);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const file = await storeFile({
+      buffer: decoded.buffer,
+      filename,
+      mimeType: mimeType || decoded.declaredType,
+      uploadedBy,
+    });
+    res.json({ success: true, ...file });
+  } catch (error) {
+    console.error('File upload failed:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to upload file' });
+  }
+});
+
+// Parses a multipart body and hands its "file" part, as a stream, to
+// `store({ stream, filename, mimeType, isTruncated, fields })`, where `fields`
+// holds the text fields sent before the file part. Responds with whatever
+// `store` resolves to, or 413 once MAX_UPLOAD_BYTES is exceeded.
+function handleMultipartUpload(req, res, store) {
+  let parser;
+  try {
+    parser = busboy({ headers: req.headers, limits: { files: 1, fileSize: MAX_UPLOAD_BYTES } });
+  } catch (error) {
+    return res.status(400).json({ success: false, error: 'Expected a multipart/form-data body' });
+  }
+
+  let upload = null;
+  let tooLarge = false;
+  const fields = {};
+  parser.on('field', (name, value) => {
+    fields[name] = value;
+  });
+  parser.on('file', (field, stream, info) => {
+    if (field !== 'file' || upload) {
+      stream.resume();
+      return;
+    }
+
+    stream.on('limit', () => {
+      tooLarge = true;
+    });
+    upload = store({
+      stream,
+      filename: info.filename,
+      // browsers fall back to octet-stream for unknown types; sniff those instead
+      mimeType: info.mimeType === 'application/octet-stream' ? null : info.mimeType,
+      isTruncated: () => tooLarge,
+      fields,
+    });
+    // handled once the whole body has been parsed
+    upload.catch(() => {});
+  });
+
+  parser.on('close', async () => {
+    if (!upload) {
+      return res.status(400).json({ success: false, error: 'A "file" field is required' });
+    }
+    try {
+      const file = await upload;
+      res.json({ success: true, ...file });
+    } catch (error) {
+      console.error('Streaming upload failed:', error);
+      if (tooLarge) {
+        return res
+          .status(413)
+          .json({ success: false, error: `File exceeds the ${MAX_UPLOAD_BYTES} byte upload limit` });
+      }
+      res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+  });
+
+  parser.on('error', (error) => {
+    console.error('Multipart parsing failed:', error);
+    if (!res.headersSent) {
+      res.status(400).json({ success: false, error: `Malformed multipart body: ${error.message}` });
+    }
+  });
+
+  req.pipe(parser);
+}
+
+// Multipart alternative to /file/upload for large documents: the "file" part is
+// piped into IPFS as it arrives instead of being buffered as base64 JSON.
+// ?uploadedBy=<did> is recorded in the pin registry.
+app.post('/file/upload/stream', requireAuth, (req, res) => {
+  let uploadedBy;
+  try {
+    uploadedBy = uploaderOf(req, req.query.uploadedBy);
+  } catch (error) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+  handleMultipartUpload(req, res, ({ stream, filename, mimeType, isTruncated }) => {
+    let nextLogAt = 0;
+    return storeFileStream({
+      stream,
+      filename,
+      mimeType,
+      isTruncated,
+      uploadedBy,
+      onProgress: (bytes) => {
+        if (bytes >= nextLogAt) {
+          console.log(`📦 ${filename}: ${(bytes / 1024 / 1024).toFixed(1)} MB added to IPFS`);
+          nextLogAt = bytes + 10 * 1024 * 1024;
+        }
+      },
+    });
+  });
+});
+
+app.get('/file/:cid/metadata', requireAuth, async (req, res) => {
+  try {
+    await accessiblePin(req, req.params.cid);
+    const metadata = getFileMetadata(req.params.cid);
+    if (!metadata) {
+      return res.status(404).json({ success: false, error: 'No metadata recorded for this CID' });
+    }
+    res.json({ success: true, cid: req.params.cid, ...metadata });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Re-fetches the whole file and recomputes its CID. Full downloads from
+// /file/:cid are checked the same way as they stream (the last chunk is only
+// sent once the CID matches); range requests are not.
+app.get('/file/:cid/integrity', requireAuth, async (req, res) => {
+  try {
+    await accessiblePin(req, req.params.cid);
+    const integrity = await verifyIPFSContent(req.params.cid);
+    res.json({ success: true, ...integrity });
+  } catch (error) {
+    console.error('Integrity check failed:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Types a browser may show in place. Anything else, HTML and SVG included, is
+// served as a download so an uploaded document cannot run script on this origin.
+const INLINE_MIME_TYPES = new Set(['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp', 'text/plain']);
+
+function contentDisposition(filename, mimeType) {
+  const fallback = filename.replace(/[^\x20-\x7e]|"/g, '_');
+  const disposition = INLINE_MIME_TYPES.has(String(mimeType).split(';')[0].trim().toLowerCase()) ? 'inline' : 'attachment';
+  return `${disposition}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+}
+
+// Streams the content straight from IPFS; honours a single-range Range header
+// so viewers can seek through large scans without downloading all of them.
+app.get('/file/:cid', requireAuth, async (req, res) => {
+  try {
+    await accessiblePin(req, req.params.cid);
+    const info = await getFileInfo(req.params.cid);
+    const ranges = req.range(info.size, { combine: true });
+    if (ranges === -1) {
+      res.set('Content-Range', `bytes */${info.size}`);
+      return res.status(416).json({ success: false, error: 'Requested range not satisfiable' });
+    }
+
+    const range = Array.isArray(ranges) && ranges.length === 1 ? ranges[0] : null;
+    res.set({
+      'Content-Type': info.mimeType,
+      'Content-Disposition': contentDisposition(info.filename || info.cid, info.mimeType),
+      'X-Content-Type-Options': 'nosniff',
+      'Accept-Ranges': 'bytes',
+      'Content-Length': range ? range.end - range.start + 1 : info.size,
+    });
+    if (range) {
+      res.status(206).set('Content-Range', `bytes ${range.start}-${range.end}/${info.size}`);
+    }
+    if (req.method === 'HEAD') {
+      return res.end();
+    }
+
+    await pipeline(Readable.from(await openFileStream(info.cid, range)), res);
+  } catch (error) {
+    console.error('File retrieval failed:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(error.statusCode || 500).json({ success: false, error: error.message || 'Failed to retrieve file' });
+    }
+  }
+});
+
+// --- Encrypted documents -----------------------------------
+// Medical documents the browser encrypted for a set of recipient DIDs
+// (encryption-service.js). Only the returned manifestCid needs to be stored
+// (e.g. as a claim's ipfsHash).
+function parseRecipients(value) {
+  if (Array.isArray(value)) return value;
+  return typeof value === 'string' ? value.split(',').map((did) => did.trim()).filter(Boolean) : [];
+}
+
+// Body: { data: <base64 ciphertext>, keyEnvelope: <JWE>, recipients, uploadedBy? }
+app.post('/file/encrypted/upload', requireAuth, async (req, res) => {
+  try {
+    const { data, keyEnvelope } = req.body;
+    const recipients = parseRecipients(req.body.recipients);
+    if (!data || !keyEnvelope || recipients.length === 0) {
+      return res.status(400).json({ success: false, error: 'data, keyEnvelope and recipients are required' });
+    }
+    const uploadedBy = uploaderOf(req, req.body.uploadedBy);
+
+    let decoded;
+    try {
+      decoded = decodeBase64Payload(data);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const result = await storeEncryptedDocument({ source: decoded.buffer, keyEnvelope, recipients, uploadedBy });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Encrypted upload failed:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Multipart; recipients go in the query string (?recipients=did1,did2) and the
+// JWE in a "keyEnvelope" field ahead of the "file" part (the ciphertext), so
+// both are known before it starts streaming.
+app.post('/file/encrypted/upload/stream', requireAuth, (req, res) => {
+  const recipients = parseRecipients(req.query.recipients);
+  if (recipients.length === 0) {
+    return res.status(400).json({ success: false, error: 'recipients query parameter is required' });
+  }
+  let uploadedBy;
+  try {
+    uploadedBy = uploaderOf(req, req.query.uploadedBy);
+  } catch (error) {
+    return res.status(error.statusCode).json({ success: false, error: error.message });
+  }
+
+  handleMultipartUpload(req, res, ({ stream, isTruncated, fields }) =>
+    storeEncryptedDocument({ source: stream, keyEnvelope: fields.keyEnvelope, recipients, isTruncated, uploadedBy }),
+  );
+});
+
+// Recipients, and whoever may manage the manifest's pin, read the manifest and
+// the ciphertext and decrypt them in the browser. Others get a 404, as for pins.
+async function accessibleManifest(req, manifestCid) {
+  const manifest = await getManifest(manifestCid);
+  if (!manifest.recipients.some((did) => req.auth.dids.includes(did))) {
+    await accessiblePin(req, manifestCid);
+  }
+  return manifest;
+}
+
+app.get('/file/encrypted/:manifestCid', requireAuth, async (req, res) => {
+  try {
+    const manifest = await accessibleManifest(req, req.params.manifestCid);
+    res.set('Cache-Control', 'no-store').json({ success: true, manifestCid: req.params.manifestCid, manifest });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/file/encrypted/:manifestCid/ciphertext', requireAuth, async (req, res) => {
+  try {
+    const manifest = await accessibleManifest(req, req.params.manifestCid);
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'X-Content-Type-Options': 'nosniff',
+      'Cache-Control': 'no-store',
+    });
+    await pipeline(Readable.from(await streamFromIPFS(manifest.ciphertext)), res);
+  } catch (error) {
+    console.error('Encrypted document retrieval failed:', error);
+    if (res.headersSent) {
+      res.destroy(error);
+    } else {
+      res.status(error.statusCode || 500).json({ success: false, error: error.message });
+    }
+  }
+});
+
+// --- Pin registry ------------------------------------------
+// What the backend stored in IPFS that the session may manage (see
+// canAccessPin), and why. Query: kind, ref, uploadedBy, pinned.
+app.get('/pins', requireAuth, async (req, res) => {
+  try {
+    const { kind, ref, uploadedBy, pinned } = req.query;
+    if (kind && !PIN_KINDS.includes(kind)) {
+      return res.status(400).json({ success: false, error: `kind must be one of: ${PIN_KINDS.join(', ')}` });
+    }
+    const pins = [];
+    for (const pin of await listPins({ kind, ref, uploadedBy, pinned })) {
+      if (await canAccessPin(req.auth, pin)) pins.push(pin);
+    }
+    res.json({ success: true, pins });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/pins/:cid', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, pin: await accessiblePin(req, req.params.cid) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/pins/:cid/availability', requireAuth, async (req, res) => {
+  try {
+    await accessiblePin(req, req.params.cid);
+    const availability = await checkAvailability(req.params.cid);
+    res.json({ success: true, ...availability });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/pins/:cid/repin', requireAuth, async (req, res) => {
+  try {
+    await accessiblePin(req, req.params.cid);
+    const pin = await repin(req.params.cid);
+    res.json({ success: true, pin });
+  } catch (error) {
+    console.error('Re-pin failed:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Body (optional): { reason }
+app.delete('/pins/:cid', requireAuth, async (req, res) => {
+  try {
+    await accessiblePin(req, req.params.cid);
+    const released = await unpin(req.params.cid, req.body?.reason || null);
+    res.json({ success: true, released });
+  } catch (error) {
+    console.error('Unpin failed:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Unpins everything owned by ?ref= that the session may manage, e.g. vc:<id>
+// after revocation or request:<id> after a policy request is withdrawn.
+app.delete('/pins', requireAuth, async (req, res) => {
+  try {
+    const { ref } = req.query;
+    if (!ref) {
+      return res.status(400).json({ success: false, error: 'ref query parameter is required' });
+    }
+    const released = [];
+    for (const pin of await listPins({ ref, pinned: true })) {
+      if (await canAccessPin(req.auth, pin)) {
+        released.push(...(await unpin(pin.cid, req.body?.reason || null)));
+      }
+    }
+    res.json({ success: true, released });
+  } catch (error) {
+    console.error('Unpin by ref failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- On-chain operations -----------------------------------
+// Reverts are the caller's fault (wrong role, bad state transition), so they
+// come back as 400 with the contract's reason; anything else is a 500.
+function sendOnchainError(res, label, error) {
+  console.error(`${label} failed:`, error);
+  res.status(error.statusCode || (error.revertReason ? 400 : 500)).json({
+    success: false,
+    error: error.message,
+    revertReason: error.revertReason || null,
+  });
+}
+
+// Writes are sent by the relayer; one still in flight when the relayer stops
+// waiting is answered with 202 and can be followed at /relayer/jobs/:jobId.
+function sendRelayed(res, result) {
+  res.status(result.status === 'mined' ? 200 : 202).json({ success: true, ...result });
+}
+
+// The claim is on-chain either way; a pinning failure only leaves its
+// evidence unprotected from GC, which /pins can fix later.
+async function linkClaimEvidence(claimId, ipfsHash, vcCid) {
+  try {
+    await linkPins([ipfsHash], { ref: `claim:${claimId}`, kind: 'claim-document' });
+    await linkPins([vcCid], { ref: `claim:${claimId}`, kind: 'policy-vc' });
+  } catch (pinError) {
+    console.warn(`Pinning evidence for claim ${claimId} failed:`, pinError.message);
+  }
+}
+
+// Loads the claim from ClaimContract and checks that the document (ipfsHash)
+// and credential (vcCid) it references are still retrievable and intact.
+app.get('/onchain/claims/:claimId/evidence', async (req, res) => {
+  try {
+    const claim = await getClaim(req.params.claimId);
+    const [documentIntegrity, vcIntegrity] = await Promise.all([
+      verifyIPFSContent(claim.ipfsHash),
+      verifyIPFSContent(claim.vcCid),
+    ]);
+    res.json({
+      success: true,
+      claim,
+      intact: documentIntegrity.verified && vcIntegrity.verified,
+      evidence: { document: documentIntegrity, vc: vcIntegrity },
+    });
+  } catch (error) {
+    sendOnchainError(res, 'Claim evidence check', error);
+  }
+});
+
+// --- Indexed on-chain history (chain-indexer.js) -------------
+app.get('/onchain/indexer', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getIndexerStatus()) });
+  } catch (error) {
+    console.error('Indexer status failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/onchain/policies/:policyId/claims', async (req, res) => {
+  try {
+    const { policyId } = req.params;
+    if (!/^\d+$/.test(policyId)) {
+      return res.status(400).json({ success: false, error: 'policyId must be a number' });
+    }
+    res.json({ success: true, ...(await getPolicyClaims(policyId)) });
+  } catch (error) {
+    console.error('Policy claims lookup failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/onchain/providers/:address/claims', async (req, res) => {
+  try {
+    const { address } = req.params;
+    if (!ethers.isAddress(address)) {
+      return res.status(400).json({ success: false, error: 'address must be an Ethereum address' });
+    }
+    res.json({ success: true, claims: await getProviderClaims(address) });
+  } catch (error) {
+    console.error('Provider claims lookup failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ?role=Patient|Provider|Insurer narrows the list
+app.get('/onchain/registrations', async (req, res) => {
+  try {
+    const { role } = req.query;
+    if (role && !ROLES[role]) {
+      return res.status(400).json({ success: false, error: 'role must be Patient, Provider or Insurer' });
+    }
+    res.json({ success: true, registrations: await getRegistrations({ role }) });
+  } catch (error) {
+    console.error('Registrations lookup failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- Relayer ------------------------------------------------
+app.get('/relayer/status', async (req, res) => {
+  try {
+    res.json({ success: true, ...(await getRelayerStatus()) });
+  } catch (error) {
+    console.error('Relayer status failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// ?status=queued|submitted|mined|failed&signer=0x...&limit=50
+// Jobs are listed and shown only to the wallet whose meta-transactions they
+// relay; /relayer/status has the aggregate view.
+app.get('/relayer/jobs', requireAuth, async (req, res) => {
+  try {
+    const { status, signer } = req.query;
+    if (signer && !ethers.isAddress(signer)) {
+      return res.status(400).json({ success: false, error: 'signer must be an address' });
+    }
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+    const ids = req.auth.address ? await listMetaTransactionIds(req.auth.address) : [];
+    res.json({ success: true, jobs: await listJobs({ ids, status, signer, limit }) });
+  } catch (error) {
+    console.error('Listing relayer jobs failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/relayer/jobs/:jobId', requireAuth, async (req, res) => {
+  try {
+    const ids = req.auth.address ? await listMetaTransactionIds(req.auth.address) : [];
+    const job = ids.includes(req.params.jobId) ? await getJob(req.params.jobId) : null;
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('Loading relayer job failed:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// --- Gasless meta-transactions (EIP-2771) --------------------
+// Forwarder domain, the address's forwarder nonce and its remaining quota.
+app.get('/relay/:address', async (req, res) => {
+  try {
+    if (!ethers.isAddress(req.params.address)) {
+      return res.status(400).json({ success: false, error: 'address must be an address' });
+    }
+    res.json({ success: true, ...(await getRelayInfo(req.params.address)) });
+  } catch (error) {
+    sendOnchainError(res, 'Relay info', error);
+  }
+});
+
+// Body: { request: { from, to, value, gas, nonce, data }, signature } where
+// signature is the EIP-712 signature of the ForwardRequest by `from`, the
+// address this session signed in with.
+app.post('/relay', requireAuth, async (req, res) => {
+  try {
+    sendRelayed(res, await relayMetaTransaction(req.body, { address: req.auth.address, ip: req.ip }));
+  } catch (error) {
+    sendOnchainError(res, 'Relay', error);
+  }
+});
+
+// --- Live updates (Server-Sent Events) ----------------------
+// Streams policyRequest.created, policyRequest.updated, credential.issued,
+// claim.submitted and claim.stateChanged. EventSource cannot send headers, so
+// the session token comes as `access_token`. Patients get the events about
+// their own wallet, insurers those addressed to them or to no insurer.
+// Reconnecting clients get missed events replayed from Last-Event-ID while
+// they are still buffered.
+const SSE_HEARTBEAT_MS = 25000;
+
+app.get('/events', async (req, res) => {
+  try {
+    req.auth = authenticate(req.query.access_token);
+    await assertRole(req, ['Patient', 'Insurer']);
+  } catch (error) {
+    return res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+  // the visibility rule of canSeePolicyRequest
+  const filter =
+    req.auth.role === 'Patient' ? { patientAddress: req.auth.address } : { insurer: insurerIds(req.auth) };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  const send = (event) => {
+    if (matchesFilter(event, filter)) {
+      res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify({ ...event.data, at: event.at })}\n\n`);
+    }
+  };
+
+  const lastEventId = Number(req.get('Last-Event-ID'));
+  if (lastEventId) {
+    eventsSince(lastEventId).forEach(send);
+  }
+  const unsubscribe = subscribe(send);
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Claims can be submitted or moved on-chain by anyone, not only through this
+// backend (the dashboards send them from the wallet), so their events come
+// from the chain itself. Submitted claims also get their evidence pinned here.
+let stopClaimEventRelay = () => {};
+// bumped on every (re)start, so a subscription that a newer start overtook is dropped
+let claimEventRelayRun = 0;
+
+async function startClaimEventRelay() {
+  const run = ++claimEventRelayRun;
+  stopClaimEventRelay();
+  stopClaimEventRelay = () => {};
+  try {
+    const stop = await watchClaimEvents(({ name, args, claim, txHash, blockNumber }) => {
+      if (name === 'ClaimSubmitted') {
+        linkClaimEvidence(args.claimId, args.ipfsHash, args.vcCid);
+      }
+      const type = name === 'ClaimSubmitted' ? 'claim.submitted' : 'claim.stateChanged';
+      publish(
+        type,
+        { ...args, claim, txHash, blockNumber },
+        { patientAddress: claim.beneficiary, insurer: claim.insurer },
+      );
+    });
+    if (run !== claimEventRelayRun) {
+      stop();
+      return;
+    }
+    stopClaimEventRelay = stop;
+    console.log('📡 Relaying ClaimContract events to /events');
+  } catch (error) {
+    console.warn('Claim events will not be relayed:', error.message);
+  }
+}
+
+// A policy deactivated on-chain (by anyone, from any client) revokes the
+// credentials issued for it. Matching on the PolicyIssued transaction keeps a
+// same-numbered policy of an earlier deployment from being touched.
+async function revokeDeactivatedPolicies(deactivations) {
+  for (const { policyId, insurer } of deactivations) {
+    const { policy } = await getPolicyClaims(policyId);
+    const revoked = await revokePolicyCredentials(policyId, {
+      issuedTxHash: policy?.txHash,
+      reason: `Policy #${policyId} was deactivated on-chain`,
+      actor: insurer,
+    });
+    if (revoked.length > 0) {
+      console.log(`🚫 Revoked ${revoked.join(', ')} for deactivated policy #${policyId}`);
+    }
+  }
+}
+
+function watchPolicyDeactivations() {
+  onIndexedEvents((rows) =>
+    revokeDeactivatedPolicies(
+      rows
+        .filter((row) => row.name === 'PolicyDeactivated')
+        .map((row) => ({ policyId: row.policyId, insurer: row.args.insurer })),
+    ),
+  );
+  // deactivations indexed while the backend was down or before this existed
+  getPolicyDeactivations()
+    .then(revokeDeactivatedPolicies)
+    .catch((error) => console.warn('Could not revoke credentials of deactivated policies:', error.message));
+}
+
+// Warns about deployed addresses without contract code, e.g. a restarted
+// Hardhat node that has not been redeployed to.
+async function checkDeployments() {
+  try {
+    const missing = await findMissingContracts();
+    if (missing.length > 0) {
+      console.warn(`📄 No contract code for ${missing.join(', ')}; run \`npm run deploy\``);
+    }
+  } catch (error) {
+    console.warn('📄 Could not check the deployed contracts:', error.message);
+  }
+}
+
+// The indexer, relayer and /relay read deployments.json on every use; only the
+// claim event subscription is bound to an address and has to be redone.
+function onDeploymentsChanged(deployment) {
+  console.log(`📄 deployments.json reloaded (${deployment.network}, chain ${deployment.chainId})`);
+  startClaimEventRelay();
+  checkDeployments();
+}
+
 // --- start server ------------------------------------------
 app.listen(PORT, () => {
   console.log(`✅ Backend running on http://localhost:${PORT}`);
+  watchDeployments(onDeploymentsChanged);
+  checkDeployments();
+  startClaimEventRelay();
+  watchPolicyDeactivations();
+  startIndexer();
+  startRelayer();
 });
 
@@ -0,0 +1,369 @@
+import crypto from 'crypto';
+import zlib from 'zlib';
+import getVeramoAgent, {
+  getDataSource,
+  runInTransaction,
+  PUBLIC_BASE_URL,
+  CREDENTIALS_CONTEXT,
+  STATUS_LIST_CONTEXT,
+} from './veramo-setup.js';
+import { StatusList, CredentialStatus } from './entities.js';
+import { createSigningRequest, isHeldByClient, signWithHeldKeys } from './client-signing.js';
+
+// StatusList2021 revocation and suspension. Every credential issueVC signs gets
+// a bit in one of its issuer's revocation lists and one in a suspension list,
+// referenced from its `credentialStatus`. The lists are published as signed
+// StatusList2021Credentials at /status/:listId. A set bit means revoked (for
+// good) or suspended (until reinstated). Bits are handed out at random
+// positions, so a list does not give away the order credentials were issued in.
+// Lists of issuers whose key stays in the browser (client-signing.js) are
+// signed by that issuer through signStatusLists(); until it has signed the
+// latest version, /status/:listId answers 503 rather than serve a list that
+// misses a revocation.
+
+// 16 KB, the smallest list the spec allows
+const LIST_SIZE = 131072;
+// a list takes no more credentials once this full, so random picks stay quick
+const LIST_FILL_LIMIT = Math.floor(LIST_SIZE * 0.75);
+const REMOTE_LIST_TIMEOUT_MS = 10000;
+// origins, besides PUBLIC_BASE_URL, whose status lists may be fetched
+const TRUSTED_STATUS_LIST_ORIGINS = (process.env.TRUSTED_STATUS_LIST_ORIGINS || '')
+  .split(',')
+  .map((origin) => origin.trim())
+  .filter(Boolean)
+  .map((origin) => new URL(origin).origin);
+
+export const STATUS_PURPOSES = ['revocation', 'suspension'];
+
+// action -> [purpose of the bit it changes, new value]
+export const STATUS_ACTIONS = {
+  revoke: ['revocation', true],
+  suspend: ['suspension', true],
+  reinstate: ['suspension', false],
+};
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+export function statusListUrl(listId) {
+  return `${PUBLIC_BASE_URL}/status/${listId}`;
+}
+
+async function allocate(manager, issuerDid, purpose, credentialId) {
+  const lists = manager.getRepository(StatusList);
+  let list = await lists.findOne({ where: { issuerDid, purpose }, order: { createdAt: 'DESC' } });
+  if (!list || list.allocated >= LIST_FILL_LIMIT) {
+    list = {
+      id: `sl-${crypto.randomUUID()}`,
+      issuerDid,
+      purpose,
+      size: LIST_SIZE,
+      allocated: 0,
+      version: 0,
+      credential: null,
+      credentialVersion: null,
+      createdAt: new Date().toISOString(),
+    };
+    await lists.insert(list);
+  }
+
+  const entries = manager.getRepository(CredentialStatus);
+  let index;
+  do {
+    index = crypto.randomInt(list.size);
+  } while (await entries.existsBy({ listId: list.id, statusIndex: index }));
+  await entries.insert({ credentialId, listId: list.id, statusIndex: index, purpose, set: false });
+  await lists.update({ id: list.id }, { allocated: list.allocated + 1 });
+
+  const url = statusListUrl(list.id);
+  return {
+    id: `${url}#${index}`,
+    type: 'StatusList2021Entry',
+    statusPurpose: purpose,
+    statusListIndex: String(index),
+    statusListCredential: url,
+  };
+}
+
+// The `credentialStatus` entries for a credential `issuerDid` is about to
+// sign, one per purpose in `purposes`. Pass the `manager` of a running
+// transaction to have them rolled back with it.
+export async function allocateCredentialStatus(issuerDid, credentialId, purposes = STATUS_PURPOSES, manager = null) {
+  const allocateAll = async (transaction) => {
+    const entries = [];
+    for (const purpose of purposes) {
+      entries.push(await allocate(transaction, issuerDid, purpose, credentialId));
+    }
+    return entries;
+  };
+  return manager ? allocateAll(manager) : runInTransaction(allocateAll);
+}
+
+// Gives back the entries allocated to a credential that was never issued.
+export async function releaseCredentialStatus(credentialId) {
+  await runInTransaction(async (manager) => {
+    const entries = manager.getRepository(CredentialStatus);
+    for (const row of await entries.findBy({ credentialId })) {
+      await manager.getRepository(StatusList).decrement({ id: row.listId }, 'allocated', 1);
+    }
+    await entries.delete({ credentialId });
+  });
+}
+
+function summarize(rows) {
+  const revoked = rows.find((row) => row.purpose === 'revocation' && row.set);
+  const suspended = rows.find((row) => row.purpose === 'suspension' && row.set);
+  const changed = revoked || suspended;
+  return {
+    status: revoked ? 'revoked' : suspended ? 'suspended' : 'active',
+    reason: changed?.reason ?? null,
+    updatedBy: changed?.updatedBy ?? null,
+    updatedAt: changed?.updatedAt ?? null,
+  };
+}
+
+// { status: active | revoked | suspended, reason, updatedBy, updatedAt }, or
+// null for a credential issued before status lists existed.
+export async function getCredentialStatus(credentialId) {
+  const rows = await (await getDataSource()).getRepository(CredentialStatus).findBy({ credentialId });
+  return rows.length === 0 ? null : summarize(rows);
+}
+
+// Revokes, suspends or reinstates a credential. Revocation is final, and only
+// a suspended credential can be reinstated. Resolves with the new status.
+export async function setCredentialStatus(credentialId, { action, reason = null, actor }) {
+  const change = STATUS_ACTIONS[action];
+  if (!change) {
+    throw httpError(400, `action must be one of: ${Object.keys(STATUS_ACTIONS).join(', ')}`);
+  }
+  const [purpose, set] = change;
+
+  return runInTransaction(async (manager) => {
+    const entries = manager.getRepository(CredentialStatus);
+    const rows = await entries.findBy({ credentialId });
+    if (rows.length === 0) {
+      throw httpError(409, `Credential ${credentialId} was issued without a status list entry`);
+    }
+    const { status } = summarize(rows);
+    if (status === 'revoked') {
+      throw httpError(409, `Credential ${credentialId} is revoked`);
+    }
+    if (action === 'suspend' && status === 'suspended') {
+      throw httpError(409, `Credential ${credentialId} is already suspended`);
+    }
+    if (action === 'reinstate' && status !== 'suspended') {
+      throw httpError(409, `Credential ${credentialId} is not suspended`);
+    }
+
+    const row = rows.find((entry) => entry.purpose === purpose);
+    if (!row) {
+      throw httpError(409, `Credential ${credentialId} has no ${purpose} status list entry`);
+    }
+    const update = { set, reason, updatedBy: actor, updatedAt: new Date().toISOString() };
+    await entries.update({ id: row.id }, update);
+    Object.assign(row, update);
+    await manager.getRepository(StatusList).increment({ id: row.listId }, 'version', 1);
+    return summarize(rows);
+  });
+}
+
+// Bit 0 is the most significant bit of the first byte.
+function encodeList(size, indices) {
+  const bits = Buffer.alloc(size / 8);
+  for (const index of indices) {
+    bits[index >> 3] |= 0x80 >> (index & 7);
+  }
+  return zlib.gzipSync(bits).toString('base64url');
+}
+
+function readBit(encodedList, index) {
+  const bits = zlib.gunzipSync(Buffer.from(encodedList, 'base64url'));
+  if (index >= bits.length * 8) {
+    throw new Error(`statusListIndex ${index} is outside the list`);
+  }
+  return (bits[index >> 3] & (0x80 >> (index & 7))) !== 0;
+}
+
+async function signListCredential(dataSource, list) {
+  const setBits = await dataSource.getRepository(CredentialStatus).find({
+    select: { statusIndex: true },
+    where: { listId: list.id, set: true },
+  });
+  const url = statusListUrl(list.id);
+  const agent = await getVeramoAgent();
+  return signWithHeldKeys(() =>
+    agent.createVerifiableCredential({
+      credential: {
+        '@context': [CREDENTIALS_CONTEXT, STATUS_LIST_CONTEXT],
+        id: url,
+        type: ['VerifiableCredential', 'StatusList2021Credential'],
+        issuer: { id: list.issuerDid },
+        issuanceDate: new Date().toISOString(),
+        credentialSubject: {
+          id: `${url}#list`,
+          type: 'StatusList2021',
+          statusPurpose: list.purpose,
+          encodedList: encodeList(list.size, setBits.map((row) => row.statusIndex)),
+        },
+      },
+      proofFormat: 'jwt',
+    }),
+  );
+}
+
+// Keeps `credential` as the signed form of version `version` of the list,
+// unless a status changed meanwhile. Resolves with whether it was kept.
+async function cacheListCredential(listId, version, credential) {
+  const { affected } = await runInTransaction((manager) =>
+    manager.getRepository(StatusList).update({ id: listId, version }, { credential, credentialVersion: version }),
+  );
+  return affected > 0;
+}
+
+async function isClientSigned(issuerDid) {
+  const agent = await getVeramoAgent();
+  return isHeldByClient(await agent.didManagerGet({ did: issuerDid }));
+}
+
+// The signed StatusList2021Credential for `listId` (null if there is no such
+// list). It is signed again when a status in it changed since the last time.
+export async function getStatusListCredential(listId) {
+  const dataSource = await getDataSource();
+  const list = await dataSource.getRepository(StatusList).findOneBy({ id: listId });
+  if (!list) {
+    return null;
+  }
+  if (list.credential && list.credentialVersion === list.version) {
+    return list.credential;
+  }
+  if (await isClientSigned(list.issuerDid)) {
+    throw httpError(503, `Status list ${listId} is waiting for ${list.issuerDid} to sign its latest version`);
+  }
+
+  const { result: credential } = await signListCredential(dataSource, list);
+  // only cached if no status changed meanwhile; the next request signs again
+  await cacheListCredential(listId, list.version, credential);
+  return credential;
+}
+
+// Signing requests (client-signing.js) for the lists of `issuerDids` that
+// changed since they were last signed, for issuers that sign in the browser.
+// A list whose status changes again before its signature comes back has to
+// be signed anew.
+export async function signStatusLists(issuerDids) {
+  if (issuerDids.length === 0) {
+    return [];
+  }
+  const dataSource = await getDataSource();
+  const lists = await dataSource
+    .getRepository(StatusList)
+    .createQueryBuilder('l')
+    .where('l.issuerDid IN (:...issuerDids)', { issuerDids })
+    .andWhere('(l.credentialVersion IS NULL OR l.credentialVersion != l.version)')
+    .getMany();
+
+  const signingRequests = [];
+  for (const list of lists) {
+    if (await isClientSigned(list.issuerDid)) {
+      const signing = await signListCredential(dataSource, list);
+      signingRequests.push(
+        createSigningRequest(list.issuerDid, signing, {
+          finish: async (credential) => {
+            if (!(await cacheListCredential(list.id, list.version, credential))) {
+              throw httpError(409, `Status list ${list.id} changed while it was being signed; sign it again`);
+            }
+            return { listId: list.id, version: list.version };
+          },
+        }),
+      );
+    }
+  }
+  return signingRequests;
+}
+
+// Lists published by another issuer are fetched, only from the
+// TRUSTED_STATUS_LIST_ORIGINS, and must be signed by the credential's issuer.
+async function readRemoteBit(entry, index, issuer) {
+  let origin = null;
+  try {
+    origin = new URL(entry.statusListCredential).origin;
+  } catch {
+    // reported below
+  }
+  if (!TRUSTED_STATUS_LIST_ORIGINS.includes(origin)) {
+    throw new Error(`Status list ${entry.statusListCredential} is not hosted here or at a trusted origin`);
+  }
+  const response = await fetch(entry.statusListCredential, {
+    redirect: 'error',
+    signal: AbortSignal.timeout(REMOTE_LIST_TIMEOUT_MS),
+  });
+  if (!response.ok) {
+    throw new Error(`${entry.statusListCredential} answered ${response.status}`);
+  }
+  const body = (await response.text()).trim();
+  const listCredential = body.startsWith('{') ? JSON.parse(body) : body;
+
+  const agent = await getVeramoAgent();
+  const result = await agent.verifyCredential({ credential: listCredential, policies: { credentialStatus: false } });
+  if (!result.verified) {
+    throw new Error(`Status list signature is invalid: ${result.error?.message || 'verification failed'}`);
+  }
+  const verified = result.verifiableCredential || listCredential;
+  const listIssuer = typeof verified.issuer === 'string' ? verified.issuer : verified.issuer?.id;
+  if (listIssuer !== issuer) {
+    throw new Error(`Status list is issued by ${listIssuer}, not the credential's issuer`);
+  }
+  if (verified.credentialSubject?.statusPurpose !== entry.statusPurpose) {
+    throw new Error(`Status list is for ${verified.credentialSubject?.statusPurpose}, not ${entry.statusPurpose}`);
+  }
+  return readBit(verified.credentialSubject.encodedList, index);
+}
+
+async function readStatusBit(entry, issuer) {
+  const index = Number(entry.statusListIndex);
+  if (!Number.isInteger(index) || index < 0) {
+    throw new Error(`statusListIndex ${entry.statusListIndex} is not a list position`);
+  }
+  const localPrefix = `${PUBLIC_BASE_URL}/status/`;
+  if (!entry.statusListCredential?.startsWith(localPrefix)) {
+    return readRemoteBit(entry, index, issuer);
+  }
+
+  const listId = entry.statusListCredential.slice(localPrefix.length);
+  const dataSource = await getDataSource();
+  const list = await dataSource.getRepository(StatusList).findOneBy({ id: listId });
+  if (!list || list.issuerDid !== issuer || list.purpose !== entry.statusPurpose) {
+    throw new Error(`${entry.statusListCredential} is not a ${entry.statusPurpose} list of ${issuer}`);
+  }
+  const row = await dataSource.getRepository(CredentialStatus).findOneBy({ listId, statusIndex: index });
+  return Boolean(row?.set);
+}
+
+// What the `credentialStatus` of a credential from `issuer` says: 'active',
+// 'revoked' or 'suspended', or null when it has none. Throws when a list
+// cannot be read or does not belong to the issuer.
+export async function checkCredentialStatus(credentialStatus, issuer) {
+  if (!credentialStatus) {
+    return null;
+  }
+  let status = 'active';
+  for (const entry of [].concat(credentialStatus)) {
+    if (entry.type !== 'StatusList2021Entry') {
+      throw new Error(`Unsupported credentialStatus type ${entry.type}`);
+    }
+    if (!STATUS_PURPOSES.includes(entry.statusPurpose)) {
+      throw new Error(`Unsupported statusPurpose ${entry.statusPurpose}`);
+    }
+    if (await readStatusBit(entry, issuer)) {
+      if (entry.statusPurpose === 'revocation') {
+        status = 'revoked';
+      } else if (status === 'active') {
+        status = 'suspended';
+      }
+    }
+  }
+  return status;
+}
@@ -1,11 +1,17 @@
-// Test script to verify DID creation works
-import { createDID } from './vc-service.js';
+// Test script to verify DID registration works: builds a did:key the way the
+// browser does, from a key that stays here, and registers its public key
+import crypto from 'crypto';
+import { bytesToMultibase } from 'did-jwt';
+import { registerDID } from './vc-service.js';
 
 async function test() {
   try {
-    console.log('Testing DID creation...');
-    const did = await createDID();
-    console.log('✅ Success! DID created:', did);
+    console.log('Testing DID registration...');
+    const { publicKey } = crypto.generateKeyPairSync('ed25519');
+    const raw = Buffer.from(publicKey.export({ format: 'jwk' }).x, 'base64url');
+    const did = `did:key:${bytesToMultibase(raw, 'base58btc', 'ed25519-pub')}`;
+    const result = await registerDID(did);
+    console.log('✅ Success! DID registered:', result.did);
     process.exit(0);
   } catch (error) {
     console.error('❌ Error:', error.message);
@@ -15,4 +21,3 @@ async function test() {
 }
 
 test();
-
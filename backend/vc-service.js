@@ -1,5 +1,28 @@
-import getVeramoAgent from './veramo-setup.js';
+import getVeramoAgent, {
+  getDataSource,
+  runInTransaction,
+  APP_CONTEXT,
+  CREDENTIALS_CONTEXT,
+  STATUS_LIST_CONTEXT,
+  LD_CONTEXTS,
+} from './veramo-setup.js';
 import { uploadToIPFS } from './ipfs-service.js';
+import { recordPin } from './pin-registry.js';
+import { StoredCredential, PolicyRequest, PolicyRequestEvent } from './entities.js';
+import { publish } from './event-bus.js';
+import {
+  STATUS_PURPOSES,
+  allocateCredentialStatus,
+  checkCredentialStatus,
+  getCredentialStatus,
+  releaseCredentialStatus,
+  setCredentialStatus,
+} from './status-list.js';
+import { issueSdJwt, isSdJwt, verifySdJwt, withoutDisclosures } from './sd-jwt.js';
+import { CLIENT_KMS, createSigningRequest, signWithHeldKeys } from './client-signing.js';
+import { In, IsNull, LessThanOrEqual } from 'typeorm';
+import { base58ToBytes } from 'did-jwt';
+import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -17,156 +40,955 @@ async function getAgent() {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const VC_STORE_PATH = path.join(__dirname, 'vc-store.json');
-const POLICY_REQUESTS_PATH = path.join(__dirname, 'policy-requests.json');
+// Credentials and policy requests used to live in these JSON files; they are
+// imported into the database once and renamed to *.migrated.
+const LEGACY_VC_STORE_PATH = path.join(__dirname, 'vc-store.json');
+const LEGACY_POLICY_REQUESTS_PATH = path.join(__dirname, 'policy-requests.json');
 
-function loadVCStore() {
-  if (fs.existsSync(VC_STORE_PATH)) {
-    return JSON.parse(fs.readFileSync(VC_STORE_PATH, 'utf8'));
+// days a policy credential is valid for unless the insurer picks another term
+export const POLICY_TERM_DAYS = Number(process.env.POLICY_TERM_DAYS) || 365;
+const MAX_TERM_DAYS = 3650;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function getDB() {
+  if (!dbPromise) {
+    dbPromise = getDataSource()
+      .then(async (dataSource) => {
+        await importLegacyStores();
+        return dataSource;
+      })
+      .catch((error) => {
+        dbPromise = null;
+        throw error;
+      });
   }
-  return {};
+  return dbPromise;
+}
+
+async function inTransaction(work) {
+  await getDB();
+  return runInTransaction(work);
+}
+
+function readLegacyFile(filePath) {
+  return fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : null;
 }
 
-function saveVCStore(store) {
-  fs.writeFileSync(VC_STORE_PATH, JSON.stringify(store, null, 2));
+function toCredentialRow(id, { vc, policyId, createdAt, ipfsCid = null, previousCredentialId = null, format = 'jwt' }) {
+  return {
+    id,
+    policyId: policyId === undefined || policyId === null ? null : String(policyId),
+    subjectDid: vc?.credentialSubject?.id || null,
+    issuerDid: typeof vc?.issuer === 'string' ? vc.issuer : vc?.issuer?.id || null,
+    vc,
+    format,
+    ipfsCid,
+    expiresAt: toISODate(vc?.expirationDate),
+    previousCredentialId,
+    createdAt: createdAt || new Date().toISOString(),
+  };
+}
+
+function toPolicyRequestRow(request) {
+  return {
+    id: request.id,
+    patientDid: request.patientDid,
+    patientAddress: request.patientAddress,
+    insurer: request.insurer || null,
+    coverageAmount: String(request.coverageAmount),
+    details: request.details || {},
+    status: request.status || 'pending',
+    vcCid: request.vcCid || null,
+    onchainPolicyId: request.onchainPolicyId ? String(request.onchainPolicyId) : null,
+    onchainTxHash: request.onchainTxHash || null,
+    createdAt: request.createdAt || new Date().toISOString(),
+    updatedAt: request.updatedAt || null,
+  };
 }
 
-function loadPolicyRequests() {
-  if (fs.existsSync(POLICY_REQUESTS_PATH)) {
-    return JSON.parse(fs.readFileSync(POLICY_REQUESTS_PATH, 'utf8'));
+// Rows already present (same id) are left alone, so an interrupted import can
+// simply run again. The file is only renamed once its transaction committed.
+async function importLegacyStores() {
+  const credentials = readLegacyFile(LEGACY_VC_STORE_PATH);
+  const requests = readLegacyFile(LEGACY_POLICY_REQUESTS_PATH);
+  if (!credentials && !requests) return;
+
+  await runInTransaction(async (manager) => {
+    if (credentials) {
+      const rows = Object.entries(credentials).map(([id, data]) => toCredentialRow(id, data));
+      await manager.createQueryBuilder().insert().into(StoredCredential).values(rows).orIgnore().execute();
+    }
+    if (requests) {
+      const repository = manager.getRepository(PolicyRequest);
+      const known = new Set((await repository.find({ select: { id: true } })).map((row) => row.id));
+      const rows = requests.map(toPolicyRequestRow).filter((row) => !known.has(row.id));
+      if (rows.length > 0) {
+        await repository.insert(rows);
+        // the JSON store kept no history, so it starts at the imported status
+        await manager.getRepository(PolicyRequestEvent).insert(
+          rows.map((row) => ({
+            requestId: row.id,
+            fromStatus: null,
+            toStatus: row.status,
+            actor: row.patientDid,
+            reason: 'Imported from policy-requests.json',
+            createdAt: row.createdAt,
+          })),
+        );
+      }
+    }
+  });
+
+  for (const [filePath, contents] of [
+    [LEGACY_VC_STORE_PATH, credentials],
+    [LEGACY_POLICY_REQUESTS_PATH, requests],
+  ]) {
+    if (contents) {
+      fs.renameSync(filePath, `${filePath}.migrated`);
+      console.log(`✅ Imported ${path.basename(filePath)} into the database`);
+    }
   }
-  return [];
 }
 
-function savePolicyRequests(requests) {
-  fs.writeFileSync(POLICY_REQUESTS_PATH, JSON.stringify(requests, null, 2));
+function newId(prefix) {
+  return `${prefix}-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
 }
 
-export async function createDID() {
+export const DID_KEY_TYPES = ['Ed25519', 'Secp256k1'];
+
+// multicodec prefix and public key length of each did:key type accepted
+const DID_KEY_CODECS = [
+  { type: 'Ed25519', prefix: [0xed, 0x01], length: 32 },
+  { type: 'Secp256k1', prefix: [0xe7, 0x01], length: 33 },
+];
+
+// The key type and public key (hex) a did:key is made of.
+function didKeyPublicKey(did) {
+  let bytes = null;
   try {
-    console.log('🔧 Getting Veramo agent...');
-    const veramoAgent = await getAgent();
-    if (!veramoAgent) {
-      throw new Error('Veramo agent not initialized');
+    bytes = did.startsWith('did:key:z') ? base58ToBytes(did.slice('did:key:z'.length)) : null;
+  } catch {
+    // reported below
+  }
+  const codec = DID_KEY_CODECS.find(
+    ({ prefix, length }) =>
+      bytes?.length === prefix.length + length && prefix.every((byte, index) => bytes[index] === byte),
+  );
+  if (!codec) {
+    throw httpError(400, `did must be a did:key of an ${DID_KEY_TYPES.join(' or ')} key`);
+  }
+  return { type: codec.type, publicKeyHex: Buffer.from(bytes.subarray(codec.prefix.length)).toString('hex') };
+}
+
+// Registers a did:key the client created, by its public key only: the
+// private key stays with the client, which signs whatever is issued as the
+// DID (client-signing.js). Registering a DID twice is harmless. Issuers of
+// EIP-712 credentials need a Secp256k1 key.
+export async function registerDID(did) {
+  const { type, publicKeyHex } = didKeyPublicKey(did);
+  const veramoAgent = await getAgent();
+  try {
+    await veramoAgent.didManagerGet({ did });
+    return { did, keyType: type, registered: false };
+  } catch {
+    // not known yet
+  }
+  await veramoAgent.didManagerImport({
+    did,
+    provider: 'did:key',
+    controllerKeyId: publicKeyHex,
+    keys: [{ kid: publicKeyHex, kms: CLIENT_KMS, type, publicKeyHex }],
+    services: [],
+  });
+  console.log('✅ DID registered:', did);
+  return { did, keyType: type, registered: true };
+}
+
+// 'jwt', 'lds' and 'EthereumEip712Signature2021' are Veramo proof formats.
+const EIP712_FORMAT = 'EthereumEip712Signature2021';
+export const CREDENTIAL_FORMATS = ['jwt', 'sd-jwt', 'lds', EIP712_FORMAT];
+
+// JSON-LD contexts of `document` that are not available offline (LD_CONTEXTS).
+function unavailableContexts(document) {
+  return [].concat(document['@context'] || []).filter((context) => typeof context === 'string' && !LD_CONTEXTS.has(context));
+}
+
+// The EIP-712 types of a credential are generated from its JSON, which only
+// copes with flat claims: strings, booleans, whole numbers and lists of strings.
+function isEip712Claim(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 && value.every((entry) => typeof entry === 'string');
+  }
+  return typeof value === 'string' || typeof value === 'boolean' || (Number.isSafeInteger(value) && value >= 0);
+}
+
+// Checks that `issuerDid` can sign `credential` in `format` before anything
+// is stored.
+async function assertIssuable(credential, issuerDid, format) {
+  if (!CREDENTIAL_FORMATS.includes(format)) {
+    throw httpError(400, `format must be one of: ${CREDENTIAL_FORMATS.join(', ')}`);
+  }
+  let identifier;
+  try {
+    identifier = await (await getAgent()).didManagerGet({ did: issuerDid });
+  } catch {
+    throw httpError(404, `${issuerDid} is not a DID this backend can sign for`);
+  }
+  if (format === 'lds') {
+    const missing = unavailableContexts(credential);
+    if (missing.length > 0) {
+      throw httpError(400, `JSON-LD context ${missing.join(', ')} is not available offline`);
+    }
+  }
+  if (format === EIP712_FORMAT) {
+    const { id, ...claims } = credential.credentialSubject || {};
+    const unsupported = Object.keys(claims).filter((name) => !isEip712Claim(claims[name]));
+    if (unsupported.length > 0) {
+      throw httpError(400, `EIP-712 credentials cannot carry the claims ${unsupported.join(', ')}; use strings, booleans, whole numbers or lists of strings`);
+    }
+    if (!identifier.keys.some((key) => key.type === 'Secp256k1')) {
+      throw httpError(400, `${issuerDid} has no Secp256k1 key; EIP-712 credentials need an issuer DID created with keyType Secp256k1`);
     }
-    console.log('✅ Veramo agent obtained, creating DID...');
-    const identifier = await veramoAgent.didManagerCreate({
-      provider: 'did:key',
-      kms: 'local',
-    });
-    console.log('✅ DID created:', identifier.did);
-    return identifier.did;
-  } catch (error) {
-    console.error('❌ DID creation error:', error);
-    throw new Error(`DID creation failed: ${error.message}`);
   }
 }
 
-export async function issueVC(credential, issuerDid) {
+// Every credential gets revocation and suspension entries in the issuer's
+// status lists (status-list.js). They are allocated, signed over and stored
+// with the credential in one transaction, so a credential that fails to sign
+// leaves no entries behind. `previousCredentialId` is set by renewCredential().
+//
+// Issuers registered with registerDID() sign in the browser: the credential
+// is then returned as { vcId, format, signingRequest } (client-signing.js)
+// and stored, uploaded and announced once the client sends its signature.
+// Its status entries stay allocated until then and are given back, and
+// `release` is called, if the signature never comes.
+//
+// format 'sd-jwt' signs a selective disclosure credential (sd-jwt.js). It is
+// returned in the same shape as a JWT credential, with the SD-JWT under
+// proof.sdJwt instead of proof.jwt. Only the SD-JWT without disclosures goes
+// to IPFS, so the claims are not published.
+//
+// 'lds' adds a Linked Data proof (Ed25519Signature2018 for did:key issuers),
+// made with the offline contexts only. 'EthereumEip712Signature2021' signs
+// the credential as EIP-712 typed data with the issuer's Secp256k1 key, which
+// Ethereum wallets can display and check. The type generator cannot describe
+// lists of objects, so these credentials get a revocation entry only and
+// cannot be suspended.
+export async function issueVC(
+  credential,
+  issuerDid,
+  { previousCredentialId = null, format = 'jwt', vcId: id, release = async () => {} } = {},
+) {
+  await assertIssuable(credential, issuerDid, format);
   try {
     const veramoAgent = await getAgent();
-    const verifiableCredential = await veramoAgent.createVerifiableCredential({
-      credential: {
+    const vcId = id || credential.id || newId('vc');
+    const policyId = credential.credentialSubject?.policyId;
+    const store = (manager, signed) =>
+      manager.insert(StoredCredential, toCredentialRow(vcId, { vc: signed, policyId, previousCredentialId, format }));
+    const signing = await inTransaction(async (manager) => {
+      const credentialStatus =
+        format === EIP712_FORMAT
+          ? (await allocateCredentialStatus(issuerDid, vcId, ['revocation'], manager))[0]
+          : await allocateCredentialStatus(issuerDid, vcId, STATUS_PURPOSES, manager);
+      const context = [].concat(credential['@context'] || CREDENTIALS_CONTEXT);
+      const unsigned = {
         ...credential,
+        '@context': context.includes(STATUS_LIST_CONTEXT) ? context : [...context, STATUS_LIST_CONTEXT],
         issuer: { id: issuerDid },
+        credentialStatus,
+      };
+      const signed = await signWithHeldKeys(async () =>
+        format === 'sd-jwt'
+          ? { ...unsigned, proof: { type: 'SdJwt', sdJwt: await issueSdJwt(unsigned, issuerDid) } }
+          : veramoAgent.createVerifiableCredential({ credential: unsigned, proofFormat: format }),
+      );
+      if (signed.requests.length === 0) {
+        await store(manager, signed.result);
+      }
+      return signed;
+    });
+
+    if (signing.requests.length === 0) {
+      return await publishCredential(vcId, signing.result, { issuerDid, policyId, format });
+    }
+    const signingRequest = createSigningRequest(issuerDid, signing, {
+      finish: async (signed) => {
+        await inTransaction((manager) => store(manager, signed));
+        return publishCredential(vcId, signed, { issuerDid, policyId, format });
+      },
+      release: async () => {
+        await releaseCredentialStatus(vcId);
+        await release();
       },
-      proofFormat: 'jwt',
     });
+    return { vcId, format, signingRequest };
+  } catch (error) {
+    // errors that already say what the client got wrong keep their status
+    if (error.statusCode) {
+      throw error;
+    }
+    console.error('VC issuance error:', error);
+    throw new Error(`VC issuance failed: ${error.message}`);
+  }
+}
 
-    // Store VC
-    const store = loadVCStore();
-    const vcId = credential.id || `vc-${Date.now()}`;
-    store[vcId] = {
-      vc: verifiableCredential,
-      policyId: credential.credentialSubject?.policyId,
-      createdAt: new Date().toISOString(),
-    };
-    saveVCStore(store);
+// Uploads a stored credential to IPFS (optional) and tells the dashboards.
+async function publishCredential(vcId, verifiableCredential, { issuerDid, policyId, format }) {
+  let ipfsCid = null;
+  try {
+    ipfsCid = await uploadToIPFS(
+      format === 'sd-jwt' ? withoutDisclosures(verifiableCredential.proof.sdJwt) : JSON.stringify(verifiableCredential),
+    );
+    await inTransaction((manager) => manager.update(StoredCredential, { id: vcId }, { ipfsCid }));
+    await recordPin(ipfsCid, {
+      kind: policyId ? 'policy-vc' : 'role-vc',
+      refs: [`vc:${vcId}`, ...(policyId ? [`policy:${policyId}`] : [])],
+      uploadedBy: issuerDid,
+    });
+  } catch (ipfsError) {
+    console.warn('IPFS upload skipped:', ipfsError.message);
+  }
 
-    // Upload to IPFS (optional)
-    let ipfsCid = null;
-    try {
-      ipfsCid = await uploadToIPFS(JSON.stringify(verifiableCredential));
-    } catch (ipfsError) {
-      console.warn('IPFS upload skipped:', ipfsError.message);
+  const db = await getDB();
+  const request = policyId ? await db.getRepository(PolicyRequest).findOneBy({ id: String(policyId) }) : null;
+  const subjectDid = verifiableCredential.credentialSubject?.id || null;
+  publish(
+    'credential.issued',
+    { vcId, policyId: policyId ?? null, subjectDid, issuerDid, cid: ipfsCid },
+    request ? requestAudience(request) : { patientDid: subjectDid },
+  );
+
+  return {
+    vcId,
+    format,
+    vc: verifiableCredential,
+    cid: ipfsCid,
+  };
+}
+
+function decodeJwtPayload(jwt) {
+  const parts = jwt.split('.');
+  if (parts.length !== 3) {
+    throw new Error('Malformed JWT: expected three dot-separated segments');
+  }
+  return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+}
+
+function toISODate(value) {
+  if (value === undefined || value === null) return null;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Accepts a compact JWT, a JSON string, or a credential object as returned by
+// issueVC (JwtProof2020 with the signed JWT under proof.jwt).
+function normalizeCredentialInput(input) {
+  if (typeof input === 'string') {
+    const trimmed = input.trim();
+    if (trimmed.startsWith('{')) {
+      return normalizeCredentialInput(JSON.parse(trimmed));
     }
+    return trimmed;
+  }
+  if (input && typeof input === 'object') {
+    return input;
+  }
+  throw new Error('Credential must be a JWT string or a credential object');
+}
 
+// Summarise what the credential claims. For JWT credentials the signed payload
+// is the source of truth, not whatever JSON was sent alongside it.
+function describeCredential(credential) {
+  const jwt = typeof credential === 'string' ? credential : credential.proof?.jwt;
+  if (jwt) {
+    const payload = decodeJwtPayload(jwt);
     return {
-      vc: verifiableCredential,
-      cid: ipfsCid,
+      format: 'jwt',
+      issuer: payload.iss || null,
+      subject: payload.sub || payload.vc?.credentialSubject?.id || null,
+      types: [].concat(payload.vc?.type || []),
+      issuanceDate: toISODate(payload.nbf ?? payload.iat),
+      expirationDate: toISODate(payload.exp),
+      credentialStatus: payload.vc?.credentialStatus || null,
     };
-  } catch (error) {
-    console.error('VC issuance error:', error);
-    throw new Error(`VC issuance failed: ${error.message}`);
   }
+  const issuer = typeof credential.issuer === 'string' ? credential.issuer : credential.issuer?.id;
+  return {
+    format: credential.proof?.type === EIP712_FORMAT ? EIP712_FORMAT : 'lds',
+    issuer: issuer || null,
+    subject: credential.credentialSubject?.id || null,
+    types: [].concat(credential.type || []),
+    issuanceDate: toISODate(credential.issuanceDate),
+    expirationDate: toISODate(credential.expirationDate),
+    credentialStatus: credential.credentialStatus || null,
+  };
 }
 
-export async function verifyVC(vcJwt) {
+// Verifies credentials in every format issueVC produces, and those of other
+// issuers in the same formats. SD-JWT credentials and presentations (compact,
+// or as issueVC returns them) are checked by verifySdJwt() without a verifier
+// nonce. Linked Data proofs are only checked against the offline contexts.
+export async function verifyVC(vc) {
+  const sdJwt = typeof vc === 'string' ? vc : vc?.proof?.sdJwt;
+  if (isSdJwt(sdJwt)) {
+    return verifySdJwt(sdJwt);
+  }
+
+  let credential;
+  let summary;
+  try {
+    credential = normalizeCredentialInput(vc);
+    summary = describeCredential(credential);
+  } catch (error) {
+    return {
+      verified: false,
+      checks: { signature: false, issuanceDate: false, expirationDate: false, status: false },
+      format: null,
+      issuer: null,
+      subject: null,
+      types: [],
+      issuanceDate: null,
+      expirationDate: null,
+      credentialStatus: null,
+      status: null,
+      error: `Unreadable credential: ${error.message}`,
+    };
+  }
+
+  const missingContexts = summary.format === 'lds' ? unavailableContexts(credential) : [];
+  if (missingContexts.length > 0) {
+    return {
+      verified: false,
+      checks: { signature: false, issuanceDate: false, expirationDate: false, status: false },
+      ...summary,
+      status: null,
+      error: `JSON-LD context ${missingContexts.join(', ')} is not available offline`,
+    };
+  }
+
   try {
     const veramoAgent = await getAgent();
+    // Time-based and status checks are done below so an expired or revoked
+    // credential is still reported as correctly signed.
     const result = await veramoAgent.verifyCredential({
-      credential: vcJwt,
+      credential,
+      policies: { nbf: false, iat: false, exp: false, credentialStatus: false },
     });
-    return result;
+
+    // null when the credential has no credentialStatus. The status lists it
+    // names are only looked up once its issuer is known to have signed them.
+    let status = null;
+    let statusError = null;
+    if (result.verified === true) {
+      try {
+        status = await checkCredentialStatus(summary.credentialStatus, summary.issuer);
+      } catch (statusCheckError) {
+        statusError = statusCheckError.message;
+      }
+    }
+
+    const now = Date.now();
+    const checks = {
+      signature: result.verified === true,
+      issuanceDate: !summary.issuanceDate || new Date(summary.issuanceDate).getTime() <= now,
+      expirationDate: !summary.expirationDate || new Date(summary.expirationDate).getTime() > now,
+      status: result.verified === true && !statusError && (status === null || status === 'active'),
+    };
+
+    let error = null;
+    if (!checks.signature) {
+      error = `Invalid signature: ${result.error?.message || 'verification failed'}`;
+    } else if (!checks.issuanceDate) {
+      error = `Credential is not valid before ${summary.issuanceDate}`;
+    } else if (!checks.expirationDate) {
+      error = `Credential expired on ${summary.expirationDate}`;
+    } else if (statusError) {
+      error = `Credential status could not be checked: ${statusError}`;
+    } else if (!checks.status) {
+      error = `Credential has been ${status} by its issuer`;
+    }
+
+    return {
+      verified: checks.signature && checks.issuanceDate && checks.expirationDate && checks.status,
+      checks,
+      ...summary,
+      status,
+      error,
+    };
   } catch (error) {
     console.error('VC verification error:', error);
     throw new Error(`VC verification failed: ${error.message}`);
   }
 }
 
-export function getVCByPolicyId(policyId) {
-  const store = loadVCStore();
-  for (const [id, data] of Object.entries(store)) {
-    if (data.policyId === policyId.toString()) {
-      return data.vc;
+// The policy's newest credential (the latest renewal) with its id, expiry and
+// current status, or null.
+export async function getVCByPolicyId(policyId) {
+  const db = await getDB();
+  const row = await db.getRepository(StoredCredential).findOne({
+    where: { policyId: policyId.toString() },
+    order: { createdAt: 'DESC' },
+  });
+  return row
+    ? {
+        vcId: row.id,
+        vc: row.vc,
+        expiresAt: row.expiresAt,
+        previousCredentialId: row.previousCredentialId,
+        status: await getCredentialStatus(row.id),
+      }
+    : null;
+}
+
+// What anyone but the holder may see of a credential: an SD-JWT credential
+// loses its plaintext claims and its disclosures, other formats are unchanged.
+export function withoutUndisclosedClaims(vc) {
+  if (!isSdJwt(vc?.proof?.sdJwt)) {
+    return vc;
+  }
+  return {
+    ...vc,
+    credentialSubject: { id: vc.credentialSubject?.id },
+    proof: { ...vc.proof, sdJwt: withoutDisclosures(vc.proof.sdJwt) },
+  };
+}
+
+export async function getCredentialRecord(vcId) {
+  const db = await getDB();
+  return db.getRepository(StoredCredential).findOneBy({ id: vcId });
+}
+
+// action: revoke | suspend | reinstate. `actor` is recorded as who did it.
+export async function updateCredentialStatus(vcId, { action, reason = null, actor }) {
+  const db = await getDB();
+  const credential = await db.getRepository(StoredCredential).findOneBy({ id: vcId });
+  if (!credential) {
+    throw httpError(404, `Credential ${vcId} not found`);
+  }
+  const status = await setCredentialStatus(vcId, { action, reason, actor });
+
+  const request = credential.policyId
+    ? await db.getRepository(PolicyRequest).findOneBy({ id: credential.policyId })
+    : null;
+  publish(
+    'credential.statusChanged',
+    { vcId, policyId: credential.policyId, subjectDid: credential.subjectDid, action, ...status },
+    request ? requestAudience(request) : { patientDid: credential.subjectDid },
+  );
+  return status;
+}
+
+// Revokes the credentials of the policy requests linked to on-chain policy
+// `onchainPolicyId`. `issuedTxHash` is the transaction that created that
+// policy; requests linked to a same-numbered policy of an earlier deployment
+// are left alone. Credentials already revoked are skipped. Resolves with the
+// ids of the credentials revoked.
+export async function revokePolicyCredentials(onchainPolicyId, { issuedTxHash, reason, actor }) {
+  const db = await getDB();
+  const requests = (await db.getRepository(PolicyRequest).findBy({ onchainPolicyId: String(onchainPolicyId) })).filter(
+    (request) =>
+      !request.onchainTxHash || !issuedTxHash || request.onchainTxHash.toLowerCase() === issuedTxHash.toLowerCase(),
+  );
+  if (requests.length === 0) {
+    return [];
+  }
+
+  const credentials = await db
+    .getRepository(StoredCredential)
+    .findBy({ policyId: In(requests.map((request) => request.id)) });
+  const revoked = [];
+  for (const credential of credentials) {
+    const current = await getCredentialStatus(credential.id);
+    if (current && current.status !== 'revoked') {
+      await updateCredentialStatus(credential.id, { action: 'revoke', reason, actor });
+      revoked.push(credential.id);
+    }
+  }
+  return revoked;
+}
+
+// The expirationDate of a credential with a term of `termDays` starting at
+// `from`.
+export function termExpiration(termDays, from = new Date()) {
+  const days = Number(termDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_TERM_DAYS) {
+    throw httpError(400, `termDays must be a whole number of days between 1 and ${MAX_TERM_DAYS}`);
+  }
+  return new Date(from.getTime() + days * DAY_MS).toISOString();
+}
+
+// Re-issues a credential for another `termDays` (the policy term by default).
+// The new term starts when the old one ends, or now if it already has. The
+// new credential names the one it renews in `credentialSubject.previousCredential`;
+// the old one stays valid until it expires. A credential can be renewed once,
+// and a revoked one not at all: the renewal is claimed (renewedBy set to the
+// new credential's id) before anything is signed, and released if issuing
+// fails, including when an issuer signing in the browser never signs it.
+export async function renewCredential(vcId, { termDays = POLICY_TERM_DAYS } = {}) {
+  const db = await getDB();
+  const previous = await db.getRepository(StoredCredential).findOneBy({ id: vcId });
+  if (!previous) {
+    throw httpError(404, `Credential ${vcId} not found`);
+  }
+  if ((await getCredentialStatus(vcId))?.status === 'revoked') {
+    throw httpError(409, `Credential ${vcId} is revoked and cannot be renewed`);
+  }
+
+  const now = new Date();
+  const previousEnd = previous.expiresAt ? new Date(previous.expiresAt) : now;
+  const expirationDate = termExpiration(termDays, previousEnd > now ? previousEnd : now);
+  const { '@context': context, type, credentialSubject } = previous.vc;
+  const credential = {
+    '@context': context,
+    type,
+    issuer: { id: previous.issuerDid },
+    issuanceDate: now.toISOString(),
+    expirationDate,
+    credentialSubject: { ...credentialSubject, previousCredential: vcId },
+  };
+
+  const successorId = newId('vc');
+  const claimed = await inTransaction((manager) =>
+    manager.update(StoredCredential, { id: vcId, renewedBy: IsNull() }, { renewedBy: successorId }),
+  );
+  if (claimed.affected === 0) {
+    const { renewedBy } = await db.getRepository(StoredCredential).findOneBy({ id: vcId });
+    throw httpError(409, `Credential ${vcId} was already renewed by ${renewedBy}`);
+  }
+
+  const releaseClaim = () =>
+    inTransaction((manager) =>
+      manager.update(StoredCredential, { id: vcId, renewedBy: successorId }, { renewedBy: null }),
+    );
+  let result;
+  try {
+    result = await issueVC(credential, previous.issuerDid, {
+      previousCredentialId: vcId,
+      format: previous.format,
+      vcId: successorId,
+      release: releaseClaim,
+    });
+  } catch (error) {
+    await releaseClaim();
+    throw error;
+  }
+  return { ...result, previousCredentialId: vcId, expirationDate };
+}
+
+// Credentials that expire within `withinDays` or already have, and were not
+// renewed or revoked, soonest first. Matches credentials about any of
+// `subjectDids`, issued by any of `issuerDids`, or issued for the policy
+// requests of `patientAddress`.
+export async function getExpiringCredentials({ subjectDids = [], issuerDids = [], patientAddress, withinDays = 30 }) {
+  const days = Number(withinDays);
+  if (!Number.isInteger(days) || days < 0 || days > MAX_TERM_DAYS) {
+    throw httpError(400, `withinDays must be a whole number between 0 and ${MAX_TERM_DAYS}`);
+  }
+  const db = await getDB();
+  const requestIds = patientAddress
+    ? (
+        await db
+          .getRepository(PolicyRequest)
+          .createQueryBuilder('r')
+          .select('r.id', 'id')
+          .where('LOWER(r.patientAddress) = LOWER(:patientAddress)', { patientAddress })
+          .getRawMany()
+      ).map((row) => row.id)
+    : [];
+
+  const notRenewedBefore = {
+    expiresAt: LessThanOrEqual(new Date(Date.now() + days * DAY_MS).toISOString()),
+    renewedBy: IsNull(),
+  };
+  const where = [
+    subjectDids.length > 0 && { ...notRenewedBefore, subjectDid: In(subjectDids) },
+    issuerDids.length > 0 && { ...notRenewedBefore, issuerDid: In(issuerDids) },
+    requestIds.length > 0 && { ...notRenewedBefore, policyId: In(requestIds) },
+  ].filter(Boolean);
+  if (where.length === 0) {
+    return [];
+  }
+
+  const rows = await db.getRepository(StoredCredential).find({ where, order: { expiresAt: 'ASC' } });
+  const credentials = [];
+  for (const row of rows) {
+    const status = await getCredentialStatus(row.id);
+    if (status?.status !== 'revoked') {
+      credentials.push({
+        vcId: row.id,
+        policyId: row.policyId,
+        subjectDid: row.subjectDid,
+        issuerDid: row.issuerDid,
+        types: [].concat(row.vc?.type || []),
+        expiresAt: row.expiresAt,
+        expired: new Date(row.expiresAt).getTime() <= Date.now(),
+        status: status?.status ?? null,
+      });
     }
   }
-  return null;
+  return credentials;
+}
+
+// Which statuses a request may move to from each status. Rejected, withdrawn
+// and issued are final.
+export const POLICY_REQUEST_TRANSITIONS = {
+  pending: ['under_review', 'withdrawn'],
+  under_review: ['approved', 'rejected', 'withdrawn'],
+  approved: ['issued', 'withdrawn'],
+  rejected: [],
+  withdrawn: [],
+  issued: [],
+};
+
+// Whose dashboards a request's events belong on (see event-bus.js).
+function requestAudience(request) {
+  return { patientDid: request.patientDid, patientAddress: request.patientAddress, insurer: request.insurer };
+}
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
 }
 
-export function addPolicyRequest(request) {
-  const requests = loadPolicyRequests();
-  const newRequest = {
-    id: `req-${Date.now()}`,
+export async function addPolicyRequest(request) {
+  const newRequest = toPolicyRequestRow({
     ...request,
+    id: newId('req'),
     createdAt: new Date().toISOString(),
     status: 'pending',
-  };
-  requests.push(newRequest);
-  savePolicyRequests(requests);
+  });
+  await inTransaction(async (manager) => {
+    await manager.getRepository(PolicyRequest).insert(newRequest);
+    await manager.getRepository(PolicyRequestEvent).insert({
+      requestId: newRequest.id,
+      fromStatus: null,
+      toStatus: 'pending',
+      actor: newRequest.patientDid,
+      reason: null,
+      createdAt: newRequest.createdAt,
+    });
+  });
+  publish('policyRequest.created', newRequest, requestAudience(newRequest));
   return newRequest;
 }
 
-export function getPolicyRequests() {
-  return loadPolicyRequests();
+export const POLICY_REQUEST_SORT_FIELDS = ['createdAt', 'updatedAt'];
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function toISOBound(value, name) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw httpError(400, `${name} must be an ISO date`);
+  }
+  return date.toISOString();
+}
+
+// Cursors are opaque to clients: the sort value and id of the last row served.
+function encodeCursor(row, sort) {
+  const value = sort === 'updatedAt' ? row.updatedAt || row.createdAt : row[sort];
+  return Buffer.from(JSON.stringify([value, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof value !== 'string' || typeof id !== 'string') throw new Error();
+    return { value, id };
+  } catch {
+    throw httpError(400, 'cursor is invalid');
+  }
+}
+
+// Filters: patientDid, patientAddress, insurer (a wallet address or DID, or a
+// list of them; matches requests addressed to any of them and open ones), status (comma-separated), from/to (createdAt,
+// inclusive). Sorted by `sort` then id, `order` asc|desc, `limit` rows per
+// page; pass the returned nextCursor to get the following page.
+export async function getPolicyRequests({
+  patientDid,
+  patientAddress,
+  insurer,
+  status,
+  from,
+  to,
+  sort = 'createdAt',
+  order = 'asc',
+  limit,
+  cursor,
+} = {}) {
+  if (!POLICY_REQUEST_SORT_FIELDS.includes(sort)) {
+    throw httpError(400, `sort must be one of: ${POLICY_REQUEST_SORT_FIELDS.join(', ')}`);
+  }
+  const direction = String(order).toLowerCase();
+  if (direction !== 'asc' && direction !== 'desc') {
+    throw httpError(400, 'order must be asc or desc');
+  }
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw httpError(400, `limit must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const db = await getDB();
+  const sortColumn = sort === 'updatedAt' ? 'COALESCE(r.updatedAt, r.createdAt)' : 'r.createdAt';
+  const query = db.getRepository(PolicyRequest).createQueryBuilder('r');
+
+  if (patientDid) {
+    query.andWhere('r.patientDid = :patientDid', { patientDid });
+  }
+  if (patientAddress) {
+    query.andWhere('LOWER(r.patientAddress) = LOWER(:patientAddress)', { patientAddress });
+  }
+  const insurers = [].concat(insurer || []);
+  if (insurers.length > 0) {
+    // addresses compare case-insensitively, DIDs exactly
+    const isAddress = (value) => /^0x[0-9a-f]{40}$/i.test(value);
+    const addresses = insurers.filter(isAddress).map((value) => value.toLowerCase());
+    const dids = insurers.filter((value) => !isAddress(value));
+    query.andWhere('(r.insurer IS NULL OR LOWER(r.insurer) IN (:...addresses) OR r.insurer IN (:...dids))', {
+      addresses: addresses.length > 0 ? addresses : [''],
+      dids: dids.length > 0 ? dids : [''],
+    });
+  }
+  if (status) {
+    const statuses = String(status).split(',').map((value) => value.trim());
+    const unknown = statuses.filter((value) => !POLICY_REQUEST_TRANSITIONS[value]);
+    if (unknown.length > 0) {
+      throw httpError(400, `Unknown status: ${unknown.join(', ')}`);
+    }
+    query.andWhere('r.status IN (:...statuses)', { statuses });
+  }
+  if (from) {
+    query.andWhere('r.createdAt >= :from', { from: toISOBound(from, 'from') });
+  }
+  if (to) {
+    query.andWhere('r.createdAt <= :to', { to: toISOBound(to, 'to') });
+  }
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    const comparison = direction === 'asc' ? '>' : '<';
+    query.andWhere(
+      `(${sortColumn} ${comparison} :cursorValue OR (${sortColumn} = :cursorValue AND r.id ${comparison} :cursorId))`,
+      { cursorValue: after.value, cursorId: after.id },
+    );
+  }
+
+  const sqlDirection = direction === 'asc' ? 'ASC' : 'DESC';
+  const rows = await query
+    .orderBy(sortColumn, sqlDirection)
+    .addOrderBy('r.id', sqlDirection)
+    .limit(pageSize + 1)
+    .getMany();
+
+  const requests = rows.slice(0, pageSize);
+  return {
+    requests,
+    nextCursor: rows.length > pageSize ? encodeCursor(requests[requests.length - 1], sort) : null,
+  };
+}
+
+export async function getPolicyRequest(requestId) {
+  const db = await getDB();
+  return db.getRepository(PolicyRequest).findOneBy({ id: requestId });
+}
+
+export async function getPolicyRequestHistory(requestId) {
+  const db = await getDB();
+  const events = await db.getRepository(PolicyRequestEvent).find({
+    where: { requestId },
+    order: { id: 'ASC' },
+  });
+  return events.map(({ id, requestId: _requestId, ...event }) => event);
 }
 
-export function updatePolicyRequest(requestId, updates) {
-  const requests = loadPolicyRequests();
-  const index = requests.findIndex(r => r.id === requestId);
-  if (index !== -1) {
-    requests[index] = { ...requests[index], ...updates };
-    savePolicyRequests(requests);
-    return requests[index];
+// Moves a request to `status` if the state machine allows it and records who
+// did it and why. Only the patient who made the request may withdraw it, a
+// rejection needs a reason, and a request is only "issued" once its VC is
+// stored or an on-chain policy id is supplied (`links` carries vcCid,
+// onchainPolicyId and onchainTxHash). Errors carry an HTTP statusCode.
+// The check and the write share a transaction, so two racing updates cannot
+// both pass validation against the same old status.
+export async function updatePolicyRequest(requestId, { status, actor, reason = null, ...links }) {
+  if (!POLICY_REQUEST_TRANSITIONS[status]) {
+    throw httpError(400, `status must be one of: ${Object.keys(POLICY_REQUEST_TRANSITIONS).join(', ')}`);
   }
-  return null;
+  if (!actor) {
+    throw httpError(400, 'actor is required');
+  }
+
+  const { updated, fromStatus } = await inTransaction(async (manager) => {
+    const repository = manager.getRepository(PolicyRequest);
+    const existing = await repository.findOneBy({ id: requestId });
+    if (!existing) {
+      throw httpError(404, `Policy request ${requestId} not found`);
+    }
+    if (!POLICY_REQUEST_TRANSITIONS[existing.status]?.includes(status)) {
+      throw httpError(409, `Cannot move a request from ${existing.status} to ${status}`);
+    }
+    if (status === 'withdrawn' && actor !== existing.patientDid) {
+      throw httpError(403, 'Only the requesting patient can withdraw a request');
+    }
+    if (status === 'rejected' && !reason) {
+      throw httpError(400, 'A reason is required to reject a request');
+    }
+    if (status === 'issued') {
+      const credential = await manager
+        .getRepository(StoredCredential)
+        .findOne({ where: { policyId: requestId }, order: { createdAt: 'DESC' } });
+      if (!credential && !links.onchainPolicyId) {
+        throw httpError(409, 'Issue the policy VC or on-chain policy before marking the request issued');
+      }
+      if (links.vcCid && links.vcCid !== credential?.ipfsCid) {
+        throw httpError(400, `vcCid is not the CID of the credential issued for request ${requestId}`);
+      }
+      links.vcCid = credential?.ipfsCid ?? null;
+    }
+
+    const now = new Date().toISOString();
+    const updated = toPolicyRequestRow({
+      ...existing,
+      ...(status === 'issued' ? links : {}),
+      status,
+      updatedAt: now,
+    });
+    await repository.update({ id: requestId }, updated);
+    await manager.getRepository(PolicyRequestEvent).insert({
+      requestId,
+      fromStatus: existing.status,
+      toStatus: status,
+      actor,
+      reason,
+      createdAt: now,
+    });
+    return { updated, fromStatus: existing.status };
+  });
+
+  publish(
+    'policyRequest.updated',
+    { request: updated, fromStatus, toStatus: status, actor, reason },
+    requestAudience(updated),
+  );
+  return updated;
 }
 
-export function createRoleCredential({ issuerDid, subjectDid, role, data = {} }) {
+// `expirationDate` (ISO) is left out when not given; the credential then never
+// expires.
+export function createRoleCredential({ issuerDid, subjectDid, role, data = {}, expirationDate }) {
   if (!issuerDid || !subjectDid || !role) {
     throw new Error('issuerDid, subjectDid, and role are required to create a credential');
   }
 
   return {
-    '@context': [
-      'https://www.w3.org/2018/credentials/v1',
-      'https://www.w3.org/2018/credentials/examples/v1',
-    ],
+    '@context': [CREDENTIALS_CONTEXT, APP_CONTEXT],
     type: ['VerifiableCredential', `${role}Credential`],
     issuer: {
       id: issuerDid,
     },
     issuanceDate: new Date().toISOString(),
+    ...(expirationDate && { expirationDate }),
     credentialSubject: {
       id: subjectDid,
       role,
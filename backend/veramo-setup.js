@@ -3,6 +3,16 @@ import { DIDManager } from '@veramo/did-manager';
 import { KeyManager } from '@veramo/key-manager';
 import { KeyManagementSystem, SecretBox } from '@veramo/kms-local';
 import { CredentialIssuer } from '@veramo/credential-w3c';
+import {
+  CredentialIssuerLD,
+  LdDefaultContexts,
+  VeramoEcdsaSecp256k1RecoverySignature2020,
+  VeramoEd25519Signature2018,
+  VeramoEd25519Signature2020,
+  VeramoJsonWebSignature2020,
+} from '@veramo/credential-ld';
+import { CredentialIssuerEIP712 } from '@veramo/credential-eip712';
+import statusListContext from '@digitalbazaar/vc-status-list-context';
 import { DIDResolverPlugin } from '@veramo/did-resolver';
 import { Resolver } from 'did-resolver';
 import { KeyDIDProvider, getDidKeyResolver } from '@veramo/did-provider-key';
@@ -10,33 +20,97 @@ import { DataStore, DataStoreORM, Entities, KeyStore, DIDStore, PrivateKeyStore
 import { DataSource } from 'typeorm';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
+import { AppEntities } from './entities.js';
+import { CLIENT_KMS, ClientKeyManagementSystem } from './client-signing.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// where this backend is reachable from verifiers, without a trailing slash
+export const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+
+// JSON-LD contexts of the credentials issued here. `APP_CONTEXT` maps every
+// claim and credential type without a definition elsewhere into this
+// backend's vocabulary, so that a Linked Data proof covers all of them
+// (undefined terms would be dropped from what is signed). It is also served
+// at GET /contexts/mpa/v1 for verifiers elsewhere.
+export const CREDENTIALS_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+export const STATUS_LIST_CONTEXT = statusListContext.CONTEXT_URL_V1;
+export const APP_CONTEXT = `${PUBLIC_BASE_URL}/contexts/mpa/v1`;
+const APP_CONTEXT_DOCUMENT = {
+  '@context': {
+    '@version': 1.1,
+    '@vocab': `${APP_CONTEXT}#`,
+  },
+};
+
+// The only documents JSON-LD processing may load: Linked Data proofs are
+// created and checked offline, against these copies. The credentials
+// examples context is left out because it imports ODRL from the web.
+export const LD_CONTEXTS = new Map([
+  ...[...LdDefaultContexts].filter(([url]) => url !== 'https://www.w3.org/2018/credentials/examples/v1'),
+  ...statusListContext.contexts,
+  [APP_CONTEXT, APP_CONTEXT_DOCUMENT],
+]);
+
+const resolver = new Resolver({
+  ...getDidKeyResolver(),
+});
+
+// For services that resolve DIDs outside the agent (did-jwt verification). The did:key driver rejects requests without an explicit
+// `accept`, which did-jwt never sends.
+export const didResolver = {
+  resolve: (didUrl, options = {}) =>
+    resolver.resolve(didUrl, { accept: 'application/did+ld+json', ...options }),
+};
+
 let dbConnection = null;
+let dbInitialization = null;
 let agent = null;
 let initializationPromise = null;
 
+// One SQLite database holds both Veramo's tables and the app's own
+// (entities.js), so services share this connection instead of opening theirs.
+export function getDataSource() {
+  if (!dbInitialization) {
+    dbConnection = new DataSource({
+      type: 'sqlite',
+      database: join(__dirname, 'veramo.sqlite'),
+      synchronize: true,
+      logging: false,
+      entities: [...Entities, ...AppEntities],
+    });
+    dbInitialization = dbConnection.initialize().then(
+      (dataSource) => {
+        console.log('✅ Veramo database initialized');
+        return dataSource;
+      },
+      (error) => {
+        dbInitialization = null;
+        throw error;
+      },
+    );
+  }
+  return dbInitialization;
+}
+
+// SQLite cannot nest transactions on the shared connection, so every service
+// queues its transactions here and they run one at a time.
+let transactionQueue = Promise.resolve();
+
+export function runInTransaction(work) {
+  const run = transactionQueue.then(async () => (await getDataSource()).transaction(work));
+  transactionQueue = run.catch(() => {});
+  return run;
+}
+
 async function initializeVeramo() {
   if (agent) return agent;
   if (initializationPromise) return initializationPromise;
 
   initializationPromise = (async () => {
     try {
-      // Initialize SQLite database
-      if (!dbConnection || !dbConnection.isInitialized) {
-        dbConnection = new DataSource({
-          type: 'sqlite',
-          database: join(__dirname, 'veramo.sqlite'),
-          synchronize: true,
-          logging: false,
-          entities: Entities,
-        });
-
-        await dbConnection.initialize();
-        console.log('✅ Veramo database initialized');
-      }
+      await getDataSource();
 
       const secretKey =
         process.env.SECRET_KEY ||
@@ -50,6 +124,8 @@ async function initializeVeramo() {
               local: new KeyManagementSystem(
                 new PrivateKeyStore(dbConnection, new SecretBox(secretKey)),
               ),
+              // public keys of DIDs whose private key stays in the browser
+              [CLIENT_KMS]: new ClientKeyManagementSystem(),
             },
           }),
           new DIDManager({
@@ -62,11 +138,19 @@ async function initializeVeramo() {
             },
           }),
           new DIDResolverPlugin({
-            resolver: new Resolver({
-              ...getDidKeyResolver(),
-            }),
+            resolver,
           }),
           new CredentialIssuer(),
+          new CredentialIssuerLD({
+            contextMaps: [LD_CONTEXTS],
+            suites: [
+              new VeramoEd25519Signature2018(),
+              new VeramoEd25519Signature2020(),
+              new VeramoJsonWebSignature2020(),
+              new VeramoEcdsaSecp256k1RecoverySignature2020(),
+            ],
+          }),
+          new CredentialIssuerEIP712(),
           new DataStore(dbConnection),
           new DataStoreORM(dbConnection),
         ],
@@ -0,0 +1,173 @@
+import crypto from 'crypto';
+import { decodeJWT, verifyJWT } from 'did-jwt';
+import { didResolver, PUBLIC_BASE_URL } from './veramo-setup.js';
+import { isSdJwt, verifySdJwt } from './sd-jwt.js';
+import { verifyVC } from './vc-service.js';
+
+// Verifiable Presentations bound to a verifier's challenge. A verifier (any
+// signed-in provider or insurer) asks for a challenge; the holder signs a
+// presentation carrying it as `nonce` and this backend's domain as `aud`, with
+// the DID its credentials were issued to. A challenge answers one
+// presentation, only for the verifier that asked for it, and expires after
+// VP_CHALLENGE_TTL_SECONDS, so a presentation cannot be replayed elsewhere.
+//
+// Two kinds of presentation are accepted:
+// - a JWT VP signed by the holder, whose `vp.verifiableCredential` holds JWT
+//   credentials or whole JSON-LD / EIP-712 ones
+// - an SD-JWT presentation (sd-jwt.js), whose key-binding JWT carries nonce/aud
+
+export const PRESENTATION_DOMAIN = process.env.VP_DOMAIN || new URL(PUBLIC_BASE_URL).host;
+const CHALLENGE_TTL_SECONDS = Number(process.env.VP_CHALLENGE_TTL_SECONDS) || 5 * 60;
+
+const challenges = new Map();
+
+function httpError(statusCode, message) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
+function dropExpiredChallenges() {
+  const now = Date.now();
+  for (const [challenge, entry] of challenges) {
+    if (entry.expiresAt <= now) {
+      challenges.delete(challenge);
+    }
+  }
+}
+
+// `verifier` is the session asking ({ address, dids }).
+export function createPresentationChallenge(verifier) {
+  dropExpiredChallenges();
+  const challenge = crypto.randomBytes(16).toString('hex');
+  const expiresAt = Date.now() + CHALLENGE_TTL_SECONDS * 1000;
+  challenges.set(challenge, {
+    address: verifier.address?.toLowerCase() || null,
+    dids: [...verifier.dids],
+    expiresAt,
+  });
+  return { challenge, domain: PRESENTATION_DOMAIN, expiresAt: new Date(expiresAt).toISOString() };
+}
+
+function isSameVerifier(entry, verifier) {
+  return (
+    (entry.address && entry.address === verifier.address?.toLowerCase()) ||
+    entry.dids.some((did) => verifier.dids.includes(did))
+  );
+}
+
+// Takes the challenge out of circulation whether or not the presentation
+// turns out valid.
+function redeemChallenge(challenge, verifier) {
+  const entry = typeof challenge === 'string' ? challenges.get(challenge) : null;
+  if (!entry || !isSameVerifier(entry, verifier)) {
+    throw httpError(401, 'The presentation does not answer a challenge you requested; request a new one');
+  }
+  challenges.delete(challenge);
+  if (entry.expiresAt <= Date.now()) {
+    throw httpError(401, 'Challenge has expired; request a new one');
+  }
+}
+
+async function verifyJwtPresentation(jwt, payload) {
+  const holder = payload.iss;
+  const checks = { signature: false, holderBinding: false, credentials: false };
+  const fail = (error, credentials = []) => ({
+    verified: false,
+    format: 'jwt_vp',
+    checks,
+    holder,
+    challenge: payload.nonce,
+    domain: PRESENTATION_DOMAIN,
+    credentials,
+    error,
+  });
+
+  if ([].concat(payload.aud).join() !== PRESENTATION_DOMAIN) {
+    return fail(`The presentation is addressed to ${payload.aud}, not ${PRESENTATION_DOMAIN}`);
+  }
+  try {
+    await verifyJWT(jwt, { resolver: didResolver, audience: PRESENTATION_DOMAIN });
+    checks.signature = true;
+  } catch (error) {
+    return fail(`Invalid presentation signature: ${error.message}`);
+  }
+  if (payload.vp?.holder && payload.vp.holder !== holder) {
+    return fail(`The presentation names holder ${payload.vp.holder} but is signed by ${holder}`);
+  }
+  const embedded = [].concat(payload.vp?.verifiableCredential || []);
+  if (embedded.length === 0) {
+    return fail('The presentation holds no credential');
+  }
+
+  const credentials = [];
+  for (const credential of embedded) {
+    credentials.push(
+      isSdJwt(typeof credential === 'string' ? credential : credential?.proof?.sdJwt)
+        ? { verified: false, error: 'Present SD-JWT credentials on their own, not inside a VP' }
+        : await verifyVC(credential),
+    );
+  }
+  // holder binding: every credential must be about the DID that signed
+  const stranger = credentials.find((credential) => credential.subject && credential.subject !== holder);
+  checks.holderBinding = !stranger && credentials.every((credential) => credential.subject);
+  checks.credentials = credentials.every((credential) => credential.verified);
+
+  let error = null;
+  if (!checks.holderBinding) {
+    error = stranger
+      ? `A credential is about ${stranger.subject}, not the holder ${holder}`
+      : 'A credential names no subject to bind to the holder';
+  } else if (!checks.credentials) {
+    error = `Credential rejected: ${credentials.find((credential) => !credential.verified).error}`;
+  }
+  return {
+    verified: checks.signature && checks.holderBinding && checks.credentials,
+    format: 'jwt_vp',
+    checks,
+    holder,
+    challenge: payload.nonce,
+    domain: PRESENTATION_DOMAIN,
+    credentials,
+    error,
+  };
+}
+
+// Checks a presentation made for one of `verifier`'s challenges: the holder's
+// signature, the challenge and domain, that the holder is the subject of
+// every credential, and each credential itself (signature, dates, status).
+// Throws 400/401 when the presentation is unreadable or answers no challenge.
+export async function verifyPresentation(presentation, verifier) {
+  if (typeof presentation !== 'string' || !presentation.trim()) {
+    throw httpError(400, 'presentation must be a JWT VP or an SD-JWT presentation');
+  }
+  const compact = presentation.trim();
+
+  if (isSdJwt(compact)) {
+    let nonce;
+    try {
+      nonce = decodeJWT(compact.split('~').pop()).payload.nonce;
+    } catch {
+      throw httpError(400, 'The SD-JWT presentation has no key-binding JWT');
+    }
+    redeemChallenge(nonce, verifier);
+    const verification = await verifySdJwt(compact, {
+      nonce,
+      audience: PRESENTATION_DOMAIN,
+      requireKeyBinding: true,
+    });
+    return { ...verification, challenge: nonce, domain: PRESENTATION_DOMAIN };
+  }
+
+  let payload;
+  try {
+    ({ payload } = decodeJWT(compact));
+  } catch (error) {
+    throw httpError(400, `Unreadable presentation: ${error.message}`);
+  }
+  if (!payload.vp) {
+    throw httpError(400, 'The JWT is not a Verifiable Presentation (no vp claim)');
+  }
+  redeemChallenge(payload.nonce, verifier);
+  return verifyJwtPresentation(compact, payload);
+}
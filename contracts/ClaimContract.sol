@@ -1,7 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-contract ClaimContract {
+import "./ERC2771Context.sol";
+
+contract ClaimContract is ERC2771Context {
     enum ClaimState { Submitted, UnderReview, Approved, Rejected, Paid }
 
     struct Claim {
@@ -38,6 +40,8 @@ contract ClaimContract {
         string reason
     );
 
+    constructor(address _trustedForwarder) ERC2771Context(_trustedForwarder) {}
+
     function submitClaim(
         uint256 _policyId,
         address _beneficiary,
@@ -57,7 +61,7 @@ contract ClaimContract {
         claims[claimId] = Claim({
             claimId: claimId,
             policyId: _policyId,
-            provider: msg.sender,
+            provider: _msgSender(),
             beneficiary: _beneficiary,
             insurer: _insurer,
             ipfsHash: _ipfsHash,
@@ -69,16 +73,16 @@ contract ClaimContract {
         });
 
         policyClaims[_policyId].push(claimId);
-        providerClaims[msg.sender].push(claimId);
+        providerClaims[_msgSender()].push(claimId);
 
-        emit ClaimSubmitted(claimId, _policyId, msg.sender, _ipfsHash, _vcCid);
+        emit ClaimSubmitted(claimId, _policyId, _msgSender(), _ipfsHash, _vcCid);
 
         return claimId;
     }
 
     function setUnderReview(uint256 _claimId) public {
         Claim storage claim = claims[_claimId];
-        require(claim.insurer == msg.sender, "Only insurer can review");
+        require(claim.insurer == _msgSender(), "Only insurer can review");
         require(claim.state == ClaimState.Submitted, "Invalid state transition");
         
         claim.state = ClaimState.UnderReview;
@@ -87,7 +91,7 @@ contract ClaimContract {
 
     function approveClaim(uint256 _claimId) public {
         Claim storage claim = claims[_claimId];
-        require(claim.insurer == msg.sender, "Only insurer can approve");
+        require(claim.insurer == _msgSender(), "Only insurer can approve");
         require(
             claim.state == ClaimState.UnderReview || claim.state == ClaimState.Submitted,
             "Invalid state transition"
@@ -99,7 +103,7 @@ contract ClaimContract {
 
     function rejectClaim(uint256 _claimId, string memory _reason) public {
         Claim storage claim = claims[_claimId];
-        require(claim.insurer == msg.sender, "Only insurer can reject");
+        require(claim.insurer == _msgSender(), "Only insurer can reject");
         require(
             claim.state == ClaimState.UnderReview || claim.state == ClaimState.Submitted,
             "Invalid state transition"
@@ -112,7 +116,7 @@ contract ClaimContract {
 
     function markPaid(uint256 _claimId) public {
         Claim storage claim = claims[_claimId];
-        require(claim.insurer == msg.sender, "Only insurer can mark paid");
+        require(claim.insurer == _msgSender(), "Only insurer can mark paid");
         require(claim.state == ClaimState.Approved, "Claim must be approved first");
         
         claim.state = ClaimState.Paid;
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// EIP-2771 support: calls relayed by the trusted forwarder carry the address
+// that signed the request in the last 20 bytes of calldata. Contracts use
+// _msgSender() instead of msg.sender so such calls act for that address.
+abstract contract ERC2771Context {
+    address private immutable _trustedForwarder;
+
+    constructor(address _forwarder) {
+        _trustedForwarder = _forwarder;
+    }
+
+    function trustedForwarder() public view returns (address) {
+        return _trustedForwarder;
+    }
+
+    function isTrustedForwarder(address _forwarder) public view returns (bool) {
+        return _forwarder == _trustedForwarder;
+    }
+
+    function _msgSender() internal view returns (address sender) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            assembly {
+                sender := shr(96, calldataload(sub(calldatasize(), 20)))
+            }
+        } else {
+            sender = msg.sender;
+        }
+    }
+}
@@ -0,0 +1,111 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// Trusted forwarder for EIP-2771 meta-transactions. A user signs a
+// ForwardRequest (EIP-712) and anyone, usually the backend relayer, submits it
+// here and pays the gas; the target sees the user through _msgSender().
+contract MinimalForwarder {
+    struct ForwardRequest {
+        address from;
+        address to;
+        uint256 value;
+        uint256 gas;
+        uint256 nonce;
+        bytes data;
+    }
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 private constant REQUEST_TYPEHASH =
+        keccak256("ForwardRequest(address from,address to,uint256 value,uint256 gas,uint256 nonce,bytes data)");
+    // upper bound for s in a non-malleable signature (EIP-2)
+    uint256 private constant MAX_S = 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0;
+
+    bytes32 private immutable _domainSeparator;
+
+    mapping(address => uint256) private _nonces;
+
+    event Executed(address indexed from, address indexed to, uint256 nonce);
+
+    constructor() {
+        _domainSeparator = keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256(bytes("MinimalForwarder")),
+                keccak256(bytes("0.0.1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    function getNonce(address _from) public view returns (uint256) {
+        return _nonces[_from];
+    }
+
+    function verify(ForwardRequest calldata _req, bytes calldata _signature) public view returns (bool) {
+        address signer = _recover(_req, _signature);
+        return signer != address(0) && signer == _req.from && _nonces[_req.from] == _req.nonce;
+    }
+
+    // Reverts with the target's own revert reason when the call fails, so a
+    // failed request leaves its nonce unused.
+    function execute(ForwardRequest calldata _req, bytes calldata _signature)
+        public
+        payable
+        returns (bytes memory)
+    {
+        require(verify(_req, _signature), "Signature does not match request");
+        require(msg.value == _req.value, "Value does not match request");
+        _nonces[_req.from] = _req.nonce + 1;
+
+        (bool success, bytes memory result) = _req.to.call{gas: _req.gas, value: _req.value}(
+            abi.encodePacked(_req.data, _req.from)
+        );
+        // Forwarding keeps 1/64 of the gas back (EIP-150); make sure the
+        // sender could not starve the call on purpose.
+        if (gasleft() <= _req.gas / 63) {
+            assembly {
+                invalid()
+            }
+        }
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+
+        emit Executed(_req.from, _req.to, _req.nonce);
+        return result;
+    }
+
+    function _recover(ForwardRequest calldata _req, bytes calldata _signature) private view returns (address) {
+        if (_signature.length != 65) {
+            return address(0);
+        }
+        bytes32 digest = keccak256(
+            abi.encodePacked(
+                "\x19\x01",
+                _domainSeparator,
+                keccak256(
+                    abi.encode(
+                        REQUEST_TYPEHASH,
+                        _req.from,
+                        _req.to,
+                        _req.value,
+                        _req.gas,
+                        _req.nonce,
+                        keccak256(_req.data)
+                    )
+                )
+            )
+        );
+        bytes32 r = bytes32(_signature[0:32]);
+        bytes32 s = bytes32(_signature[32:64]);
+        uint8 v = uint8(_signature[64]);
+        if (uint256(s) > MAX_S) {
+            return address(0);
+        }
+        return ecrecover(digest, v, r, s);
+    }
+}
@@ -1,7 +1,9 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-contract PolicyContract {
+import "./ERC2771Context.sol";
+
+contract PolicyContract is ERC2771Context {
     struct Policy {
         uint256 policyId;
         address insurer;
@@ -24,6 +26,10 @@ contract PolicyContract {
         uint256 coverageAmount
     );
 
+    event PolicyDeactivated(uint256 indexed policyId, address indexed insurer);
+
+    constructor(address _trustedForwarder) ERC2771Context(_trustedForwarder) {}
+
     function issuePolicy(
         address _beneficiary,
         uint256 _coverageAmount
@@ -35,7 +41,7 @@ contract PolicyContract {
         
         policies[policyId] = Policy({
             policyId: policyId,
-            insurer: msg.sender,
+            insurer: _msgSender(),
             beneficiary: _beneficiary,
             coverageAmount: _coverageAmount,
             issueDate: block.timestamp,
@@ -43,9 +49,9 @@ contract PolicyContract {
         });
 
         beneficiaryPolicies[_beneficiary].push(policyId);
-        insurerPolicies[msg.sender].push(policyId);
+        insurerPolicies[_msgSender()].push(policyId);
 
-        emit PolicyIssued(policyId, msg.sender, _beneficiary, _coverageAmount);
+        emit PolicyIssued(policyId, _msgSender(), _beneficiary, _coverageAmount);
 
         return policyId;
     }
@@ -80,9 +86,10 @@ contract PolicyContract {
 
     function deactivatePolicy(uint256 _policyId) public {
         Policy storage policy = policies[_policyId];
-        require(policy.insurer == msg.sender, "Only insurer can deactivate");
+        require(policy.insurer == _msgSender(), "Only insurer can deactivate");
         require(policy.active, "Policy already inactive");
         policy.active = false;
+        emit PolicyDeactivated(_policyId, _msgSender());
     }
 }
 
@@ -1,4 +1,5 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { loadContractsConfig } from './contracts';
 import PatientDashboard from './PatientDashboard';
 import InsurerDashboard from './InsurerDashboard';
 import ProviderDashboard from './ProviderDashboard';
@@ -6,6 +7,19 @@ import './index.css';
 
 function App() {
   const [activeTab, setActiveTab] = useState('patient');
+  // why on-chain actions cannot work right now, null while they can
+  const [contractsProblem, setContractsProblem] = useState(null);
+
+  useEffect(() => {
+    loadContractsConfig()
+      .then(({ contracts }) => {
+        const missing = Object.keys(contracts).filter((name) => !contracts[name].hasCode);
+        setContractsProblem(
+          missing.length > 0 ? `No contract code for ${missing.join(', ')}; redeploy and reload the page.` : null,
+        );
+      })
+      .catch((error) => setContractsProblem(`Contract config unavailable: ${error.message}`));
+  }, []);
 
   const tabs = [
     { id: 'patient', label: 'Patient', icon: '👤' },
@@ -49,6 +63,7 @@ function App() {
 
       {/* Main Content */}
       <main className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8 animate-fade-in">
+        {contractsProblem && <div className="alert alert-error mb-6">⚠️ {contractsProblem}</div>}
         {activeTab === 'patient' && <PatientDashboard />}
         {activeTab === 'insurer' && <InsurerDashboard />}
         {activeTab === 'provider' && <ProviderDashboard />}
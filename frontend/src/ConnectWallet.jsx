@@ -1,21 +1,45 @@
 import { useState, useEffect } from 'react';
 import { ethers } from 'ethers';
+import { signInWithEthereum, getWalletSession } from './api';
+import { registerIdentity, loadContractsConfig, switchToDeployedChain } from './contracts';
+import TxStatus from './TxStatus';
 
-function ConnectWallet({ onWalletConnected }) {
+// `registerAs` (Patient, Provider or Insurer) and `did` let an unregistered
+// wallet register itself in IdentityRegistry from here.
+function ConnectWallet({ onWalletConnected, registerAs, did }) {
   const [account, setAccount] = useState(null);
   const [provider, setProvider] = useState(null);
   const [signer, setSigner] = useState(null);
+  // IdentityRegistry role once signed in with Ethereum, null before
+  const [role, setRole] = useState(null);
+  const [signingIn, setSigningIn] = useState(false);
+  const [registerTx, setRegisterTx] = useState(null);
+  // the wallet's chain and the one the contracts are deployed on
+  const [chainId, setChainId] = useState(null);
+  const [deployment, setDeployment] = useState(null);
+  const [switchingChain, setSwitchingChain] = useState(false);
+
+  const onDeployedChain = !deployment || chainId === BigInt(deployment.chainId);
 
   useEffect(() => {
     checkConnection();
   }, []);
 
+  // A BrowserProvider stays bound to the chain it was created on, so a chain
+  // switch in the wallet means connecting again.
+  useEffect(() => {
+    if (!window.ethereum) return undefined;
+    const onChainChanged = () => checkConnection();
+    window.ethereum.on('chainChanged', onChainChanged);
+    return () => window.ethereum.removeListener('chainChanged', onChainChanged);
+  }, []);
+
   const checkConnection = async () => {
     if (window.ethereum) {
       try {
         const accounts = await window.ethereum.request({ method: 'eth_accounts' });
         if (accounts.length > 0) {
-          await connectWallet();
+          await connectWallet(false);
         }
       } catch (error) {
         console.error('Error checking connection:', error);
@@ -23,7 +47,50 @@ function ConnectWallet({ onWalletConnected }) {
     }
   };
 
-  const connectWallet = async () => {
+  const signIn = async (signer, provider, address) => {
+    setSigningIn(true);
+    try {
+      const result = await signInWithEthereum(signer);
+      setRole(result.role);
+      if (onWalletConnected) {
+        onWalletConnected({ account: address, provider, signer, role: result.role });
+      }
+    } catch (error) {
+      console.error('Error signing in with Ethereum:', error);
+      alert('Failed to sign in: ' + error.message);
+    } finally {
+      setSigningIn(false);
+    }
+  };
+
+  const switchChain = async () => {
+    setSwitchingChain(true);
+    try {
+      await switchToDeployedChain(window.ethereum);
+    } catch (error) {
+      console.error('Error switching network:', error);
+      alert('Failed to switch network: ' + error.message);
+    } finally {
+      setSwitchingChain(false);
+    }
+  };
+
+  const register = async () => {
+    try {
+      await registerIdentity(signer, { did, role: registerAs }, setRegisterTx);
+      setRole(registerAs);
+      if (onWalletConnected) {
+        onWalletConnected({ account, provider, signer, role: registerAs });
+      }
+    } catch (error) {
+      // the failure and its revert reason are shown by TxStatus
+      console.error('Error registering identity:', error);
+    }
+  };
+
+  // `interactive` asks the wallet for a SIWE signature unless this tab is
+  // already signed in with the address; page-load reconnects never prompt.
+  const connectWallet = async (interactive) => {
     if (!window.ethereum) {
       alert('Please install MetaMask!');
       return;
@@ -34,13 +101,27 @@ function ConnectWallet({ onWalletConnected }) {
       await provider.send('eth_requestAccounts', []);
       const signer = await provider.getSigner();
       const address = await signer.getAddress();
+      const network = await provider.getNetwork();
+      // without a config the App banner already says what is wrong
+      const config = await loadContractsConfig().catch(() => null);
+
+      const session = getWalletSession();
+      const signedInRole = session?.address === address ? session.role : null;
 
       setProvider(provider);
       setSigner(signer);
       setAccount(address);
+      setRole(signedInRole);
+      setChainId(network.chainId);
+      setDeployment(config && { chainId: config.chainId, network: config.network });
 
       if (onWalletConnected) {
-        onWalletConnected({ account: address, provider, signer });
+        onWalletConnected({ account: address, provider, signer, role: signedInRole });
+      }
+      // SIWE is only accepted for the backend's chain
+      const wrongChain = config && network.chainId !== BigInt(config.chainId);
+      if (interactive && !signedInRole && !wrongChain) {
+        await signIn(signer, provider, address);
       }
 
       // Listen for account changes
@@ -49,11 +130,12 @@ function ConnectWallet({ onWalletConnected }) {
           setAccount(null);
           setProvider(null);
           setSigner(null);
+          setRole(null);
           if (onWalletConnected) {
-            onWalletConnected({ account: null, provider: null, signer: null });
+            onWalletConnected({ account: null, provider: null, signer: null, role: null });
           }
         } else {
-          connectWallet();
+          connectWallet(false);
         }
       });
 
@@ -62,8 +144,9 @@ function ConnectWallet({ onWalletConnected }) {
         setAccount(null);
         setProvider(null);
         setSigner(null);
+        setRole(null);
         if (onWalletConnected) {
-          onWalletConnected({ account: null, provider: null, signer: null });
+          onWalletConnected({ account: null, provider: null, signer: null, role: null });
         }
       });
     } catch (error) {
@@ -76,8 +159,9 @@ function ConnectWallet({ onWalletConnected }) {
     setAccount(null);
     setProvider(null);
     setSigner(null);
+    setRole(null);
     if (onWalletConnected) {
-      onWalletConnected({ account: null, provider: null, signer: null });
+      onWalletConnected({ account: null, provider: null, signer: null, role: null });
     }
   };
 
@@ -93,7 +177,7 @@ function ConnectWallet({ onWalletConnected }) {
         <div className="space-y-4">
           <button 
             className="btn btn-primary w-full sm:w-auto flex items-center justify-center space-x-2"
-            onClick={connectWallet}
+            onClick={() => connectWallet(true)}
           >
             <span>🦊</span>
             <span>Connect MetaMask</span>
@@ -114,6 +198,48 @@ function ConnectWallet({ onWalletConnected }) {
             </div>
             <p className="text-sm text-gray-600 font-mono break-all">{account}</p>
           </div>
+          {!onDeployedChain && (
+            <div className="alert alert-error space-y-3">
+              <p>
+                Your wallet is on chain {chainId?.toString()}, but the contracts are deployed on{' '}
+                <span className="font-semibold">{deployment.network}</span> (chain {deployment.chainId}).
+              </p>
+              <button className="btn btn-primary" onClick={switchChain} disabled={switchingChain}>
+                {switchingChain ? 'Waiting for wallet...' : `🔀 Switch to ${deployment.network}`}
+              </button>
+            </div>
+          )}
+          {!role && onDeployedChain && (
+            <button
+              className="btn btn-primary w-full sm:w-auto"
+              onClick={() => signIn(signer, provider, account)}
+              disabled={signingIn}
+            >
+              {signingIn ? 'Waiting for signature...' : '✍️ Sign in with Ethereum'}
+            </button>
+          )}
+          {role && role !== 'None' && (
+            <p className="text-sm text-gray-700">
+              Signed in as <span className="font-semibold">{role}</span>
+            </p>
+          )}
+          {role === 'None' && (
+            <div className="alert alert-info">
+              Signed in, but this address is not registered in IdentityRegistry. Register it on-chain to use the
+              dashboards.
+            </div>
+          )}
+          {role === 'None' && registerAs && (
+            <button
+              className="btn btn-primary w-full sm:w-auto"
+              onClick={register}
+              disabled={!did || registerTx?.status === 'signing' || registerTx?.status === 'pending'}
+              title={did ? undefined : 'Create your DID first'}
+            >
+              📝 Register as {registerAs}
+            </button>
+          )}
+          <TxStatus tx={registerTx} />
           <button 
             className="btn btn-secondary w-full sm:w-auto"
             onClick={disconnectWallet}
@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import { getVCByPolicyId, setCredentialStatus, renewCredential } from './api';
+import { deactivatePolicy } from './contracts';
+import TxStatus from './TxStatus';
+
+const STATUS_BADGES = { active: 'status-approved', suspended: 'status-pending', revoked: 'status-rejected' };
+
+// The status and expiry of the credential issued for a policy request, with
+// the issuing insurer's controls: renew (for another `termDays`), suspend,
+// reinstate, revoke, and deactivating the on-chain policy (which revokes the
+// credential too). `refreshKey` changes when the backend reports a change.
+function CredentialStatus({ request, signer, termDays, refreshKey }) {
+  const [credential, setCredential] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [tx, setTx] = useState(null);
+
+  const load = async () => {
+    try {
+      const result = await getVCByPolicyId(request.id);
+      setCredential(result.success ? result : null);
+    } catch (err) {
+      setError(err.message || 'Failed to load the credential status');
+    }
+  };
+
+  useEffect(() => {
+    load();
+  }, [request.id, refreshKey]);
+
+  const changeStatus = async (action) => {
+    const reason = window.prompt(`Reason to ${action} this credential (optional)`);
+    if (reason === null) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      await setCredentialStatus(credential.vcId, action, reason || null);
+      await load();
+    } catch (err) {
+      setError(err.message || `Failed to ${action} the credential`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRenew = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await renewCredential(credential.vcId, Number(termDays));
+      await load();
+    } catch (err) {
+      setError(err.message || 'Failed to renew the credential');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleDeactivate = async () => {
+    if (!window.confirm(`Deactivate on-chain policy #${request.onchainPolicyId}? Its credential will be revoked.`)) return;
+
+    setBusy(true);
+    setError(null);
+    try {
+      await deactivatePolicy(signer, { policyId: request.onchainPolicyId }, setTx);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (!credential?.status) return null;
+  const { status, reason } = credential.status;
+  const expired = credential.expiresAt && new Date(credential.expiresAt) <= new Date();
+
+  return (
+    <div className="mt-4 pt-4 border-t border-gray-200 space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="text-sm font-semibold text-gray-700">Credential {credential.vcId}</span>
+        <span className={`status-badge ${STATUS_BADGES[status]}`}>{status}</span>
+      </div>
+      {reason && <p className="text-sm text-gray-600 italic">“{reason}”</p>}
+      <p className={`text-sm ${expired ? 'text-red-600' : 'text-gray-600'}`}>
+        {credential.expiresAt
+          ? `${expired ? 'Expired' : 'Expires'} ${new Date(credential.expiresAt).toLocaleDateString()}`
+          : 'Does not expire'}
+        {credential.previousCredentialId && ` · renews ${credential.previousCredentialId}`}
+      </p>
+      {status !== 'revoked' && credential.expiresAt && (
+        <button className="btn btn-primary w-full" onClick={handleRenew} disabled={busy}>
+          🔄 Renew VC for {termDays} days
+        </button>
+      )}
+      {status !== 'revoked' && (
+        <div className="grid grid-cols-2 gap-3">
+          {status === 'active' ? (
+            <button className="btn btn-secondary" onClick={() => changeStatus('suspend')} disabled={busy}>
+              ⏸️ Suspend VC
+            </button>
+          ) : (
+            <button className="btn btn-success" onClick={() => changeStatus('reinstate')} disabled={busy}>
+              ▶️ Reinstate VC
+            </button>
+          )}
+          <button className="btn btn-secondary" onClick={() => changeStatus('revoke')} disabled={busy}>
+            🚫 Revoke VC
+          </button>
+        </div>
+      )}
+      {request.onchainPolicyId && status !== 'revoked' && (
+        <button className="btn btn-secondary w-full" onClick={handleDeactivate} disabled={busy || !signer}>
+          Deactivate on-chain policy #{request.onchainPolicyId}
+        </button>
+      )}
+      {tx && <TxStatus tx={tx} />}
+      {error && <div className="alert alert-error">{error}</div>}
+    </div>
+  );
+}
+
+export default CredentialStatus;
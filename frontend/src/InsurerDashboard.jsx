@@ -1,8 +1,31 @@
-import { useState, useEffect } from 'react';
-import { getPolicyRequests, onchainIssuePolicy, onchainInsurerAction, createDID, issueCredential } from './api';
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getPolicyRequests,
+  updatePolicyRequestStatus,
+  verifyClaimEvidence,
+  createDID,
+  issueCredential,
+  signStatusLists,
+  subscribeToEvents,
+} from './api';
+import { issuePolicy, insurerClaimAction } from './contracts';
 import ConnectWallet from './ConnectWallet';
+import RequestHistory from './RequestHistory';
+import CredentialStatus from './CredentialStatus';
+import TxStatus from './TxStatus';
 import QRCode from 'qrcode';
 
+const REQUESTS_PAGE_SIZE = 20;
+const DEFAULT_TERM_DAYS = 365;
+
+// proof formats the backend issues policy credentials in
+const PROOF_FORMATS = [
+  { value: 'sd-jwt', label: 'SD-JWT: the patient can reveal claims one by one' },
+  { value: 'jwt', label: 'JWT' },
+  { value: 'lds', label: 'JSON-LD (Linked Data proof)' },
+  { value: 'EthereumEip712Signature2021', label: 'EIP-712 typed data (needs a Secp256k1 insurer DID)' },
+];
+
 function InsurerDashboard() {
   const [wallet, setWallet] = useState(null);
   const [requests, setRequests] = useState([]);
@@ -10,26 +33,100 @@ function InsurerDashboard() {
   const [message, setMessage] = useState(null);
   const [selectedRequest, setSelectedRequest] = useState(null);
   const [createOnchain, setCreateOnchain] = useState(false);
+  // how long issued policy credentials are valid for
+  const [termDays, setTermDays] = useState(DEFAULT_TERM_DAYS);
+  const [proofFormat, setProofFormat] = useState(PROOF_FORMATS[0].value);
   const [insurerDid, setInsurerDid] = useState(null);
+  const [didKeyType, setDidKeyType] = useState('Ed25519');
   const [vcForm, setVcForm] = useState({ organization: '', permission: '' });
   const [vcInfo, setVcInfo] = useState(null);
   const [vcQr, setVcQr] = useState('');
+  const [claimForm, setClaimForm] = useState({ claimId: '', action: 'review', reason: '' });
+  // last wallet transaction for a policy request ({ requestId, ...status }) and for a claim
+  const [policyTx, setPolicyTx] = useState(null);
+  const [claimTx, setClaimTx] = useState(null);
 
-  useEffect(() => {
-    loadRequests();
-    const interval = setInterval(loadRequests, 5000);
-    return () => clearInterval(interval);
-  }, []);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [pageLimit, setPageLimit] = useState(REQUESTS_PAGE_SIZE);
+  const [hasMoreRequests, setHasMoreRequests] = useState(false);
+  // bumped on credential.statusChanged so the credential panels reload
+  const [credentialStatusVersion, setCredentialStatusVersion] = useState(0);
 
-  const loadRequests = async () => {
+  // The backend returns the requests addressed to this insurer's wallet or to
+  // a DID it is logged in with (or to no insurer), once the wallet has signed in.
+  const loadRequests = useCallback(async () => {
+    if (!wallet?.role) return;
     try {
-      const result = await getPolicyRequests();
+      const result = await getPolicyRequests({
+        status: statusFilter || undefined,
+        sort: 'createdAt',
+        order: 'desc',
+        limit: pageLimit,
+      });
       if (result.success) {
         setRequests(result.requests || []);
+        setHasMoreRequests(Boolean(result.nextCursor));
       }
     } catch (error) {
       console.error('Error loading requests:', error);
     }
+  }, [wallet?.role, statusFilter, pageLimit]);
+
+  // /events reports changes to the same requests, and the loaded page is
+  // reloaded on each. It is opened again when a DID logs in, so requests
+  // addressed to that DID count from then on. Status changes made without
+  // this tab (revocations of policies deactivated on-chain) leave status lists
+  // for the DID to sign.
+  useEffect(() => {
+    if (!wallet?.role) {
+      setRequests([]);
+      return;
+    }
+    loadRequests();
+    return subscribeToEvents((type) => {
+      if (type === 'credential.statusChanged' || type === 'open') {
+        signStatusLists().catch((error) => console.warn('Signing status lists failed:', error));
+      }
+      if (type === 'credential.statusChanged') {
+        setCredentialStatusVersion((version) => version + 1);
+      } else {
+        loadRequests();
+      }
+    });
+  }, [wallet?.account, wallet?.role, insurerDid, loadRequests]);
+
+  const handleTransition = async (request, status) => {
+    if (!insurerDid) {
+      setMessage({ type: 'error', text: 'Please create DID first' });
+      return;
+    }
+    let reason = null;
+    if (status === 'rejected') {
+      reason = window.prompt('Reason for rejecting this request');
+      if (!reason) return;
+    }
+
+    setLoading(true);
+    setMessage(null);
+    try {
+      await updatePolicyRequestStatus(request.id, { status, actor: insurerDid, reason });
+      setMessage({ type: 'success', text: `Request #${request.id} is now ${status.replace('_', ' ')}` });
+      loadRequests();
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to update request' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Issuance already happened at this point; failing to record it only
+  // leaves the request showing as approved.
+  const markIssued = async (request, links) => {
+    try {
+      await updatePolicyRequestStatus(request.id, { status: 'issued', actor: insurerDid, ...links });
+    } catch (error) {
+      console.error('Failed to mark request issued:', error);
+    }
   };
 
   const handleIssueVC = async (request) => {
@@ -46,32 +143,26 @@ function InsurerDashboard() {
     setLoading(true);
     setMessage(null);
     try {
-      // Generate policy number and valid till date
+      // Generate policy number; the backend sets the expiration date from the term
       const policyNumber = `POLICY-${Date.now().toString().slice(-5)}`;
-      const validTill = new Date();
-      validTill.setFullYear(validTill.getFullYear() + 1);
       
-      // Use the correct API format for policy VC
+      // The backend fills in insurer, beneficiary and coverage from the request
       const payload = {
         issuerDid: insurerDid,
-        subjectDid: request.patientDid || `did:example:${request.patientAddress}`,
+        subjectDid: request.patientDid,
         role: 'InsurancePolicy',
+        termDays: Number(termDays),
+        format: proofFormat,
         data: {
-          credentialType: 'Insurance Policy',
           policyNumber: policyNumber,
           policyId: request.id,
-          issuedTo: request.patientDid || `did:example:${request.patientAddress}`,
-          insurer: wallet.account,
-          beneficiary: request.patientAddress,
-          coverageAmount: request.coverageAmount,
-          validTill: validTill.toISOString().split('T')[0],
-          issuedAt: new Date().toISOString(),
         },
       };
 
       const result = await issueCredential(payload);
 
       if (result.success) {
+        await markIssued(request, { vcCid: result.cid });
         setMessage({
           type: 'success',
           text: `VC issued successfully! CID: ${result.cid || 'N/A'}`,
@@ -87,36 +178,47 @@ function InsurerDashboard() {
     }
   };
 
-  const handleIssueVCWithOnchain = async (request, privateKey) => {
-    if (!privateKey) {
-      setMessage({ type: 'error', text: 'Private key required for on-chain operations' });
+  const handleIssueVCWithOnchain = async (request) => {
+    if (!wallet?.signer) {
+      setMessage({ type: 'error', text: 'Connect your wallet to create the policy on-chain' });
       return;
     }
 
     setLoading(true);
     setMessage(null);
     try {
-      // Issue VC first
+      // Create the policy on-chain first so the VC can reference its id
+      const onchain = await issuePolicy(
+        wallet.signer,
+        { beneficiary: request.patientAddress, coverageAmount: request.coverageAmount },
+        (status) => setPolicyTx({ requestId: request.id, ...status }),
+      );
+
+      // The backend checks the on-chain policy against the request
       const payload = {
         issuerDid: insurerDid,
-        subjectDid: request.patientDid || `did:example:${request.patientAddress}`,
+        subjectDid: request.patientDid,
         role: 'MedicalPolicy',
+        termDays: Number(termDays),
+        format: proofFormat,
         data: {
           policyId: request.id,
-          insurer: wallet.account,
-          beneficiary: request.patientAddress,
-          coverageAmount: request.coverageAmount,
-          issuedAt: new Date().toISOString(),
+          onchainPolicyId: onchain.policyId,
+          onchainTxHash: onchain.txHash,
         },
       };
 
       const result = await issueCredential(payload);
 
       if (result.success) {
-        // Note: On-chain policy creation would go here if needed
+        await markIssued(request, {
+          vcCid: result.cid,
+          onchainPolicyId: onchain.policyId,
+          onchainTxHash: onchain.txHash,
+        });
         setMessage({
           type: 'success',
-          text: `VC issued successfully! CID: ${result.cid || 'N/A'}`,
+          text: `On-chain policy #${onchain.policyId} created (block ${onchain.blockNumber}) and VC issued! CID: ${result.cid || 'N/A'}`,
         });
         loadRequests();
       } else {
@@ -129,6 +231,54 @@ function InsurerDashboard() {
     }
   };
 
+  const handleClaimAction = async () => {
+    if (!claimForm.claimId) {
+      setMessage({ type: 'error', text: 'Claim ID is required' });
+      return;
+    }
+    if (!wallet?.signer) {
+      setMessage({ type: 'error', text: 'Connect your wallet to act on claims' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage(null);
+    try {
+      const result = await insurerClaimAction(wallet.signer, claimForm, setClaimTx);
+      setMessage({
+        type: 'success',
+        text: `Claim #${result.claimId} is now ${result.state} (tx ${result.txHash.slice(0, 10)}..., block ${result.blockNumber})`,
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Claim action failed' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerifyEvidence = async () => {
+    if (!claimForm.claimId) {
+      setMessage({ type: 'error', text: 'Claim ID is required' });
+      return;
+    }
+
+    setLoading(true);
+    setMessage(null);
+    try {
+      const { intact, evidence } = await verifyClaimEvidence(claimForm.claimId);
+      const describe = (label, check) =>
+        `${label} ${check.verified ? 'intact' : check.available ? 'does not match its CID' : 'unavailable'}`;
+      setMessage({
+        type: intact ? 'success' : 'error',
+        text: `Claim #${claimForm.claimId}: ${describe('document', evidence.document)}, ${describe('VC', evidence.vc)}`,
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Evidence check failed' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleGenerateInsurerVC = async () => {
     if (!insurerDid) {
       setMessage({ type: 'error', text: 'Create your insurer DID first' });
@@ -229,7 +379,7 @@ function InsurerDashboard() {
       </div>
 
       {/* Wallet Connection */}
-      <ConnectWallet onWalletConnected={setWallet} />
+      <ConnectWallet onWalletConnected={setWallet} registerAs="Insurer" did={insurerDid} />
 
       {/* Insurer DID Card */}
       <div className="card animate-slide-up">
@@ -251,43 +401,54 @@ function InsurerDashboard() {
             </p>
           </div>
         ) : (
-          <button
-            className="btn btn-primary"
-            onClick={async () => {
-              setLoading(true);
-              setMessage(null);
-              try {
-                console.log('Creating Insurer DID...');
-                const result = await createDID();
-                console.log('Insurer DID creation result:', result);
-                if (result && result.success) {
-                  setInsurerDid(result.did);
-                  setMessage({ type: 'success', text: 'Insurer DID created successfully!' });
-                } else {
-                  setMessage({ type: 'error', text: result?.error || 'Failed to create DID' });
+          <div className="flex items-center space-x-3">
+            <select
+              className="input-field w-auto"
+              value={didKeyType}
+              onChange={(e) => setDidKeyType(e.target.value)}
+              title="Secp256k1 DIDs can also issue EIP-712 credentials"
+            >
+              <option value="Ed25519">Ed25519 key</option>
+              <option value="Secp256k1">Secp256k1 key (EIP-712)</option>
+            </select>
+            <button
+              className="btn btn-primary"
+              onClick={async () => {
+                setLoading(true);
+                setMessage(null);
+                try {
+                  console.log('Creating Insurer DID...');
+                  const result = await createDID(didKeyType);
+                  console.log('Insurer DID creation result:', result);
+                  if (result && result.success) {
+                    setInsurerDid(result.did);
+                    setMessage({ type: 'success', text: 'Insurer DID created successfully!' });
+                  } else {
+                    setMessage({ type: 'error', text: result?.error || 'Failed to create DID' });
+                  }
+                } catch (error) {
+                  console.error('Insurer DID creation error:', error);
+                  const errorMessage = error.response?.data?.error || error.message || 'Failed to create DID. Check if backend is running on http://localhost:3001';
+                  setMessage({ type: 'error', text: errorMessage });
+                } finally {
+                  setLoading(false);
                 }
-              } catch (error) {
-                console.error('Insurer DID creation error:', error);
-                const errorMessage = error.response?.data?.error || error.message || 'Failed to create DID. Check if backend is running on http://localhost:3001';
-                setMessage({ type: 'error', text: errorMessage });
-              } finally {
-                setLoading(false);
-              }
-            }}
-            disabled={loading}
-          >
-            {loading ? (
-              <span className="flex items-center">
-                <span className="animate-spin mr-2">⏳</span>
-                Creating...
-              </span>
-            ) : (
-              <span className="flex items-center">
-                <span className="mr-2">✨</span>
-                Create Insurer DID
-              </span>
-            )}
-          </button>
+              }}
+              disabled={loading}
+            >
+              {loading ? (
+                <span className="flex items-center">
+                  <span className="animate-spin mr-2">⏳</span>
+                  Creating...
+                </span>
+              ) : (
+                <span className="flex items-center">
+                  <span className="mr-2">✨</span>
+                  Create Insurer DID
+                </span>
+              )}
+            </button>
+          </div>
         )}
       </div>
 
@@ -303,8 +464,26 @@ function InsurerDashboard() {
               <p className="text-sm text-gray-500">Review and process patient policy requests</p>
             </div>
           </div>
-          <div className="bg-primary-50 px-3 py-1 rounded-full">
-            <span className="text-primary-700 font-semibold">{requests.length} Request{requests.length !== 1 ? 's' : ''}</span>
+          <div className="flex items-center space-x-3">
+            <select
+              className="input-field py-1"
+              value={statusFilter}
+              onChange={(e) => {
+                setStatusFilter(e.target.value);
+                setPageLimit(REQUESTS_PAGE_SIZE);
+              }}
+            >
+              <option value="">All statuses</option>
+              <option value="pending">Pending</option>
+              <option value="under_review">Under review</option>
+              <option value="approved">Approved</option>
+              <option value="issued">Issued</option>
+              <option value="rejected">Rejected</option>
+              <option value="withdrawn">Withdrawn</option>
+            </select>
+            <div className="bg-primary-50 px-3 py-1 rounded-full whitespace-nowrap">
+              <span className="text-primary-700 font-semibold">{requests.length} Request{requests.length !== 1 ? 's' : ''}</span>
+            </div>
           </div>
         </div>
 
@@ -321,13 +500,45 @@ function InsurerDashboard() {
               Create on-chain policy when issuing VC
             </span>
           </label>
+          <div className="mt-3 flex items-center space-x-3">
+            <label htmlFor="proofFormat" className="text-sm font-medium text-gray-700">
+              Proof format
+            </label>
+            <select
+              id="proofFormat"
+              className="input-field w-auto"
+              value={proofFormat}
+              onChange={(e) => setProofFormat(e.target.value)}
+            >
+              {PROOF_FORMATS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="mt-3 flex items-center space-x-3">
+            <label htmlFor="termDays" className="text-sm font-medium text-gray-700">
+              Policy term (days)
+            </label>
+            <input
+              type="number"
+              id="termDays"
+              min="1"
+              className="input-field w-32"
+              value={termDays}
+              onChange={(e) => setTermDays(e.target.value)}
+            />
+          </div>
         </div>
 
         {requests.length === 0 ? (
           <div className="text-center py-12">
             <div className="text-6xl mb-4">📭</div>
             <p className="text-gray-500 text-lg">No policy requests yet.</p>
-            <p className="text-gray-400 text-sm mt-2">Requests will appear here when patients submit them.</p>
+            <p className="text-gray-400 text-sm mt-2">
+              {wallet?.account
+                ? 'Requests will appear here when patients submit them.'
+                : 'Connect your wallet to see the requests addressed to you.'}
+            </p>
           </div>
         ) : (
           <div className="space-y-4">
@@ -342,8 +553,8 @@ function InsurerDashboard() {
                     <h3 className="text-xl font-bold text-gray-800 mb-2">
                       Request #{request.id}
                     </h3>
-                    <div className={`status-badge status-${request.status}`}>
-                      {request.status}
+                    <div className={`status-badge status-${request.status.replace('_', '-')}`}>
+                      {request.status.replace('_', ' ')}
                     </div>
                   </div>
                   <div className="text-sm text-gray-500">
@@ -367,22 +578,44 @@ function InsurerDashboard() {
                 </div>
                 
                 {request.status === 'pending' && (
+                  <div className="mt-4 pt-4 border-t border-gray-200">
+                    <button
+                      className="btn btn-primary w-full"
+                      onClick={() => handleTransition(request, 'under_review')}
+                      disabled={loading || !insurerDid}
+                    >
+                      🔍 Start Review
+                    </button>
+                  </div>
+                )}
+
+                {request.status === 'under_review' && (
+                  <div className="mt-4 pt-4 border-t border-gray-200 grid grid-cols-2 gap-3">
+                    <button
+                      className="btn btn-success"
+                      onClick={() => handleTransition(request, 'approved')}
+                      disabled={loading || !insurerDid}
+                    >
+                      ✅ Approve
+                    </button>
+                    <button
+                      className="btn btn-secondary"
+                      onClick={() => handleTransition(request, 'rejected')}
+                      disabled={loading || !insurerDid}
+                    >
+                      ❌ Reject
+                    </button>
+                  </div>
+                )}
+
+                {request.status === 'approved' && (
                   <div className="mt-4 pt-4 border-t border-gray-200">
                     {createOnchain ? (
                       <div className="space-y-3">
-                        <input
-                          type="password"
-                          placeholder="Enter private key for on-chain operations"
-                          id={`privateKey-${request.id}`}
-                          className="input-field"
-                        />
                         <button
                           className="btn btn-success w-full"
-                          onClick={() => {
-                            const privateKey = document.getElementById(`privateKey-${request.id}`).value;
-                            handleIssueVCWithOnchain(request, privateKey);
-                          }}
-                          disabled={loading || !insurerDid}
+                          onClick={() => handleIssueVCWithOnchain(request)}
+                          disabled={loading || !insurerDid || !wallet?.signer}
                         >
                           {loading ? (
                             <span className="flex items-center justify-center">
@@ -396,6 +629,7 @@ function InsurerDashboard() {
                             </span>
                           )}
                         </button>
+                        {policyTx?.requestId === request.id && <TxStatus tx={policyTx} />}
                       </div>
                     ) : (
                       <button
@@ -418,12 +652,92 @@ function InsurerDashboard() {
                     )}
                   </div>
                 )}
+
+                {request.status === 'issued' && (
+                  <CredentialStatus
+                    request={request}
+                    signer={wallet?.signer}
+                    termDays={termDays}
+                    refreshKey={credentialStatusVersion}
+                  />
+                )}
+
+                <RequestHistory requestId={request.id} />
               </div>
             ))}
+            {hasMoreRequests && (
+              <button
+                className="btn btn-secondary w-full"
+                onClick={() => setPageLimit(pageLimit + REQUESTS_PAGE_SIZE)}
+              >
+                Load more
+              </button>
+            )}
           </div>
         )}
       </div>
 
+      {/* Claim Actions Card */}
+      <div className="card animate-slide-up">
+        <div className="flex items-center mb-6">
+          <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center mr-4">
+            <span className="text-2xl">⚖️</span>
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Claim Actions</h2>
+            <p className="text-sm text-gray-500">Review, approve, reject or pay out on-chain claims</p>
+          </div>
+        </div>
+        <div className="grid gap-4 md:grid-cols-2">
+          <div>
+            <label className="label">Claim ID</label>
+            <input
+              type="text"
+              className="input-field"
+              value={claimForm.claimId}
+              onChange={(e) => setClaimForm({ ...claimForm, claimId: e.target.value })}
+              placeholder="1"
+            />
+          </div>
+          <div>
+            <label className="label">Action</label>
+            <select
+              className="input-field"
+              value={claimForm.action}
+              onChange={(e) => setClaimForm({ ...claimForm, action: e.target.value })}
+            >
+              <option value="review">Set Under Review</option>
+              <option value="approve">Approve</option>
+              <option value="reject">Reject</option>
+              <option value="markPaid">Mark Paid</option>
+            </select>
+          </div>
+          {claimForm.action === 'reject' && (
+            <div className="md:col-span-2">
+              <label className="label">Rejection Reason</label>
+              <input
+                type="text"
+                className="input-field"
+                value={claimForm.reason}
+                onChange={(e) => setClaimForm({ ...claimForm, reason: e.target.value })}
+                placeholder="Treatment not covered by policy"
+              />
+            </div>
+          )}
+          <div className="md:col-span-2 space-y-3">
+            <div className="flex flex-wrap gap-3">
+              <button className="btn btn-primary" onClick={handleClaimAction} disabled={loading || !wallet?.signer}>
+                {loading ? 'Submitting...' : 'Submit Claim Action'}
+              </button>
+              <button className="btn btn-secondary" onClick={handleVerifyEvidence} disabled={loading}>
+                Verify Evidence
+              </button>
+            </div>
+            <TxStatus tx={claimTx} />
+          </div>
+        </div>
+      </div>
+
       {/* Message Alert */}
       {message && (
         <div className={`alert ${message.type === 'error' ? 'alert-error' : 'alert-success'} animate-slide-up`}>
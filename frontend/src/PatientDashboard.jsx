@@ -1,20 +1,45 @@
 import { useState, useEffect } from 'react';
-import { createDID, requestPolicy, issueCredential, getPolicyRequests } from './api';
+import {
+  createDID,
+  requestPolicy,
+  issueCredential,
+  getPolicyRequests,
+  updatePolicyRequestStatus,
+  getExpiringCredentials,
+  getVCByPolicyId,
+  createPresentation,
+  createSdJwtPresentation,
+  subscribeToEvents,
+} from './api';
+import { listDisclosures } from './sd-jwt';
 import ConnectWallet from './ConnectWallet';
+import RequestHistory from './RequestHistory';
 import QRCode from 'qrcode';
 
+// how far ahead expiring credentials are shown
+const EXPIRY_WARNING_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
 function PatientDashboard() {
   const [did, setDid] = useState(null);
   const [wallet, setWallet] = useState(null);
   const [coverageAmount, setCoverageAmount] = useState('');
   const [details, setDetails] = useState('');
+  const [insurer, setInsurer] = useState('');
   const [loading, setLoading] = useState(false);
   const [message, setMessage] = useState(null);
   const [vcForm, setVcForm] = useState({ fullName: '', notes: '' });
   const [vcInfo, setVcInfo] = useState(null);
-  const [vcQr, setVcQr] = useState('');
   const [vcStatus, setVcStatus] = useState(null);
+  const [policyVcStatus, setPolicyVcStatus] = useState(null);
   const [policyRequests, setPolicyRequests] = useState([]);
+  const [expiringCredentials, setExpiringCredentials] = useState([]);
+  // the verifier's { challenge, domain }, pasted as JSON
+  const [verifierRequest, setVerifierRequest] = useState('');
+  // claims revealed from an SD-JWT policy credential
+  const [sharedClaims, setSharedClaims] = useState([]);
+  const [presentation, setPresentation] = useState('');
+  const [presentationQr, setPresentationQr] = useState('');
   const [showVCSection, setShowVCSection] = useState(false);
   const [showDisconnectPopup, setShowDisconnectPopup] = useState(false);
   const [prevWalletState, setPrevWalletState] = useState(null);
@@ -31,26 +56,49 @@ function PatientDashboard() {
 
   // Load policy requests
   useEffect(() => {
-    if (did && wallet?.account) {
+    if (did && wallet?.role) {
+      loadPolicyRequests();
+      loadExpiringCredentials();
+      return subscribeToEvents((type, data) => {
+        if (type === 'credential.issued' || type === 'credential.statusChanged') {
+          checkForVC(data.policyId);
+          loadExpiringCredentials();
+        } else if (type === 'open' || type.startsWith('policyRequest.')) {
+          loadPolicyRequests();
+          loadExpiringCredentials();
+        }
+      });
+    }
+  }, [did, wallet?.account, wallet?.role]);
+
+  const handleWithdraw = async (request) => {
+    const reason = window.prompt('Why are you withdrawing this request? (optional)');
+    if (reason === null) return;
+
+    setLoading(true);
+    setMessage(null);
+    try {
+      await updatePolicyRequestStatus(request.id, { status: 'withdrawn', actor: did, reason: reason || null });
+      setMessage({ type: 'success', text: `Request #${request.id} withdrawn` });
       loadPolicyRequests();
-      const interval = setInterval(loadPolicyRequests, 5000);
-      return () => clearInterval(interval);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to withdraw request' });
+    } finally {
+      setLoading(false);
     }
-  }, [did, wallet?.account]);
+  };
 
   const loadPolicyRequests = async () => {
     try {
-      const result = await getPolicyRequests();
+      // Only this wallet's requests, including ones made under an earlier DID
+      const result = await getPolicyRequests({ patientAddress: wallet.account, order: 'desc' });
       if (result.success) {
-        // Filter requests for current patient
-        const patientRequests = (result.requests || []).filter(
-          req => req.patientDid === did || req.patientAddress === wallet?.account
-        );
+        const patientRequests = result.requests || [];
         setPolicyRequests(patientRequests);
         
-        // Check for VCs for each request
+        // Only requests past approval can have a credential
         patientRequests.forEach(request => {
-          if (request.id) {
+          if (request.id && ['approved', 'issued'].includes(request.status)) {
             checkForVC(request.id);
           }
         });
@@ -60,14 +108,21 @@ function PatientDashboard() {
     }
   };
 
+  const loadExpiringCredentials = async () => {
+    try {
+      const result = await getExpiringCredentials(EXPIRY_WARNING_DAYS);
+      setExpiringCredentials(result.credentials || []);
+    } catch (error) {
+      console.error('Error loading expiring credentials:', error);
+    }
+  };
+
   const checkForVC = async (policyId) => {
     try {
-      const response = await fetch(`http://localhost:3001/vc/policy/${policyId}`);
-      const result = await response.json();
+      const result = await getVCByPolicyId(policyId);
       if (result.success && result.vc) {
         setVcInfo(result.vc);
-        const qr = await QRCode.toDataURL(JSON.stringify(result.vc));
-        setVcQr(qr);
+        setPolicyVcStatus(result.status);
         setShowVCSection(true);
       }
     } catch (error) {
@@ -146,6 +201,7 @@ function PatientDashboard() {
       const result = await requestPolicy({
         patientDid: did,
         patientAddress: wallet.account,
+        insurer: insurer.trim() || undefined,
         coverageAmount: coverageAmount,
         details: parsedDetails,
       });
@@ -154,6 +210,7 @@ function PatientDashboard() {
         setMessage({ type: 'success', text: 'Policy request submitted successfully! Waiting for insurer to issue verifiable credential...' });
         setCoverageAmount('');
         setDetails('');
+        setInsurer('');
         setShowVCSection(true); // Show VC section (will be empty until insurer issues)
         loadPolicyRequests(); // Refresh policy requests
         // Check for existing VC for this policy request
@@ -170,6 +227,55 @@ function PatientDashboard() {
     }
   };
 
+  const toggleDisclosure = (name) => {
+    setSharedClaims(
+      sharedClaims.includes(name) ? sharedClaims.filter((chosen) => chosen !== name) : [...sharedClaims, name],
+    );
+  };
+
+  // The credential is shared as a presentation signed for the verifier's
+  // challenge, never whole, so a copy of it is no use to anyone else.
+  const handleCreatePresentation = async () => {
+    let request;
+    try {
+      request = JSON.parse(verifierRequest);
+    } catch {
+      request = null;
+    }
+    if (!request?.challenge || !request?.domain) {
+      setMessage({ type: 'error', text: 'Paste the request the verifier gave you: {"challenge": ..., "domain": ...}' });
+      return;
+    }
+    setMessage(null);
+    setPresentation('');
+    setPresentationQr('');
+    try {
+      const holderDid = vcInfo.credentialSubject.id;
+      const result = vcInfo.proof?.sdJwt
+        ? await createSdJwtPresentation({
+            sdJwt: vcInfo.proof.sdJwt,
+            holderDid,
+            names: sharedClaims,
+            nonce: request.challenge,
+            audience: request.domain,
+          })
+        : await createPresentation({
+            holderDid,
+            credential: vcInfo,
+            challenge: request.challenge,
+            domain: request.domain,
+          });
+      setPresentation(result);
+      try {
+        setPresentationQr(await QRCode.toDataURL(result));
+      } catch {
+        // too long for a QR code; the text can still be copied
+      }
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to create the presentation' });
+    }
+  };
+
   const handleGenerateVC = async () => {
     if (!did) {
       setVcStatus({ type: 'error', text: 'Create your DID first' });
@@ -190,8 +296,6 @@ function PatientDashboard() {
       };
       const result = await issueCredential(payload);
       setVcInfo(result.vc);
-      const qr = await QRCode.toDataURL(JSON.stringify(result.vc));
-      setVcQr(qr);
       setVcStatus({ type: 'success', text: 'Credential generated!' });
     } catch (error) {
       console.error(error);
@@ -210,7 +314,7 @@ function PatientDashboard() {
       </div>
 
       {/* Wallet Connection */}
-      <ConnectWallet onWalletConnected={setWallet} />
+      <ConnectWallet onWalletConnected={setWallet} registerAs="Patient" did={did} />
 
       {/* Identity Management Card */}
       <div className="card animate-slide-up">
@@ -297,6 +401,17 @@ function PatientDashboard() {
             </div>
           </div>
 
+          <div>
+            <label className="label">Insurer Address (Optional)</label>
+            <input
+              type="text"
+              value={insurer}
+              onChange={(e) => setInsurer(e.target.value)}
+              placeholder="0x... (leave empty to offer the request to any insurer)"
+              className="input-field font-mono text-sm"
+            />
+          </div>
+
           <div>
             <label className="label">Additional Details (JSON - Optional)</label>
             <textarea
@@ -379,6 +494,27 @@ function PatientDashboard() {
         </form>
       </div>
 
+      {/* Credentials expiring soon; the insurer renews them */}
+      {expiringCredentials.length > 0 && (
+        <div className="card animate-slide-up">
+          <h2 className="text-2xl font-bold text-gray-800 mb-4">Upcoming Expirations</h2>
+          <div className="space-y-3">
+            {expiringCredentials.map((credential) => {
+              const daysLeft = Math.ceil((new Date(credential.expiresAt) - Date.now()) / DAY_MS);
+              return (
+                <div key={credential.vcId} className={`alert ${credential.expired ? 'alert-error' : 'alert-info'}`}>
+                  {credential.policyId ? `Policy credential for request #${credential.policyId}` : credential.vcId}{' '}
+                  {credential.expired
+                    ? `expired on ${new Date(credential.expiresAt).toLocaleDateString()}`
+                    : `expires on ${new Date(credential.expiresAt).toLocaleDateString()} (in ${daysLeft} day${daysLeft !== 1 ? 's' : ''})`}
+                  . Ask your insurer to renew it.
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Verifiable Credential Display - Issued by Insurer */}
       {showVCSection && (
         <div className="card animate-slide-up">
@@ -426,7 +562,11 @@ function PatientDashboard() {
                 
                 <div className="flex items-center justify-between border-b border-gray-200 pb-3">
                   <span className="text-[#8B4513] font-semibold text-sm">Valid Till:</span>
-                  <span className="text-[#2E8B57] font-medium">{vcInfo.credentialSubject?.validTill || 'N/A'}</span>
+                  <span className="text-[#2E8B57] font-medium">
+                    {vcInfo.expirationDate
+                      ? new Date(vcInfo.expirationDate).toLocaleDateString()
+                      : vcInfo.credentialSubject?.validTill || 'N/A'}
+                  </span>
                 </div>
                 
                 {vcInfo.credentialSubject?.coverageAmount && (
@@ -438,23 +578,67 @@ function PatientDashboard() {
               </div>
               
               {/* Verification Status */}
-              <div className="mt-6 pt-4 border-t border-gray-200 flex items-center space-x-2">
-                <span className="text-2xl">🔒</span>
-                <span className="text-[#2E8B57] font-semibold">Verified</span>
-                <span className="text-green-600">✓</span>
-              </div>
-              
-              {/* QR Code */}
-              {vcQr && (
-                <div className="mt-6 pt-4 border-t border-gray-200 flex flex-col items-center">
-                  <p className="text-sm text-gray-600 mb-3">Share this credential via QR code:</p>
-                  <img
-                    src={vcQr}
-                    alt="VC QR Code"
-                    className="w-32 h-32 object-contain border-2 border-gray-300 rounded-lg bg-white shadow-sm"
-                  />
+              {!policyVcStatus || policyVcStatus.status === 'active' ? (
+                <div className="mt-6 pt-4 border-t border-gray-200 flex items-center space-x-2">
+                  <span className="text-2xl">🔒</span>
+                  <span className="text-[#2E8B57] font-semibold">Verified</span>
+                  <span className="text-green-600">✓</span>
+                </div>
+              ) : (
+                <div className="mt-6 pt-4 border-t border-gray-200">
+                  <div className={`alert ${policyVcStatus.status === 'revoked' ? 'alert-error' : 'alert-info'}`}>
+                    This credential was {policyVcStatus.status} by the insurer
+                    {policyVcStatus.reason ? `: ${policyVcStatus.reason}` : ''}
+                  </div>
                 </div>
               )}
+              
+              {/* Present the credential to a verifier */}
+              <div className="mt-6 pt-4 border-t border-gray-200 space-y-3">
+                <p className="text-sm font-semibold text-gray-700">Present to a verifier</p>
+                {vcInfo.proof?.sdJwt && (
+                  <div className="grid grid-cols-2 gap-2">
+                    {listDisclosures(vcInfo.proof.sdJwt).map(({ name }) => (
+                      <label key={name} className="flex items-center space-x-2 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={sharedClaims.includes(name)}
+                          onChange={() => toggleDisclosure(name)}
+                        />
+                        <span>{name}</span>
+                      </label>
+                    ))}
+                  </div>
+                )}
+                <input
+                  type="text"
+                  className="input-field font-mono text-xs"
+                  placeholder='Verifier request {"challenge": ..., "domain": ...}'
+                  value={verifierRequest}
+                  onChange={(e) => setVerifierRequest(e.target.value)}
+                />
+                <button className="btn btn-primary w-full" onClick={handleCreatePresentation}>
+                  🔏 Create Presentation
+                </button>
+                {presentationQr && (
+                  <div className="flex justify-center">
+                    <img
+                      src={presentationQr}
+                      alt="Presentation QR Code"
+                      className="w-40 h-40 object-contain border-2 border-gray-300 rounded-lg bg-white shadow-sm"
+                    />
+                  </div>
+                )}
+                {presentation && (
+                  <textarea
+                    className="input-field resize-none font-mono text-xs"
+                    rows="4"
+                    readOnly
+                    value={presentation}
+                    onFocus={(e) => e.target.select()}
+                  />
+                )}
+              </div>
             </div>
           ) : (
             <div className="bg-gray-50 rounded-lg border border-gray-200 p-6 text-center">
@@ -492,11 +676,12 @@ function PatientDashboard() {
                   </div>
                   <span className={`px-3 py-1 rounded-full text-xs font-semibold ${
                     request.status === 'approved' ? 'bg-green-100 text-green-800' :
+                    request.status === 'issued' ? 'bg-blue-100 text-blue-800' :
                     request.status === 'rejected' ? 'bg-red-100 text-red-800' :
                     request.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
                     'bg-gray-100 text-gray-800'
                   }`}>
-                    {request.status || 'pending'}
+                    {(request.status || 'pending').replace('_', ' ')}
                   </span>
                 </div>
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-3 text-sm">
@@ -517,6 +702,16 @@ function PatientDashboard() {
                     </pre>
                   </div>
                 )}
+                {['pending', 'under_review', 'approved'].includes(request.status) && request.patientDid === did && (
+                  <button
+                    className="btn btn-secondary mt-3"
+                    onClick={() => handleWithdraw(request)}
+                    disabled={loading}
+                  >
+                    Withdraw Request
+                  </button>
+                )}
+                <RequestHistory requestId={request.id} />
               </div>
             ))}
           </div>
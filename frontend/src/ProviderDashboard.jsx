@@ -1,6 +1,17 @@
 import { useState } from 'react';
-import { createDID, issueCredential } from './api';
+import { decodeJWT } from 'did-jwt';
+import {
+  createDID,
+  issueCredential,
+  verifyVC,
+  getPresentationChallenge,
+  verifyPresentation,
+  uploadFileStream,
+  openEncryptedDocument,
+} from './api';
+import { submitClaim } from './contracts';
 import ConnectWallet from './ConnectWallet';
+import TxStatus from './TxStatus';
 import QRCode from 'qrcode';
 
 function ProviderDashboard() {
@@ -11,6 +22,24 @@ function ProviderDashboard() {
   const [vcForm, setVcForm] = useState({ facility: '', speciality: '' });
   const [vcInfo, setVcInfo] = useState(null);
   const [vcQr, setVcQr] = useState('');
+  const [verifyInput, setVerifyInput] = useState('');
+  const [verification, setVerification] = useState(null);
+  // { challenge, domain, expiresAt } the patient signs a presentation for
+  const [presentationRequest, setPresentationRequest] = useState(null);
+  const [docFile, setDocFile] = useState(null);
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [uploadedFile, setUploadedFile] = useState(null);
+  const [encryptUpload, setEncryptUpload] = useState(true);
+  const [recipientDids, setRecipientDids] = useState({ patient: '', insurer: '' });
+  const [claimForm, setClaimForm] = useState({
+    policyId: '',
+    beneficiary: '',
+    insurer: '',
+    ipfsHash: '',
+    vcCid: '',
+    amount: '',
+  });
+  const [claimTx, setClaimTx] = useState(null);
 
   const handleCreateDID = async () => {
     setLoading(true);
@@ -60,14 +89,188 @@ function ProviderDashboard() {
     }
   };
 
+  // Decrypted here and saved as a download, never opened in place: the
+  // document could be HTML that would otherwise run on this origin.
+  const handleOpenDocument = async (manifestCid) => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const file = await openEncryptedDocument(manifestCid);
+      const url = URL.createObjectURL(file);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = file.name;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to open document' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleUploadDocument = async () => {
+    if (!docFile) {
+      setMessage({ type: 'error', text: 'Please select a file' });
+      return;
+    }
+    const recipients = [did, recipientDids.patient, recipientDids.insurer].filter(Boolean);
+    if (encryptUpload && recipients.length === 0) {
+      setMessage({ type: 'error', text: 'Create your DID or enter a recipient DID to encrypt the document' });
+      return;
+    }
+    setLoading(true);
+    setMessage(null);
+    setUploadedFile(null);
+    setUploadProgress(0);
+    try {
+      const result = await uploadFileStream(
+        docFile,
+        setUploadProgress,
+        encryptUpload ? recipients : null,
+        did || undefined,
+      );
+      setUploadedFile({ filename: docFile.name, mimeType: docFile.type, ...result });
+      setClaimForm((form) => ({ ...form, ipfsHash: result.manifestCid || result.cid }));
+      setMessage({
+        type: 'success',
+        text: `Document uploaded to IPFS! CID: ${result.manifestCid || result.cid}`,
+      });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to upload document' });
+    } finally {
+      setUploadProgress(null);
+      setLoading(false);
+    }
+  };
+
+  const handleSubmitClaim = async () => {
+    if (Object.values(claimForm).some((value) => !value)) {
+      setMessage({ type: 'error', text: 'All claim fields are required' });
+      return;
+    }
+    if (!wallet?.signer) {
+      setMessage({ type: 'error', text: 'Connect your wallet to submit claims' });
+      return;
+    }
+    setLoading(true);
+    setMessage(null);
+    try {
+      const result = await submitClaim(wallet.signer, claimForm, setClaimTx);
+      setMessage({ type: 'success', text: `Claim submitted successfully! Claim ID: ${result.claimId}` });
+      setClaimForm({ policyId: '', beneficiary: '', insurer: '', ipfsHash: '', vcCid: '', amount: '' });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to submit claim' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRequestPresentation = async () => {
+    setLoading(true);
+    setMessage(null);
+    try {
+      const { challenge, domain, expiresAt } = await getPresentationChallenge();
+      setPresentationRequest({ challenge, domain, expiresAt });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message || 'Failed to get a challenge' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // An SD-JWT presentation ends with the holder's key-binding JWT; a JWT VP
+  // carries a `vp` claim. Anything else is a bare credential.
+  const isPresentation = (input) => {
+    if (input.includes('~')) {
+      return !input.endsWith('~');
+    }
+    try {
+      return Boolean(decodeJWT(input).payload.vp);
+    } catch {
+      return false;
+    }
+  };
+
+  const handleVerifyVC = async () => {
+    if (!verifyInput.trim()) {
+      setMessage({ type: 'error', text: 'Paste a presentation or credential to verify' });
+      return;
+    }
+    setLoading(true);
+    setMessage(null);
+    setVerification(null);
+    try {
+      const input = verifyInput.trim();
+      if (isPresentation(input)) {
+        const result = await verifyPresentation(input);
+        setVerification(result.verification);
+        // the challenge is spent either way
+        setPresentationRequest(null);
+      } else {
+        const result = await verifyVC(input);
+        setVerification(result.verification);
+      }
+    } catch (error) {
+      if (error.response?.status === 401) {
+        setPresentationRequest(null);
+      }
+      setMessage({ type: 'error', text: error.message || 'Failed to verify credential' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // The checks and details of one verified credential.
+  const renderCredentialResult = (result) => (
+    <>
+      <ul className="text-sm text-gray-700 space-y-1 mb-3">
+        <li>{result.checks.signature ? '✓' : '✗'} Signature</li>
+        <li>{result.checks.issuanceDate ? '✓' : '✗'} Issuance date</li>
+        <li>{result.checks.expirationDate ? '✓' : '✗'} Expiration date</li>
+        <li>
+          {result.checks.status ? '✓' : '✗'} Status{result.status ? ` (${result.status})` : ' (no status list)'}
+        </li>
+        {result.format === 'sd-jwt' && (
+          <>
+            <li>{result.checks.disclosures ? '✓' : '✗'} Disclosures</li>
+            {'keyBinding' in result.checks && (
+              <li>{result.checks.keyBinding ? '✓' : '✗'} Presented by the holder</li>
+            )}
+          </>
+        )}
+      </ul>
+      {result.format === 'sd-jwt' && (
+        <div className="text-xs text-gray-700 mb-3">
+          <p className="font-semibold mb-1">
+            Disclosed claims ({result.undisclosedClaims ?? 0} withheld):
+          </p>
+          {Object.entries(result.disclosed).map(([name, value]) => (
+            <p key={name}>
+              <span className="font-semibold">{name}:</span>{' '}
+              <span className="font-mono break-all">{JSON.stringify(value)}</span>
+            </p>
+          ))}
+        </div>
+      )}
+      <div className="text-xs text-gray-600 space-y-1">
+        <p><span className="font-semibold">Issuer:</span> <span className="font-mono break-all">{result.issuer || 'N/A'}</span></p>
+        <p><span className="font-semibold">Subject:</span> <span className="font-mono break-all">{result.subject || 'N/A'}</span></p>
+        <p><span className="font-semibold">Types:</span> {result.types.join(', ') || 'N/A'}</p>
+        <p><span className="font-semibold">Issued:</span> {result.issuanceDate || 'N/A'}</p>
+        <p><span className="font-semibold">Expires:</span> {result.expirationDate || 'Never'}</p>
+      </div>
+    </>
+  );
+
   return (
     <div className="space-y-6 animate-fade-in">
       <div className="text-center mb-8">
         <h1 className="text-4xl font-bold text-gray-800 mb-2">Provider Dashboard</h1>
-        <p className="text-gray-600">Create your DID and share verifiable credentials</p>
+        <p className="text-gray-600">Create your DID, share verifiable credentials and submit claims</p>
       </div>
 
-      <ConnectWallet onWalletConnected={setWallet} />
+      <ConnectWallet onWalletConnected={setWallet} registerAs="Provider" did={did} />
 
       <div className="card animate-slide-up">
         <div className="flex items-center mb-6">
@@ -148,6 +351,264 @@ function ProviderDashboard() {
         </div>
       </div>
 
+      <div className="card animate-slide-up">
+        <div className="flex items-center mb-6">
+          <div className="w-12 h-12 bg-red-100 rounded-lg flex items-center justify-center mr-4">
+            <span className="text-2xl">📄</span>
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Upload Medical Document</h2>
+            <p className="text-sm text-gray-500">Store scans, imaging and reports on IPFS for claims</p>
+          </div>
+        </div>
+        <div className="space-y-4">
+          <input
+            type="file"
+            className="input-field"
+            onChange={(e) => setDocFile(e.target.files[0] || null)}
+            accept=".pdf,.doc,.docx,.txt,.jpg,.jpeg,.png,.tif,.tiff,.dcm"
+          />
+          <label className="flex items-center space-x-3 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={encryptUpload}
+              onChange={(e) => setEncryptUpload(e.target.checked)}
+              className="w-5 h-5 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+            />
+            <span className="text-sm font-medium text-gray-700">
+              Encrypt for me, the patient and the insurer
+            </span>
+          </label>
+          {encryptUpload && (
+            <div className="grid gap-4 md:grid-cols-2">
+              <div>
+                <label className="label">Patient DID</label>
+                <input
+                  type="text"
+                  className="input-field font-mono text-xs"
+                  value={recipientDids.patient}
+                  onChange={(e) => setRecipientDids({ ...recipientDids, patient: e.target.value.trim() })}
+                  placeholder="did:key:..."
+                />
+              </div>
+              <div>
+                <label className="label">Insurer DID</label>
+                <input
+                  type="text"
+                  className="input-field font-mono text-xs"
+                  value={recipientDids.insurer}
+                  onChange={(e) => setRecipientDids({ ...recipientDids, insurer: e.target.value.trim() })}
+                  placeholder="did:key:..."
+                />
+              </div>
+            </div>
+          )}
+          {docFile && (
+            <p className="text-sm text-gray-500">
+              {docFile.name} ({(docFile.size / 1024 / 1024).toFixed(2)} MB)
+            </p>
+          )}
+          {uploadProgress !== null && (
+            <div>
+              <div className="w-full bg-gray-200 rounded-full h-3 overflow-hidden">
+                <div
+                  className="bg-primary-600 h-3 transition-all duration-300"
+                  style={{ width: `${uploadProgress}%` }}
+                />
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {uploadProgress < 100 ? `Uploading... ${uploadProgress}%` : 'Finalizing on IPFS...'}
+              </p>
+            </div>
+          )}
+          <button className="btn btn-primary" onClick={handleUploadDocument} disabled={loading || !docFile}>
+            {uploadProgress !== null ? 'Uploading...' : 'Upload to IPFS'}
+          </button>
+          {uploadedFile && (
+            <div className="bg-gray-50 rounded-lg p-4 border border-gray-200 text-sm">
+              <p className="font-semibold text-gray-800">{uploadedFile.filename}</p>
+              <p className="font-mono text-xs text-gray-600 break-all">
+                {uploadedFile.manifestCid || uploadedFile.cid}
+              </p>
+              <p className="text-xs text-gray-500">
+                {uploadedFile.mimeType} · {uploadedFile.size} bytes
+                {uploadedFile.manifestCid && ` · encrypted for ${uploadedFile.recipients.length} recipient(s)`}
+              </p>
+              {uploadedFile.manifestCid && did && uploadedFile.recipients.includes(did) && (
+                <button
+                  className="btn btn-secondary mt-2"
+                  onClick={() => handleOpenDocument(uploadedFile.manifestCid)}
+                  disabled={loading}
+                >
+                  Decrypt and download
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="card animate-slide-up">
+        <div className="flex items-center mb-6">
+          <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center mr-4">
+            <span className="text-2xl">💼</span>
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Submit Claim</h2>
+            <p className="text-sm text-gray-500">Sign the claim with your wallet and send it to ClaimContract</p>
+          </div>
+        </div>
+        <div className="space-y-4">
+          <div className="grid gap-4 md:grid-cols-2">
+            <div>
+              <label className="label">On-Chain Policy ID</label>
+              <input
+                type="text"
+                className="input-field"
+                value={claimForm.policyId}
+                onChange={(e) => setClaimForm({ ...claimForm, policyId: e.target.value.trim() })}
+                placeholder="1"
+              />
+            </div>
+            <div>
+              <label className="label">Claim Amount (in wei)</label>
+              <input
+                type="text"
+                className="input-field"
+                value={claimForm.amount}
+                onChange={(e) => setClaimForm({ ...claimForm, amount: e.target.value.trim() })}
+                placeholder="500000000000000000"
+              />
+            </div>
+            <div>
+              <label className="label">Beneficiary Address</label>
+              <input
+                type="text"
+                className="input-field font-mono text-xs"
+                value={claimForm.beneficiary}
+                onChange={(e) => setClaimForm({ ...claimForm, beneficiary: e.target.value.trim() })}
+                placeholder="0x..."
+              />
+            </div>
+            <div>
+              <label className="label">Insurer Address</label>
+              <input
+                type="text"
+                className="input-field font-mono text-xs"
+                value={claimForm.insurer}
+                onChange={(e) => setClaimForm({ ...claimForm, insurer: e.target.value.trim() })}
+                placeholder="0x..."
+              />
+            </div>
+            <div>
+              <label className="label">Document CID</label>
+              <input
+                type="text"
+                className="input-field font-mono text-xs"
+                value={claimForm.ipfsHash}
+                onChange={(e) => setClaimForm({ ...claimForm, ipfsHash: e.target.value.trim() })}
+                placeholder="Filled in after uploading a document"
+              />
+            </div>
+            <div>
+              <label className="label">Policy VC CID</label>
+              <input
+                type="text"
+                className="input-field font-mono text-xs"
+                value={claimForm.vcCid}
+                onChange={(e) => setClaimForm({ ...claimForm, vcCid: e.target.value.trim() })}
+                placeholder="Qm..."
+              />
+            </div>
+          </div>
+          <button className="btn btn-success" onClick={handleSubmitClaim} disabled={loading || !wallet?.signer}>
+            {claimTx?.status === 'signing' || claimTx?.status === 'pending' ? 'Submitting Claim...' : '📤 Submit Claim'}
+          </button>
+          <TxStatus tx={claimTx} />
+        </div>
+      </div>
+
+      <div className="card animate-slide-up">
+        <div className="flex items-center mb-6">
+          <div className="w-12 h-12 bg-green-100 rounded-lg flex items-center justify-center mr-4">
+            <span className="text-2xl">🔍</span>
+          </div>
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">Verify Credential</h2>
+            <p className="text-sm text-gray-500">Ask a patient to present their credential, then check it before accepting it</p>
+          </div>
+        </div>
+        <div className="grid gap-4 md:grid-cols-2">
+          <div>
+            <button className="btn btn-secondary mb-3" onClick={handleRequestPresentation} disabled={loading}>
+              Request presentation
+            </button>
+            {presentationRequest && (
+              <div className="alert alert-info mb-3">
+                <p className="text-xs mb-1">
+                  Give the patient this request; it answers one presentation until{' '}
+                  {new Date(presentationRequest.expiresAt).toLocaleTimeString()}:
+                </p>
+                <p className="font-mono text-xs break-all">
+                  {JSON.stringify({ challenge: presentationRequest.challenge, domain: presentationRequest.domain })}
+                </p>
+              </div>
+            )}
+            <label className="label">Presentation (VP or SD-JWT) or credential (JWT or JSON)</label>
+            <textarea
+              className="input-field resize-none font-mono text-xs"
+              rows="6"
+              value={verifyInput}
+              onChange={(e) => setVerifyInput(e.target.value)}
+              placeholder='eyJhbGciOi... or {"credentialSubject": ...}'
+            />
+            <p className="text-xs text-gray-500 mt-2">
+              A bare credential proves nothing about who handed it over; prefer a presentation made for your request.
+            </p>
+            <button className="btn btn-primary mt-3" onClick={handleVerifyVC} disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </div>
+          <div>
+            {verification ? (
+              <div className={`p-4 rounded-lg border ${verification.verified ? 'bg-green-50 border-green-200' : 'bg-red-50 border-red-200'}`}>
+                <p className={`font-semibold mb-3 ${verification.verified ? 'text-green-800' : 'text-red-800'}`}>
+                  {verification.verified
+                    ? `✓ ${verification.format === 'jwt_vp' ? 'Presentation' : 'Credential'} is valid`
+                    : `✗ ${verification.error}`}
+                </p>
+                {verification.format === 'jwt_vp' ? (
+                  <>
+                    <ul className="text-sm text-gray-700 space-y-1 mb-3">
+                      <li>{verification.checks.signature ? '✓' : '✗'} Signed by the holder for your challenge</li>
+                      <li>{verification.checks.holderBinding ? '✓' : '✗'} Holder is the credential subject</li>
+                      <li>{verification.checks.credentials ? '✓' : '✗'} Credentials</li>
+                    </ul>
+                    <p className="text-xs text-gray-600 mb-3">
+                      <span className="font-semibold">Holder:</span>{' '}
+                      <span className="font-mono break-all">{verification.holder || 'N/A'}</span>
+                    </p>
+                    {verification.credentials.map((credential, index) => (
+                      <div key={index} className="border-t border-gray-200 pt-3 mt-3">
+                        <p className={`text-sm font-semibold mb-2 ${credential.verified ? 'text-green-800' : 'text-red-800'}`}>
+                          {credential.verified ? '✓' : '✗'} Credential {index + 1}
+                          {credential.verified ? '' : `: ${credential.error}`}
+                        </p>
+                        {credential.checks && renderCredentialResult(credential)}
+                      </div>
+                    ))}
+                  </>
+                ) : (
+                  renderCredentialResult(verification)
+                )}
+              </div>
+            ) : (
+              <div className="text-gray-500 text-sm">Verification results will appear here.</div>
+            )}
+          </div>
+        </div>
+      </div>
+
       {message && (
         <div className={`alert ${message.type === 'error' ? 'alert-error' : 'alert-success'} animate-slide-up`}>
           <div className="flex items-center space-x-2">
@@ -0,0 +1,53 @@
+import { useState } from 'react';
+import { getPolicyRequestHistory } from './api';
+
+const formatStatus = (status) => (status ? status.replace('_', ' ') : 'created');
+
+// Collapsible list of a policy request's status changes, loaded on first open.
+function RequestHistory({ requestId }) {
+  const [open, setOpen] = useState(false);
+  const [history, setHistory] = useState(null);
+  const [error, setError] = useState(null);
+
+  const toggle = async () => {
+    const next = !open;
+    setOpen(next);
+    if (!next) return;
+    try {
+      const result = await getPolicyRequestHistory(requestId);
+      setHistory(result.history || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load history');
+    }
+  };
+
+  return (
+    <div className="mt-3">
+      <button type="button" className="text-sm text-primary-600 hover:underline" onClick={toggle}>
+        {open ? 'Hide history' : 'Show history'}
+      </button>
+      {open && (
+        <div className="mt-2 space-y-2">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+          {!error && !history && <p className="text-sm text-gray-500">Loading...</p>}
+          {history?.map((event, index) => (
+            <div key={index} className="text-xs text-gray-600 border-l-2 border-gray-300 pl-3">
+              <p>
+                <span className="font-semibold">
+                  {event.fromStatus ? `${formatStatus(event.fromStatus)} → ` : ''}
+                  {formatStatus(event.toStatus)}
+                </span>{' '}
+                · {new Date(event.createdAt).toLocaleString()}
+              </p>
+              <p className="font-mono break-all">by {event.actor}</p>
+              {event.reason && <p className="italic">“{event.reason}”</p>}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RequestHistory;
@@ -0,0 +1,29 @@
+const STATUS_TEXT = {
+  signing: { badge: 'status-pending', text: 'Confirm in your wallet' },
+  pending: { badge: 'status-pending', text: 'Pending' },
+  mined: { badge: 'status-approved', text: 'Mined' },
+  failed: { badge: 'status-rejected', text: 'Failed' },
+};
+
+// Progress of the last wallet transaction, as reported by contracts.js.
+function TxStatus({ tx }) {
+  if (!tx) return null;
+  const { badge, text } = STATUS_TEXT[tx.status];
+
+  return (
+    <div className="bg-gray-50 rounded-lg p-3 border border-gray-200 text-sm space-y-1">
+      <div className="flex items-center justify-between">
+        <span className="font-semibold text-gray-800">{tx.label}</span>
+        <span className={`status-badge ${badge}`}>
+          {(tx.status === 'signing' || tx.status === 'pending') && <span className="animate-spin mr-1">⏳</span>}
+          {text}
+        </span>
+      </div>
+      {tx.hash && <p className="font-mono text-xs text-gray-600 break-all">{tx.hash}</p>}
+      {tx.status === 'mined' && <p className="text-xs text-gray-500">Included in block {tx.blockNumber}</p>}
+      {tx.status === 'failed' && <p className="text-red-700">{tx.error}</p>}
+    </div>
+  );
+}
+
+export default TxStatus;
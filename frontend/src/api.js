@@ -1,4 +1,8 @@
 import axios from 'axios';
+import { SiweMessage } from 'siwe';
+import { generateDidKey, signChallenge, signPayload, signPresentation } from './did-auth';
+import { presentSdJwt } from './sd-jwt';
+import { decryptDocument, encryptDocument } from './encryption';
 
 const API = import.meta.env.VITE_BACKEND_URL || 'http://localhost:3001';
 
@@ -39,11 +43,128 @@ api.interceptors.response.use(
   }
 );
 
-export const createDID = async () => {
+// One backend session per tab: the DIDs logged in with DID-Auth plus the
+// wallet signed in with SIWE. DID keys are kept so the DIDs can log in again
+// when the session expires; the wallet has to sign in again by itself.
+let session = null;
+const didKeys = new Map();
+
+api.interceptors.request.use((config) => {
+  if (session?.token && !config.headers.Authorization) {
+    config.headers.Authorization = `Bearer ${session.token}`;
+  }
+  return config;
+});
+
+export const loginWithDID = async (did, privateKeyHex) => {
+  const { data: challenge } = await api.post('/auth/challenge', { did });
+  const jws = await signChallenge({ did, privateKeyHex, ...challenge });
+  const { data } = await api.post('/auth/verify', { did, jws });
+  didKeys.set(did, privateKeyHex);
+  session = { ...session, token: data.token, address: data.address };
+  return data;
+};
+
+// EIP-4361 sign-in with the connected wallet; resolves to { address, role }
+// where role is the address's IdentityRegistry role ('None' if unregistered).
+export const signInWithEthereum = async (signer) => {
+  const address = await signer.getAddress();
+  const { chainId } = await signer.provider.getNetwork();
+  const { data: challenge } = await api.post('/auth/siwe/nonce');
+  const message = new SiweMessage({
+    domain: window.location.host,
+    address,
+    statement: 'Sign in to Medical Policy Automation.',
+    uri: window.location.origin,
+    version: '1',
+    chainId: Number(chainId),
+    nonce: challenge.nonce,
+  }).prepareMessage();
+  const signature = await signer.signMessage(message);
+  const { data } = await api.post('/auth/siwe/verify', { message, signature });
+  session = { ...session, token: data.token, address: data.address, role: data.role };
+  return { address: data.address, role: data.role };
+};
+
+// The wallet this tab is signed in with, if any.
+export const getWalletSession = () => (session?.address ? { address: session.address, role: session.role } : null);
+
+// Retries `send` once after logging the DIDs in again if the session expired
+// (or the backend forgot it on restart).
+const withSession = async (send) => {
+  try {
+    return await send();
+  } catch (error) {
+    if (error.response?.data?.code !== 'session_expired' || didKeys.size === 0) throw error;
+    session = null;
+    for (const [did, privateKeyHex] of didKeys) {
+      await loginWithDID(did, privateKeyHex);
+    }
+    return send();
+  }
+};
+
+// The private key of a DID created or logged in with in this tab.
+function heldKey(holderDid) {
+  const privateKeyHex = didKeys.get(holderDid);
+  if (!privateKeyHex) {
+    throw new Error(`The key of ${holderDid} is not available in this tab; log in with that DID first`);
+  }
+  return privateKeyHex;
+}
+
+// Backend routes that sign as a DID created here answer with a signingRequest
+// (202) instead of their result. This signs its payloads with the DID's key,
+// sends the signatures back and resolves with the route's actual result,
+// merged into `data`.
+const completeSigning = async (data) => {
+  if (!data.signingRequest) return data;
+  const { signingRequest, ...rest } = data;
+  const privateKeyHex = heldKey(signingRequest.did);
+  const signatures = [];
+  for (const payload of signingRequest.payloads) {
+    signatures.push(await signPayload(privateKeyHex, payload));
+  }
+  const response = await withSession(() => api.post(`/signatures/${signingRequest.id}`, { signatures }));
+  return { ...rest, ...response.data };
+};
+
+// Signs the status lists of this tab's DIDs that changed since they were last
+// signed. Verifiers elsewhere cannot read a list until it is, so this runs
+// after every issuance and status change, and when a status changes elsewhere
+// (e.g. a policy deactivated on-chain revokes its credentials).
+export const signStatusLists = async () => {
+  if (didKeys.size === 0) return;
+  const response = await withSession(() => api.post('/status/signing-requests'));
+  for (const signingRequest of response.data.signingRequests) {
+    if (didKeys.has(signingRequest.did)) {
+      await completeSigning({ signingRequest });
+    }
+  }
+};
+
+// Runs a request that may sign as one of this tab's DIDs, then signs the
+// status lists it touched.
+const signedRequest = async (send) => {
+  const response = await withSession(send);
+  const result = await completeSigning(response.data);
+  // the request itself went through; the lists are tried again next time
+  await signStatusLists().catch((error) => console.warn('⚠️ API: Signing status lists failed', error));
+  return result;
+};
+
+// The key is generated here and stays in this tab's memory: it answers
+// DID-Auth logins, presentations and the backend's signing requests, and is
+// lost with the tab. The new DID is logged in straight away and registered,
+// which tells the backend only its public key, so it can issue credentials.
+// keyType: 'Ed25519' or 'Secp256k1' (needed to issue EIP-712 credentials).
+export const createDID = async (keyType = 'Ed25519') => {
   try {
     console.log('📤 API: Creating DID...');
-    const response = await api.post('/did/create');
-    console.log('✅ API: DID created successfully');
+    const { did, privateKeyHex } = generateDidKey(keyType);
+    await loginWithDID(did, privateKeyHex);
+    const response = await withSession(() => api.post('/did/register', { did }));
+    console.log('✅ API: DID created and logged in');
     return response.data;
   } catch (error) {
     console.error('❌ API: Create DID failed', error);
@@ -52,64 +173,210 @@ export const createDID = async () => {
 };
 
 export const requestPolicy = async (data) => {
-  const response = await api.post('/policy/request', data);
+  const response = await withSession(() => api.post('/policy/request', data));
+  return response.data;
+};
+
+// filters: patientDid, patientAddress, insurer, status, from, to, sort, order, limit, cursor
+export const getPolicyRequests = async (filters = {}) => {
+  const response = await api.get('/policy/requests', { params: filters });
   return response.data;
 };
 
-export const getPolicyRequests = async () => {
-  const response = await api.get('/policy/requests');
+// data: { status, actor, reason?, vcCid?, onchainPolicyId?, onchainTxHash? }
+export const updatePolicyRequestStatus = async (requestId, data) => {
+  const response = await withSession(() => api.patch(`/policy/request/${requestId}`, data));
   return response.data;
 };
 
-export const issueVC = async (data) => {
-  const response = await api.post('/vc/issue', data);
+export const getPolicyRequestHistory = async (requestId) => {
+  const response = await api.get(`/policy/request/${requestId}/history`);
   return response.data;
 };
 
+export const issueVC = async (data) => signedRequest(() => api.post('/vc/issue', data));
+
 export const getVCByPolicyId = async (policyId) => {
   const response = await api.get(`/vc/policy/${policyId}`);
   return response.data;
 };
 
+export const getCredentialStatus = async (vcId) => {
+  const response = await api.get(`/vc/${vcId}/status`);
+  return response.data;
+};
+
+// action: revoke | suspend | reinstate
+export const setCredentialStatus = async (vcId, action, reason) =>
+  signedRequest(() => api.post(`/vc/${vcId}/status`, { action, reason }));
+
+// Re-issues the credential for another term (the backend's policy term when
+// termDays is omitted).
+export const renewCredential = async (vcId, termDays) =>
+  signedRequest(() => api.post(`/vc/${vcId}/renew`, { termDays }));
+
+export const getExpiringCredentials = async (withinDays = 30) => {
+  const response = await withSession(() => api.get('/vc/expiring', { params: { withinDays } }));
+  return response.data;
+};
+
+// Presents an SD-JWT credential held by `holderDid`, revealing only `names`.
+// The DID's key must have been created or logged in with in this tab.
+export const createSdJwtPresentation = async ({ sdJwt, holderDid, names, nonce, audience }) =>
+  presentSdJwt({ sdJwt, names, did: holderDid, privateKeyHex: heldKey(holderDid), nonce, audience });
+
+// { challenge, domain, expiresAt } for a holder to present credentials to
+// this verifier.
+export const getPresentationChallenge = async () => {
+  const response = await withSession(() => api.post('/vp/challenge'));
+  return response.data;
+};
+
+// A Verifiable Presentation of a credential (a JWT, or the VC object as
+// issued), signed by `holderDid` for a verifier's challenge and domain. JWT
+// credentials are embedded as their JWT, JSON-LD and EIP-712 ones whole.
+export const createPresentation = async ({ holderDid, credential, challenge, domain }) =>
+  signPresentation({
+    did: holderDid,
+    privateKeyHex: heldKey(holderDid),
+    credentials: [credential.proof?.jwt || credential],
+    challenge,
+    domain,
+  });
+
+// Checks a JWT VP or SD-JWT presentation made for one of this session's
+// challenges; each challenge can be used once.
+export const verifyPresentation = async (presentation) => {
+  const response = await withSession(() => api.post('/vp/verify', { presentation }));
+  return response.data;
+};
+
+// `nonce` and `audience` are what the holder was asked to sign for. This does
+// not stop the presentation being replayed; use verifyPresentation with a
+// challenge from getPresentationChallenge for that.
+export const verifySdJwtPresentation = async ({ presentation, nonce, audience }) => {
+  const response = await api.post('/vc/sd-jwt/verify', { presentation, nonce, audience });
+  return response.data;
+};
+
 export const verifyVC = async (vcJwt) => {
   const response = await api.post('/vc/verify', { vcJwt });
   return response.data;
 };
 
-export const uploadFile = async (data, filename) => {
-  const response = await api.post('/file/upload', { data, filename });
+export const uploadFile = async (data, filename, mimeType, uploadedBy) => {
+  const response = await withSession(() => api.post('/file/upload', { data, filename, mimeType, uploadedBy }));
+  return response.data;
+};
+
+// Multipart upload for large documents; onProgress receives 0-100.
+// With recipients (DIDs) the document is encrypted here first, so only they
+// can open it (openEncryptedDocument); the backend gets the ciphertext only.
+export const uploadFileStream = async (file, onProgress, recipients, uploadedBy) => {
+  const form = new FormData();
+  if (recipients?.length) {
+    const { ciphertext, keyEnvelope } = await encryptDocument(file, recipients);
+    form.append('keyEnvelope', JSON.stringify(keyEnvelope));
+    form.append('file', ciphertext, 'document.enc');
+  } else {
+    form.append('file', file, file.name);
+  }
+  const url = recipients?.length ? '/file/encrypted/upload/stream' : '/file/upload/stream';
+  const response = await withSession(() =>
+    api.post(url, form, {
+      params: { recipients: recipients?.length ? recipients.join(',') : undefined, uploadedBy },
+      headers: { 'Content-Type': 'multipart/form-data' },
+      timeout: 0,
+      onUploadProgress: (event) => {
+        if (onProgress && event.total) {
+          onProgress(Math.round((event.loaded / event.total) * 100));
+        }
+      },
+    }),
+  );
   return response.data;
 };
 
+// Resolves to a Blob typed with the MIME type recorded at upload time
 export const getFile = async (cid) => {
-  const response = await api.get(`/file/${cid}`);
+  const response = await withSession(() => api.get(`/file/${cid}`, { responseType: 'blob' }));
   return response.data;
 };
 
-export const onchainRegister = async (data) => {
-  const response = await api.post('/onchain/register', data);
+// Fetches an encrypted document and decrypts it here with the key of one of
+// this tab's DIDs it was encrypted for. Resolves to a File named and typed as
+// it was uploaded.
+export const openEncryptedDocument = async (manifestCid) => {
+  const { data } = await withSession(() => api.get(`/file/encrypted/${manifestCid}`));
+  const did = data.manifest.recipients.find((recipient) => didKeys.has(recipient));
+  if (!did) {
+    throw new Error('This document was not encrypted for any DID logged in in this tab');
+  }
+  const response = await withSession(() =>
+    api.get(`/file/encrypted/${manifestCid}/ciphertext`, { responseType: 'arraybuffer', timeout: 0 }),
+  );
+  return decryptDocument({ manifest: data.manifest, ciphertext: response.data, privateKeyHex: heldKey(did) });
+};
+
+export const getFileMetadata = async (cid) => {
+  const response = await withSession(() => api.get(`/file/${cid}/metadata`));
   return response.data;
 };
 
-export const onchainIssuePolicy = async (data) => {
-  const response = await api.post('/onchain/issuePolicy', data);
+// Chain id, addresses and ABIs of the deployed contracts
+export const getContractsConfig = async () => {
+  const response = await api.get('/config/contracts');
   return response.data;
 };
 
-export const onchainSubmitClaim = async (data) => {
-  const response = await api.post('/onchain/submitClaim', data);
+// Gasless transactions: forwarder domain, nonce and remaining quota for an
+// address, and relaying a ForwardRequest signed by it
+export const getRelayInfo = async (address) => {
+  const response = await api.get(`/relay/${address}`);
   return response.data;
 };
 
-export const onchainInsurerAction = async (data) => {
-  const response = await api.post('/onchain/insurerAction', data);
+export const relayMetaTransaction = async (data) => {
+  const response = await api.post('/relay', data);
   return response.data;
 };
 
-export const issueCredential = async (data) => {
-  const response = await api.post('/vc/issue', data);
+export const getRelayerJob = async (jobId) => {
+  const response = await api.get(`/relayer/jobs/${encodeURIComponent(jobId)}`);
   return response.data;
 };
 
+// Checks that a claim's ipfsHash and vcCid still resolve to intact content
+export const verifyClaimEvidence = async (claimId) => {
+  const response = await api.get(`/onchain/claims/${claimId}/evidence`);
+  return response.data;
+};
+
+export const issueCredential = async (data) => signedRequest(() => api.post('/vc/issue', data));
+
+// Live updates pushed by the backend for the signed-in wallet (a patient's own
+// requests, or those open to an insurer). `onEvent(type, data)` is also called
+// with type 'open' on every (re)connect so callers can resync. Returns a
+// function that closes the stream.
+export const LIVE_EVENT_TYPES = [
+  'policyRequest.created',
+  'policyRequest.updated',
+  'credential.issued',
+  'credential.statusChanged',
+  'claim.submitted',
+  'claim.stateChanged',
+];
+
+export const subscribeToEvents = (onEvent) => {
+  // EventSource cannot send an Authorization header
+  const params = new URLSearchParams({ access_token: session?.token || '' });
+  const source = new EventSource(`${API}/events?${params}`);
+  source.addEventListener('open', () => onEvent('open', null));
+  LIVE_EVENT_TYPES.forEach((type) => {
+    source.addEventListener(type, (event) => onEvent(type, JSON.parse(event.data)));
+  });
+  return () => source.close();
+};
+
 export default api;
 
@@ -0,0 +1,273 @@
+import { ethers } from 'ethers';
+import { getContractsConfig, getRelayInfo, relayMetaTransaction, getRelayerJob } from './api';
+
+// On-chain writes are signed by the connected wallet, never by the backend.
+// Chain id, addresses and ABIs come from the backend's /config/contracts, so
+// a redeployment only needs a page reload, not a rebuild.
+//
+// Patients and providers do not need ETH: their writes are signed as EIP-2771
+// ForwardRequests and relayed by the backend, which pays the gas. Insurers
+// send their own transactions.
+
+const RELAY_POLL_MS = 1000;
+
+let configRequest = null;
+
+export const ROLES = { None: 0, Patient: 1, Provider: 2, Insurer: 3 };
+export const CLAIM_STATES = ['Submitted', 'UnderReview', 'Approved', 'Rejected', 'Paid'];
+
+export const INSURER_ACTIONS = {
+  review: 'setUnderReview',
+  approve: 'approveClaim',
+  reject: 'rejectClaim',
+  markPaid: 'markPaid',
+};
+
+// The backend's deployment config, fetched once per page load. A failed
+// fetch, or one that found contracts without code, is retried next time.
+export async function loadContractsConfig() {
+  if (!configRequest) {
+    configRequest = getContractsConfig();
+  }
+  try {
+    const config = await configRequest;
+    if (Object.values(config.contracts).some((contract) => !contract.hasCode)) {
+      configRequest = null;
+    }
+    return config;
+  } catch (error) {
+    configRequest = null;
+    throw error;
+  }
+}
+
+export async function getContract(name, signer) {
+  const { contracts } = await loadContractsConfig();
+  const contract = contracts[name];
+  if (!contract) {
+    throw new Error(`Contract address not found for ${name}`);
+  }
+  if (!contract.hasCode) {
+    throw new Error(`No ${name} contract at ${contract.address}; redeploy the contracts`);
+  }
+  return new ethers.Contract(contract.address, contract.abi, signer);
+}
+
+// Asks the wallet to switch to the chain the contracts are deployed on, adding
+// the chain first when the wallet does not know it and the deployment says
+// how to reach it (local networks).
+export async function switchToDeployedChain(ethereum) {
+  const { chainId, network, rpcUrl } = await loadContractsConfig();
+  const hexChainId = ethers.toQuantity(chainId);
+  try {
+    await ethereum.request({ method: 'wallet_switchEthereumChain', params: [{ chainId: hexChainId }] });
+  } catch (error) {
+    // 4902: unknown chain (some MetaMask versions nest the code)
+    const unknownChain = error.code === 4902 || error.data?.originalError?.code === 4902;
+    if (!unknownChain || !rpcUrl) {
+      throw error;
+    }
+    await ethereum.request({
+      method: 'wallet_addEthereumChain',
+      params: [
+        {
+          chainId: hexChainId,
+          chainName: network,
+          rpcUrls: [rpcUrl],
+          nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },
+        },
+      ],
+    });
+  }
+}
+
+async function assertDeployedChain(signer) {
+  const deployment = await loadContractsConfig();
+  const { chainId } = await signer.provider.getNetwork();
+  if (chainId !== BigInt(deployment.chainId)) {
+    throw new Error(`Switch your wallet to chain ${deployment.chainId} (${deployment.network}); it is on ${chainId}`);
+  }
+}
+
+// The contract's require() message when there is one, else what the wallet,
+// node or relay said.
+export function getRevertReason(error) {
+  if (error.code === 'ACTION_REJECTED') {
+    return 'Transaction rejected in the wallet';
+  }
+  return (
+    error.response?.data?.revertReason ||
+    error.response?.data?.error ||
+    error.revert?.args?.[0] ||
+    error.reason ||
+    error.info?.error?.data?.message ||
+    error.info?.error?.message ||
+    error.shortMessage ||
+    error.message
+  );
+}
+
+function findEventArg(contract, receipt, eventName, argName) {
+  for (const log of receipt.logs) {
+    let parsed = null;
+    try {
+      parsed = contract.interface.parseLog(log);
+    } catch {
+      // log emitted by another contract
+    }
+    if (parsed?.name === eventName) {
+      return parsed.args[argName];
+    }
+  }
+  return null;
+}
+
+// Sends `contractName.method(...args)` from the wallet and reports each step
+// to `onStatus({ label, status, hash, blockNumber, error })`, status being
+// 'signing' (waiting on the wallet), 'pending', 'mined' or 'failed'. Resolves
+// with the contract and the receipt; rejects with an Error whose message is
+// the revert reason.
+async function send(signer, contractName, method, args, label, onStatus = () => {}) {
+  let hash = null;
+  try {
+    onStatus({ label, status: 'signing' });
+    await assertDeployedChain(signer);
+    const contract = await getContract(contractName, signer);
+    const tx = await contract[method](...args);
+    hash = tx.hash;
+    onStatus({ label, status: 'pending', hash });
+    const receipt = await tx.wait();
+    onStatus({ label, status: 'mined', hash, blockNumber: receipt.blockNumber });
+    return { contract, receipt };
+  } catch (error) {
+    const reason = getRevertReason(error);
+    onStatus({ label, status: 'failed', hash, error: reason });
+    throw new Error(`${label} failed: ${reason}`);
+  }
+}
+
+async function waitForRelayJob(jobId) {
+  for (;;) {
+    const { job } = await getRelayerJob(jobId);
+    if (job.status === 'mined') {
+      return job;
+    }
+    if (job.status === 'failed') {
+      throw new Error(job.revertReason || job.error);
+    }
+    await new Promise((resolve) => setTimeout(resolve, RELAY_POLL_MS));
+  }
+}
+
+// Gasless counterpart of send(): the wallet signs a ForwardRequest for the
+// call and the backend relays it. Reports the same statuses.
+async function relay(signer, contractName, method, args, label, onStatus = () => {}) {
+  let hash = null;
+  try {
+    onStatus({ label, status: 'signing' });
+    await assertDeployedChain(signer);
+    const contract = await getContract(contractName, signer);
+    const from = await signer.getAddress();
+    const to = await contract.getAddress();
+    const data = contract.interface.encodeFunctionData(method, args);
+    // also surfaces a revert before anything is signed
+    const gas = await signer.estimateGas({ to, data });
+    const { domain, types, nonce, quota } = await getRelayInfo(from);
+    if (quota.remaining === 0) {
+      throw new Error(`Daily gasless quota of ${quota.limit} transactions used up`);
+    }
+    const request = { from, to, value: '0', gas: ((gas * 12n) / 10n).toString(), nonce, data };
+    const signature = await signer.signTypedData(domain, types, request);
+
+    const relayed = await relayMetaTransaction({ request, signature });
+    hash = relayed.txHash;
+    onStatus({ label, status: 'pending', hash });
+    const job = relayed.status === 'mined' ? relayed : await waitForRelayJob(relayed.jobId);
+    hash = job.txHash;
+    const receipt = await signer.provider.getTransactionReceipt(hash);
+    onStatus({ label, status: 'mined', hash, blockNumber: receipt.blockNumber });
+    return { contract, receipt };
+  } catch (error) {
+    const reason = getRevertReason(error);
+    onStatus({ label, status: 'failed', hash, error: reason });
+    throw new Error(`${label} failed: ${reason}`);
+  }
+}
+
+export async function registerIdentity(signer, { did, role }, onStatus) {
+  const account = await signer.getAddress();
+  const sendAs = role === 'Insurer' ? send : relay;
+  const { receipt } = await sendAs(
+    signer,
+    'IdentityRegistry',
+    'register',
+    [account, did, ROLES[role]],
+    `Register as ${role}`,
+    onStatus,
+  );
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber, account };
+}
+
+export async function issuePolicy(signer, { beneficiary, coverageAmount }, onStatus) {
+  const { contract: policies, receipt } = await send(
+    signer,
+    'PolicyContract',
+    'issuePolicy',
+    [beneficiary, BigInt(coverageAmount)],
+    'Issue policy',
+    onStatus,
+  );
+  const policyId = findEventArg(policies, receipt, 'PolicyIssued', 'policyId');
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber, policyId: policyId?.toString() ?? null };
+}
+
+// Credentials issued for the policy are revoked by the backend once it has
+// indexed the PolicyDeactivated event.
+export async function deactivatePolicy(signer, { policyId }, onStatus) {
+  const { receipt } = await send(
+    signer,
+    'PolicyContract',
+    'deactivatePolicy',
+    [BigInt(policyId)],
+    `Deactivate policy #${policyId}`,
+    onStatus,
+  );
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber, policyId: String(policyId) };
+}
+
+export async function submitClaim(signer, { policyId, beneficiary, insurer, ipfsHash, vcCid, amount }, onStatus) {
+  const { contract: claims, receipt } = await relay(
+    signer,
+    'ClaimContract',
+    'submitClaim',
+    [BigInt(policyId), beneficiary, insurer, ipfsHash, vcCid, BigInt(amount)],
+    'Submit claim',
+    onStatus,
+  );
+  const claimId = findEventArg(claims, receipt, 'ClaimSubmitted', 'claimId');
+  return { txHash: receipt.hash, blockNumber: receipt.blockNumber, claimId: claimId?.toString() ?? null };
+}
+
+// action: review | approve | reject | markPaid (reject takes an optional reason)
+export async function insurerClaimAction(signer, { claimId, action, reason }, onStatus) {
+  const method = INSURER_ACTIONS[action];
+  if (!method) {
+    throw new Error(`Unknown action "${action}". Expected one of: ${Object.keys(INSURER_ACTIONS).join(', ')}`);
+  }
+  const args = method === 'rejectClaim' ? [BigInt(claimId), reason || ''] : [BigInt(claimId)];
+  const { contract: claims, receipt } = await send(
+    signer,
+    'ClaimContract',
+    method,
+    args,
+    `Claim #${claimId}: ${action}`,
+    onStatus,
+  );
+  const newState = findEventArg(claims, receipt, 'ClaimStateChanged', 'newState');
+  return {
+    txHash: receipt.hash,
+    blockNumber: receipt.blockNumber,
+    claimId: String(claimId),
+    state: newState === null ? null : CLAIM_STATES[Number(newState)],
+  };
+}
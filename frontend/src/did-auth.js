@@ -0,0 +1,76 @@
+import {
+  createJWT,
+  EdDSASigner,
+  ES256KSigner,
+  base64ToBytes,
+  bytesToHex,
+  bytesToMultibase,
+  hexToBytes,
+} from 'did-jwt';
+import { ed25519 } from '@noble/curves/ed25519';
+import { secp256k1 } from '@noble/curves/secp256k1';
+import { Wallet } from 'ethers';
+
+// A new did:key this browser controls, from an Ed25519 or Secp256k1 key. The
+// private key never leaves the tab; the backend only learns the DID.
+export function generateDidKey(keyType = 'Ed25519') {
+  const isSecp256k1 = keyType === 'Secp256k1';
+  const privateKey = (isSecp256k1 ? secp256k1 : ed25519).utils.randomPrivateKey();
+  const publicKey = isSecp256k1 ? secp256k1.getPublicKey(privateKey, true) : ed25519.getPublicKey(privateKey);
+  const did = `did:key:${bytesToMultibase(publicKey, 'base58btc', isSecp256k1 ? 'secp256k1-pub' : 'ed25519-pub')}`;
+  return { did, privateKeyHex: bytesToHex(privateKey) };
+}
+
+// did:key identifiers of Secp256k1 keys start with zQ3s; the others here are Ed25519.
+export function didSigner(did, privateKeyHex) {
+  return did.startsWith('did:key:zQ3s')
+    ? { signer: ES256KSigner(hexToBytes(privateKeyHex)), alg: 'ES256K' }
+    : { signer: EdDSASigner(hexToBytes(privateKeyHex)), alg: 'EdDSA' };
+}
+
+// Signs one payload of a backend signing request (POST /signatures/:id):
+// `data` is base64url, `algorithm` says how. Resolves with the signature in
+// the form the backend expects: base64url for JWS algorithms, hex for EIP-712.
+export async function signPayload(privateKeyHex, { algorithm, data }) {
+  const bytes = base64ToBytes(data);
+  switch (algorithm) {
+    case 'EdDSA':
+    case 'Ed25519':
+      return EdDSASigner(hexToBytes(privateKeyHex))(bytes);
+    case 'ES256K':
+    case 'ES256K-R':
+      return ES256KSigner(hexToBytes(privateKeyHex), algorithm === 'ES256K-R')(bytes);
+    case 'eth_signTypedData': {
+      const { domain, types, message } = JSON.parse(new TextDecoder().decode(bytes));
+      const { EIP712Domain, ...messageTypes } = types;
+      return new Wallet(`0x${privateKeyHex}`).signTypedData(domain, messageTypes, message);
+    }
+    default:
+      throw new Error(`Cannot sign a payload with ${algorithm}`);
+  }
+}
+
+// Answer to a DID-Auth challenge: a JWT carrying the nonce, addressed to the
+// backend and signed with the DID's key.
+export function signChallenge({ did, privateKeyHex, nonce, audience }) {
+  return createJWT({ nonce, aud: audience }, { issuer: did, ...didSigner(did, privateKeyHex) });
+}
+
+// A Verifiable Presentation of `credentials` (issued to `did`) for a
+// verifier's challenge: a JWT signed with the DID's key whose `nonce` is the
+// challenge and `aud` the verifier's domain, so it cannot be replayed.
+export function signPresentation({ did, privateKeyHex, credentials, challenge, domain }) {
+  return createJWT(
+    {
+      nonce: challenge,
+      aud: domain,
+      vp: {
+        '@context': ['https://www.w3.org/2018/credentials/v1'],
+        type: ['VerifiablePresentation'],
+        holder: did,
+        verifiableCredential: credentials,
+      },
+    },
+    { issuer: did, ...didSigner(did, privateKeyHex) },
+  );
+}
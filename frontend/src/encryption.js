@@ -0,0 +1,93 @@
+import {
+  createJWE,
+  decryptJWE,
+  x25519Encrypter,
+  x25519Decrypter,
+  base58ToBytes,
+  base64ToBytes,
+  bytesToBase64url,
+  bytesToMultibase,
+  hexToBytes,
+} from 'did-jwt';
+import { edwardsToMontgomeryPriv, edwardsToMontgomeryPub } from '@noble/curves/ed25519';
+
+// Encrypted documents (see backend/encryption-service.js) are encrypted here
+// before they are uploaded and decrypted here by a recipient, so the backend
+// and IPFS only ever see ciphertext. The content is encrypted once with a
+// random AES-256-GCM key; that key, the IV, the GCM tag and the real filename
+// and MIME type are sealed in a JWE with one ECDH-ES+XC20PKW recipient per
+// DID, for the X25519 form of its did:key's Ed25519 key.
+
+const TAG_LENGTH = 16;
+
+// The X25519 key agreement key of an Ed25519 did:key, and its id in the DID document.
+function keyAgreementKey(did) {
+  let bytes = null;
+  try {
+    bytes = did.startsWith('did:key:z') ? base58ToBytes(did.slice('did:key:z'.length)) : null;
+  } catch {
+    // reported below
+  }
+  if (bytes?.length !== 34 || bytes[0] !== 0xed || bytes[1] !== 0x01) {
+    throw new Error(`Cannot encrypt for ${did}: documents can only be encrypted for did:key DIDs of Ed25519 keys`);
+  }
+  const publicKey = edwardsToMontgomeryPub(bytes.subarray(2));
+  return { publicKey, kid: `${did}#${bytesToMultibase(publicKey, 'base58btc', 'x25519-pub')}` };
+}
+
+// Encrypts `file` (a File or Blob) for `recipients` (DIDs). Resolves with the
+// ciphertext to upload and the key envelope (JWE) that goes in its manifest.
+export async function encryptDocument(file, recipients) {
+  const uniqueRecipients = [...new Set(recipients)];
+  const encrypters = uniqueRecipients.map((did) => {
+    const { publicKey, kid } = keyAgreementKey(did);
+    return x25519Encrypter(publicKey, kid);
+  });
+
+  const rawKey = crypto.getRandomValues(new Uint8Array(32));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['encrypt']);
+  const sealed = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await file.arrayBuffer()));
+  // WebCrypto appends the tag to the ciphertext; the manifest keeps it in the envelope
+  const envelope = {
+    enc: 'A256GCM',
+    key: bytesToBase64url(rawKey),
+    iv: bytesToBase64url(iv),
+    tag: bytesToBase64url(sealed.subarray(sealed.length - TAG_LENGTH)),
+    filename: file.name || null,
+    mimeType: file.type || 'application/octet-stream',
+    size: file.size,
+  };
+  const keyEnvelope = await createJWE(new TextEncoder().encode(JSON.stringify(envelope)), encrypters);
+  return {
+    ciphertext: new Blob([sealed.subarray(0, sealed.length - TAG_LENGTH)], { type: 'application/octet-stream' }),
+    keyEnvelope,
+    recipients: uniqueRecipients,
+  };
+}
+
+// Decrypts a document's `ciphertext` (an ArrayBuffer) with the Ed25519 key of
+// one of the manifest's recipients. Resolves to a File named and typed as it
+// was uploaded. Nothing is returned unless the whole ciphertext matches its
+// GCM tag.
+export async function decryptDocument({ manifest, ciphertext, privateKeyHex }) {
+  const decrypter = x25519Decrypter(edwardsToMontgomeryPriv(hexToBytes(privateKeyHex).subarray(0, 32)));
+  let envelope;
+  try {
+    envelope = JSON.parse(new TextDecoder().decode(await decryptJWE(manifest.keyEnvelope, decrypter)));
+  } catch {
+    throw new Error('Could not unwrap the document key; it was not encrypted for this DID');
+  }
+
+  const key = await crypto.subtle.importKey('raw', base64ToBytes(envelope.key), 'AES-GCM', false, ['decrypt']);
+  const sealed = new Uint8Array(ciphertext.byteLength + TAG_LENGTH);
+  sealed.set(new Uint8Array(ciphertext));
+  sealed.set(base64ToBytes(envelope.tag), ciphertext.byteLength);
+  let plaintext;
+  try {
+    plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(envelope.iv) }, key, sealed);
+  } catch {
+    throw new Error('The document does not match its manifest: it was altered or is incomplete');
+  }
+  return new File([plaintext], envelope.filename || 'document', { type: envelope.mimeType });
+}
@@ -0,0 +1,31 @@
+import { createJWS, base64ToBytes, bytesToBase64url } from 'did-jwt';
+import { didSigner } from './did-auth';
+
+// Holder side of SD-JWT credentials (see backend/sd-jwt.js): list the claims a
+// credential can disclose, and present it with only some of them.
+
+// [{ name, value, disclosure }] for every claim in the SD-JWT.
+export function listDisclosures(sdJwt) {
+  const [, ...disclosures] = sdJwt.split('~');
+  return disclosures.filter(Boolean).map((disclosure) => {
+    const [, name, value] = JSON.parse(new TextDecoder().decode(base64ToBytes(disclosure)));
+    return { name, value, disclosure };
+  });
+}
+
+// The SD-JWT with only the claims in `names`, bound to this presentation by a
+// key-binding JWT signed with the holder DID's key (Ed25519 or Secp256k1) for
+// `nonce` and `audience`.
+export async function presentSdJwt({ sdJwt, names, did, privateKeyHex, nonce, audience }) {
+  const [jwt] = sdJwt.split('~');
+  const chosen = listDisclosures(sdJwt).filter((claim) => names.includes(claim.name));
+  const presented = `${jwt}~${chosen.map((claim) => `${claim.disclosure}~`).join('')}`;
+  const hash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(presented));
+  const { signer, alg } = didSigner(did, privateKeyHex);
+  const kbJwt = await createJWS(
+    { nonce, aud: audience, iat: Math.floor(Date.now() / 1000), sd_hash: bytesToBase64url(new Uint8Array(hash)) },
+    signer,
+    { alg, typ: 'kb+jwt' },
+  );
+  return presented + kbJwt;
+}
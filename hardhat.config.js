@@ -12,6 +12,14 @@ module.exports = {
       url: "http://127.0.0.1:8545",
       chainId: 1337,
     },
+    // npx hardhat run scripts/deploy.js --network sepolia
+    ...(process.env.SEPOLIA_RPC_URL && {
+      sepolia: {
+        url: process.env.SEPOLIA_RPC_URL,
+        chainId: 11155111,
+        accounts: process.env.DEPLOYER_PRIVATE_KEY ? [process.env.DEPLOYER_PRIVATE_KEY] : [],
+      },
+    }),
   },
   paths: {
     artifacts: "./artifacts",
@@ -5,6 +5,15 @@ async function main() {
   console.log("Deploying contracts with account:", deployer.address);
   console.log("Account balance:", (await hre.ethers.provider.getBalance(deployer.address)).toString());
 
+  // Deploy MinimalForwarder (trusted forwarder for gasless meta-transactions)
+  const MinimalForwarder = await hre.ethers.getContractFactory("MinimalForwarder");
+  const forwarder = await MinimalForwarder.deploy();
+  await forwarder.waitForDeployment();
+  const forwarderAddress = await forwarder.getAddress();
+  // The backend's event indexer starts scanning from here
+  const deploymentBlock = (await forwarder.deploymentTransaction().wait()).blockNumber;
+  console.log("MinimalForwarder deployed to:", forwarderAddress);
+
   // Deploy IdentityRegistry
   const IdentityRegistry = await hre.ethers.getContractFactory("IdentityRegistry");
   const identityRegistry = await IdentityRegistry.deploy();
@@ -14,38 +23,60 @@ async function main() {
 
   // Deploy PolicyContract
   const PolicyContract = await hre.ethers.getContractFactory("PolicyContract");
-  const policyContract = await PolicyContract.deploy();
+  const policyContract = await PolicyContract.deploy(forwarderAddress);
   await policyContract.waitForDeployment();
   const policyContractAddress = await policyContract.getAddress();
   console.log("PolicyContract deployed to:", policyContractAddress);
 
   // Deploy ClaimContract
   const ClaimContract = await hre.ethers.getContractFactory("ClaimContract");
-  const claimContract = await ClaimContract.deploy();
+  const claimContract = await ClaimContract.deploy(forwarderAddress);
   await claimContract.waitForDeployment();
   const claimContractAddress = await claimContract.getAddress();
   console.log("ClaimContract deployed to:", claimContractAddress);
 
-  // Save deployment addresses
+  // Save deployment addresses, keyed by chain id next to other networks' deployments
   const fs = require("fs");
+  const chainId = Number((await hre.ethers.provider.getNetwork()).chainId);
   const deploymentInfo = {
-    network: "localhost",
-    chainId: 1337,
+    network: hre.network.name,
+    chainId,
+    // Lets the frontend add a local chain to the wallet. Remote RPC URLs can
+    // carry API keys and are left out; wallets already know public chains.
+    rpcUrl: hre.network.name === "localhost" ? hre.network.config.url : undefined,
     contracts: {
+      MinimalForwarder: forwarderAddress,
       IdentityRegistry: identityRegistryAddress,
       PolicyContract: policyContractAddress,
       ClaimContract: claimContractAddress,
     },
     deployer: deployer.address,
+    deploymentBlock,
     timestamp: new Date().toISOString(),
   };
 
+  if (hre.network.name === "hardhat") {
+    // the in-process network is gone when this script exits
+    console.log("\nNot saving addresses for the in-process hardhat network; use --network localhost");
+    return;
+  }
+
+  let deployments = {};
+  if (fs.existsSync("./deployments.json")) {
+    deployments = JSON.parse(fs.readFileSync("./deployments.json", "utf8"));
+    // a file from before deployments were keyed by chain
+    if (deployments.contracts) {
+      deployments = { [deployments.chainId]: deployments };
+    }
+  }
+  deployments[chainId] = deploymentInfo;
+
   fs.writeFileSync(
     "./deployments.json",
-    JSON.stringify(deploymentInfo, null, 2)
+    JSON.stringify(deployments, null, 2)
   );
 
-  console.log("\nDeployment addresses saved to deployments.json");
+  console.log(`\nDeployment addresses for ${hre.network.name} (chain ${chainId}) saved to deployments.json`);
 }
 
 main()
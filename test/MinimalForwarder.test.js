@@ -0,0 +1,152 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { loadFixture } = require("@nomicfoundation/hardhat-toolbox/network-helpers");
+
+const FORWARD_REQUEST = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "data", type: "bytes" },
+  ],
+};
+
+describe("MinimalForwarder", function () {
+  async function deployFixture() {
+    const [relayer, insurer, patient, other] = await ethers.getSigners();
+    const forwarder = await ethers.deployContract("MinimalForwarder");
+    const policyContract = await ethers.deployContract("PolicyContract", [await forwarder.getAddress()]);
+    const { chainId } = await ethers.provider.getNetwork();
+    const domain = {
+      name: "MinimalForwarder",
+      version: "0.0.1",
+      chainId,
+      verifyingContract: await forwarder.getAddress(),
+    };
+    return { forwarder, policyContract, domain, relayer, insurer, patient, other };
+  }
+
+  // Builds and signs a request the way the frontend does before posting it to /relay
+  async function signRequest({ forwarder, domain }, signer, to, data, overrides = {}) {
+    const request = {
+      from: signer.address,
+      to: await to.getAddress(),
+      value: 0n,
+      gas: 500000n,
+      nonce: await forwarder.getNonce(signer.address),
+      data,
+      ...overrides,
+    };
+    const signature = await signer.signTypedData(domain, FORWARD_REQUEST, request);
+    return { request, signature };
+  }
+
+  it("executes a meta-transaction as the signer", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { forwarder, policyContract, relayer, insurer, patient } = fixture;
+    const data = policyContract.interface.encodeFunctionData("issuePolicy", [patient.address, 1000n]);
+    const { request, signature } = await signRequest(fixture, insurer, policyContract, data);
+
+    expect(await forwarder.verify(request, signature)).to.equal(true);
+    await expect(forwarder.connect(relayer).execute(request, signature))
+      .to.emit(policyContract, "PolicyIssued")
+      .withArgs(1n, insurer.address, patient.address, 1000n)
+      .and.to.emit(forwarder, "Executed")
+      .withArgs(insurer.address, request.to, 0n);
+
+    const policy = await policyContract.getPolicy(1n);
+    expect(policy.insurer).to.equal(insurer.address);
+    expect(await policyContract.getInsurerPolicies(relayer.address)).to.deep.equal([]);
+    expect(await forwarder.getNonce(insurer.address)).to.equal(1n);
+  });
+
+  it("rejects a replayed nonce", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { forwarder, policyContract, relayer, insurer, patient } = fixture;
+    const data = policyContract.interface.encodeFunctionData("issuePolicy", [patient.address, 1000n]);
+    const { request, signature } = await signRequest(fixture, insurer, policyContract, data);
+
+    await forwarder.connect(relayer).execute(request, signature);
+    expect(await forwarder.verify(request, signature)).to.equal(false);
+    await expect(forwarder.connect(relayer).execute(request, signature))
+      .to.be.revertedWith("Signature does not match request");
+  });
+
+  it("rejects a request signed by someone other than its sender", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { forwarder, policyContract, relayer, insurer, patient, other } = fixture;
+    const data = policyContract.interface.encodeFunctionData("issuePolicy", [patient.address, 1000n]);
+    const { request } = await signRequest(fixture, insurer, policyContract, data);
+    const signature = await other.signTypedData(fixture.domain, FORWARD_REQUEST, request);
+
+    expect(await forwarder.verify(request, signature)).to.equal(false);
+    await expect(forwarder.connect(relayer).execute(request, signature))
+      .to.be.revertedWith("Signature does not match request");
+  });
+
+  it("keeps the nonce unused when the target reverts", async function () {
+    const fixture = await loadFixture(deployFixture);
+    const { forwarder, policyContract, relayer, insurer } = fixture;
+    const data = policyContract.interface.encodeFunctionData("issuePolicy", [ethers.ZeroAddress, 1000n]);
+    const { request, signature } = await signRequest(fixture, insurer, policyContract, data);
+
+    await expect(forwarder.connect(relayer).execute(request, signature))
+      .to.be.revertedWith("Invalid beneficiary address");
+    expect(await forwarder.getNonce(insurer.address)).to.equal(0n);
+  });
+
+  describe("_msgSender() access checks", function () {
+    async function issuedPolicyFixture() {
+      const fixture = await deployFixture();
+      const { policyContract, insurer, patient } = fixture;
+      await policyContract.connect(insurer).issuePolicy(patient.address, 1000n);
+      return fixture;
+    }
+
+    it("lets the insurer deactivate its policy through the forwarder", async function () {
+      const fixture = await loadFixture(issuedPolicyFixture);
+      const { forwarder, policyContract, relayer, insurer } = fixture;
+      const data = policyContract.interface.encodeFunctionData("deactivatePolicy", [1n]);
+      const { request, signature } = await signRequest(fixture, insurer, policyContract, data);
+
+      await expect(forwarder.connect(relayer).execute(request, signature))
+        .to.emit(policyContract, "PolicyDeactivated")
+        .withArgs(1n, insurer.address);
+      expect((await policyContract.getPolicy(1n)).active).to.equal(false);
+    });
+
+    it("refuses a relayed deactivation signed by another account", async function () {
+      const fixture = await loadFixture(issuedPolicyFixture);
+      const { forwarder, policyContract, relayer, patient } = fixture;
+      const data = policyContract.interface.encodeFunctionData("deactivatePolicy", [1n]);
+      const { request, signature } = await signRequest(fixture, patient, policyContract, data);
+
+      await expect(forwarder.connect(relayer).execute(request, signature))
+        .to.be.revertedWith("Only insurer can deactivate");
+    });
+
+    it("does not let the relayer act for the insurer by calling the target directly", async function () {
+      const { policyContract, relayer, insurer } = await loadFixture(issuedPolicyFixture);
+      // An address appended by hand only counts when the caller is the trusted forwarder
+      const data = ethers.concat([
+        policyContract.interface.encodeFunctionData("deactivatePolicy", [1n]),
+        insurer.address,
+      ]);
+
+      await expect(relayer.sendTransaction({ to: await policyContract.getAddress(), data }))
+        .to.be.revertedWith("Only insurer can deactivate");
+    });
+
+    it("still accepts direct calls from the insurer", async function () {
+      const { policyContract, insurer } = await loadFixture(issuedPolicyFixture);
+
+      await expect(policyContract.connect(insurer).deactivatePolicy(1n))
+        .to.emit(policyContract, "PolicyDeactivated")
+        .withArgs(1n, insurer.address);
+      await expect(policyContract.connect(insurer).deactivatePolicy(1n))
+        .to.be.revertedWith("Policy already inactive");
+    });
+  });
+});